@@ -5,18 +5,25 @@
  * Windcave Settlement Integration - API Communication Module
  * Handles all communication with the Windcave Settlement REST API.
  */
-define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
-    function(https, encode, log, constants) {
+define(['N/https', 'N/encode', 'N/log', './windcave_constants', './windcave_transport', './windcave_api_log'],
+    function(https, encode, log, constants, windcaveTransport, windcaveApiLog) {
 
         const MODULE_NAME = 'WindcaveAPI';
 
         /**
          * Builds the Base64 encoded Basic Auth header value
+         * When an API Secret is given the key never leaves NetSuite's secure string handling:
+         * the header is built from the {custsecret_...} placeholder and only resolved by N/https.
          * @param {string} username - API username
-         * @param {string} password - API password
-         * @returns {string} Base64 encoded credentials
+         * @param {string} password - API password (plain text, used when no API Secret is set)
+         * @param {string} [apiSecretId] - Script ID of the NetSuite API Secret holding the API key
+         * @returns {string|https.SecureString} Basic Auth header value
          */
-        function buildAuthHeader(username, password) {
+        function buildAuthHeader(username, password, apiSecretId) {
+            if (apiSecretId) {
+                return buildSecureAuthHeader(username, apiSecretId);
+            }
+
             const credentials = username + ':' + password;
             return 'Basic ' + encode.convert({
                 string: credentials,
@@ -25,12 +32,52 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
             });
         }
 
+        /**
+         * Builds the Basic Auth header from a NetSuite API Secret
+         * @param {string} username - API username
+         * @param {string} apiSecretId - Script ID of the API Secret, with or without braces
+         * @returns {https.SecureString} Basic Auth header value
+         * @throws {Error} If the ID is not an API Secret script ID
+         */
+        function buildSecureAuthHeader(username, apiSecretId) {
+            const secretId = String(apiSecretId).trim().replace(/^\{|\}$/g, '').toLowerCase();
+            if (!/^custsecret_[a-z0-9_]+$/.test(secretId)) {
+                throw new Error(constants.ERRORS.API_SECRET_INVALID + ': ' + apiSecretId);
+            }
+
+            const credentials = https.createSecureString({
+                input: username + ':'
+            });
+            credentials.appendSecureString({
+                secureString: https.createSecureString({ input: '{' + secretId + '}' }),
+                keepEncoding: true
+            });
+            credentials.convertEncoding({
+                fromEncoding: encode.Encoding.UTF_8,
+                toEncoding: encode.Encoding.BASE_64
+            });
+
+            const header = https.createSecureString({
+                input: 'Basic '
+            });
+            header.appendSecureString({
+                secureString: credentials,
+                keepEncoding: true
+            });
+            return header;
+        }
+
         /**
          * Gets the base URL based on environment
+         * A custom base URL (e.g. the local mock in tools/windcave-mock) takes precedence.
          * @param {string} environment - 'sec' for production or 'uat' for testing
+         * @param {string} [customBaseUrl] - Base URL to use instead of Windcave's
          * @returns {string} Base API URL
          */
-        function getBaseUrl(environment) {
+        function getBaseUrl(environment, customBaseUrl) {
+            if (customBaseUrl && String(customBaseUrl).trim()) {
+                return String(customBaseUrl).trim().replace(/\/+$/, '');
+            }
             if (environment === constants.API.ENVIRONMENTS.UAT) {
                 return constants.API.BASE_URL_UAT;
             }
@@ -38,16 +85,193 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
         }
 
         /**
-         * Makes an HTTP GET request to the Windcave API with retry logic
+         * Builds the connection options shared by every API call for a configuration
+         * The returned credentialStatus is shared by every call made with these options and
+         * records which credential pair was used (see sendWithCredentials). Every call is
+         * written to the API log against the configuration.
+         * @param {Object} config - Configuration object
+         * @returns {Object} Options to merge into getSettlements/getSettlementDetails calls
+         */
+        function getConnectionOptions(config) {
+            const hasSecondary = !!(config.secondaryApiPassword || config.secondaryApiSecretId);
+
+            return {
+                username: config.apiUsername,
+                password: config.apiPassword,
+                apiSecretId: config.apiSecretId,
+                secondary: hasSecondary ? {
+                    username: config.secondaryApiUsername || config.apiUsername,
+                    password: config.secondaryApiPassword,
+                    apiSecretId: config.secondaryApiSecretId
+                } : null,
+                credentialStatus: {
+                    used: null,
+                    primaryFailed: false,
+                    primaryError: null
+                },
+                environment: config.environment,
+                baseUrl: config.baseUrl,
+                maxPages: config.maxPages,
+                windowDays: config.fetchWindowDays,
+                maxRetries: constants.MISC.TIMEOUT_RETRIES,
+                transport: windcaveTransport.createTransport({
+                    mode: config.transportMode,
+                    folderId: config.recordingFolder
+                }),
+                apiLog: windcaveApiLog.createApiLogger({
+                    configId: config.internalId,
+                    transportMode: config.transportMode
+                })
+            };
+        }
+
+        /**
+         * Reads a response header regardless of the casing used by the server
+         * @param {Object} headers - Response headers
+         * @param {string} name - Header name
+         * @returns {string|null} Header value or null if absent
+         */
+        function getHeader(headers, name) {
+            const lowerName = name.toLowerCase();
+            for (const key in headers || {}) {
+                if (key.toLowerCase() === lowerName) {
+                    return headers[key];
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Parses a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+         * @param {string|null} retryAfter - Retry-After header value
+         * @returns {number|null} Delay in milliseconds or null if absent/unparseable
+         */
+        function parseRetryAfter(retryAfter) {
+            if (retryAfter === null || retryAfter === undefined || String(retryAfter).trim() === '') {
+                return null;
+            }
+
+            const seconds = Number(retryAfter);
+            if (!isNaN(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+
+            const retryDate = Date.parse(retryAfter);
+            if (!isNaN(retryDate)) {
+                return Math.max(0, retryDate - new Date().getTime());
+            }
+
+            return null;
+        }
+
+        /**
+         * Calculates how long to wait before the next retry attempt
+         * Uses the server's Retry-After when given, otherwise exponential backoff with full jitter.
+         * @param {number} attempt - Retry attempt number (1 for the first retry)
+         * @param {number|null} [retryAfterMs] - Delay requested by the server via Retry-After
+         * @returns {number} Delay in milliseconds
+         */
+        function getRetryDelay(attempt, retryAfterMs) {
+            if (retryAfterMs !== null && retryAfterMs !== undefined) {
+                return Math.min(retryAfterMs, constants.MISC.RETRY_MAX_DELAY_MS);
+            }
+
+            const ceiling = Math.min(
+                constants.MISC.RETRY_MAX_DELAY_MS,
+                constants.MISC.RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempt - 1))
+            );
+            return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        }
+
+        /**
+         * Creates the error thrown for transient failures (HTTP 429, 5xx, repeated timeouts)
+         * Callers should not retry these inline but defer the work to a later script invocation.
+         * @param {string} message - Error message
+         * @param {number|null} statusCode - HTTP status code, if a response was received
+         * @param {number|null} retryAfterMs - Delay requested by the server via Retry-After
+         * @returns {Error} Retryable error
+         */
+        function createRetryableError(message, statusCode, retryAfterMs) {
+            const error = new Error(message);
+            error.name = constants.ERROR_NAMES.API_RETRYABLE;
+            error.statusCode = statusCode;
+            error.retryAfterMs = retryAfterMs;
+            return error;
+        }
+
+        /**
+         * Checks whether an error is an authentication failure (HTTP 401/403)
+         * @param {Error} error - Error to check
+         * @returns {boolean} True if Windcave rejected the credentials
+         */
+        function isAuthError(error) {
+            return !!error && error.name === constants.ERROR_NAMES.API_AUTH_FAILED;
+        }
+
+        /**
+         * Sends a request with the primary credentials, falling back to the secondary pair on a 401/403
+         * Once the primary pair has been rejected, later calls with the same options go straight
+         * to the secondary pair. options.credentialStatus is updated with the pair that worked.
+         * @param {Object} options - Connection options from getConnectionOptions (or plain credentials)
+         * @param {Function} send - Performs the request given an Authorization header value
+         * @returns {*} Result of send
+         */
+        function sendWithCredentials(options, send) {
+            const status = options.credentialStatus || {};
+            const secondary = options.secondary;
+
+            if (!status.primaryFailed) {
+                try {
+                    const result = send(buildAuthHeader(options.username, options.password, options.apiSecretId));
+                    status.used = status.used || constants.CREDENTIALS.PRIMARY;
+                    return result;
+                } catch (e) {
+                    if (!isAuthError(e) || !secondary) {
+                        throw e;
+                    }
+
+                    status.primaryFailed = true;
+                    status.primaryError = e.message;
+                    log.audit({
+                        title: MODULE_NAME + '.sendWithCredentials',
+                        details: 'Primary credentials rejected, falling back to secondary credentials: ' + e.message
+                    });
+                }
+            }
+
+            const result = send(buildAuthHeader(secondary.username, secondary.password, secondary.apiSecretId));
+            status.used = constants.CREDENTIALS.SECONDARY;
+            return result;
+        }
+
+        /**
+         * Checks whether an error is a transient API failure that should be retried later
+         * @param {Error} error - Error to check
+         * @returns {boolean} True if the request can be retried in a later invocation
+         */
+        function isRetryableError(error) {
+            return !!error && error.name === constants.ERROR_NAMES.API_RETRYABLE;
+        }
+
+        /**
+         * Makes an HTTP GET request to the Windcave API
+         * Request timeouts are retried immediately, since the timeout itself has already
+         * spaced the attempts. Rate limiting (429) and server errors (5xx) are never waited
+         * out inline; they throw a retryable error so the caller can defer the work.
          * @param {Object} options - Request options
          * @param {string} options.url - Full URL to request
          * @param {string} options.authHeader - Authorization header value
+         * @param {Object} [options.transport] - Transport to send the request through (default: live)
+         * @param {number} [options.maxRetries] - Immediate retries allowed for timeouts
+         * @param {Object} [options.apiLog] - Logger that records each attempt (see windcave_api_log)
          * @param {number} [options.retryCount=0] - Current retry attempt
          * @returns {Object} Parsed JSON response
-         * @throws {Error} If request fails after retries
+         * @throws {Error} Retryable error (see isRetryableError) for transient failures, otherwise a plain error
          */
         function makeRequest(options) {
-            const { url, authHeader, retryCount = 0 } = options;
+            const { url, authHeader, apiLog, retryCount = 0 } = options;
+            const transport = options.transport || windcaveTransport.createLiveTransport();
+            const maxRetries = options.maxRetries !== undefined ? options.maxRetries : constants.MISC.TIMEOUT_RETRIES;
 
             try {
                 log.debug({
@@ -55,18 +279,31 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
                     details: 'Requesting: ' + url + ' (attempt ' + (retryCount + 1) + ')'
                 });
 
-                const response = https.get({
-                    url: url,
-                    headers: {
-                        'Authorization': authHeader,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
+                const startedAt = Date.now();
+                let response;
+                try {
+                    response = transport.get({
+                        url: url,
+                        headers: {
+                            'Authorization': authHeader,
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        }
+                    });
+                } catch (e) {
+                    if (apiLog) {
+                        apiLog.write({ url, attempt: retryCount + 1, latencyMs: Date.now() - startedAt, error: e.name + ': ' + e.message });
                     }
-                });
+                    throw e;
+                }
 
                 const statusCode = response.code;
                 const body = response.body;
 
+                if (apiLog) {
+                    apiLog.write({ url, attempt: retryCount + 1, latencyMs: Date.now() - startedAt, statusCode, body });
+                }
+
                 log.debug({
                     title: MODULE_NAME + '.makeRequest',
                     details: 'Response code: ' + statusCode
@@ -79,46 +316,56 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
 
                 // Handle authentication errors (no retry)
                 if (statusCode === 401 || statusCode === 403) {
-                    throw new Error(constants.ERRORS.API_AUTH_FAILED + ': ' + body);
+                    const authError = new Error(constants.ERRORS.API_AUTH_FAILED + ': ' + body);
+                    authError.name = constants.ERROR_NAMES.API_AUTH_FAILED;
+                    authError.statusCode = statusCode;
+                    throw authError;
                 }
 
-                // Handle server errors with retry
-                if (statusCode >= 500 && retryCount < constants.MISC.MAX_API_RETRIES) {
+                // Handle rate limiting and server errors - retryable in a later invocation
+                if (statusCode === 429 || statusCode >= 500) {
+                    const retryAfterMs = parseRetryAfter(getHeader(response.headers, 'Retry-After'));
+                    const reason = statusCode === 429 ? constants.ERRORS.API_RATE_LIMITED : constants.ERRORS.API_REQUEST_FAILED;
+
                     log.audit({
                         title: MODULE_NAME + '.makeRequest',
-                        details: 'Server error, retrying... (' + (retryCount + 1) + '/' + constants.MISC.MAX_API_RETRIES + ')'
+                        details: 'HTTP ' + statusCode + ' from Windcave' +
+                                 (retryAfterMs !== null ? ', Retry-After ' + Math.round(retryAfterMs / 1000) + 's' : '')
                     });
 
-                    // Simple delay using a synchronous approach
-                    const startTime = new Date().getTime();
-                    while (new Date().getTime() < startTime + constants.MISC.RETRY_DELAY_MS * (retryCount + 1)) {
-                        // Wait
-                    }
-
-                    return makeRequest({
-                        url: url,
-                        authHeader: authHeader,
-                        retryCount: retryCount + 1
-                    });
+                    throw createRetryableError(reason + ': HTTP ' + statusCode + ' - ' + body, statusCode, retryAfterMs);
                 }
 
                 // All other errors
                 throw new Error(constants.ERRORS.API_REQUEST_FAILED + ': HTTP ' + statusCode + ' - ' + body);
 
             } catch (e) {
-                if (e.name === 'SSS_REQUEST_TIME_EXCEEDED' && retryCount < constants.MISC.MAX_API_RETRIES) {
+                const isTimeout = e.name === 'SSS_REQUEST_TIME_EXCEEDED' || e.name === 'SSS_CONNECTION_TIME_OUT';
+
+                if (isTimeout && retryCount < maxRetries) {
                     log.audit({
                         title: MODULE_NAME + '.makeRequest',
-                        details: 'Request timeout, retrying... (' + (retryCount + 1) + '/' + constants.MISC.MAX_API_RETRIES + ')'
+                        details: 'Request timeout, retrying... (' + (retryCount + 1) + '/' + maxRetries + ')'
                     });
 
                     return makeRequest({
                         url: url,
                         authHeader: authHeader,
+                        transport: transport,
+                        maxRetries: maxRetries,
+                        apiLog: apiLog,
                         retryCount: retryCount + 1
                     });
                 }
 
+                if (isTimeout) {
+                    log.error({
+                        title: MODULE_NAME + '.makeRequest',
+                        details: 'Request timed out after ' + (retryCount + 1) + ' attempts: ' + url
+                    });
+                    throw createRetryableError(constants.ERRORS.API_REQUEST_FAILED + ': ' + e.message, null, null);
+                }
+
                 log.error({
                     title: MODULE_NAME + '.makeRequest',
                     details: 'Request failed: ' + e.message
@@ -128,108 +375,466 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
         }
 
         /**
-         * Searches for settlements within a date range
+         * Adds or replaces a query string parameter on a URL
+         * @param {string} url - URL to modify
+         * @param {string} name - Parameter name
+         * @param {string|number} value - Parameter value
+         * @returns {string} URL with the parameter set
+         */
+        function setQueryParam(url, name, value) {
+            const pattern = new RegExp('([?&])' + name + '=[^&]*');
+            const param = name + '=' + encodeURIComponent(value);
+
+            if (pattern.test(url)) {
+                return url.replace(pattern, '$1' + param);
+            }
+            return url + (url.indexOf('?') >= 0 ? '&' : '?') + param;
+        }
+
+        /**
+         * Determines the URL of the next page of a paginated response
+         * Follows a "next" link when Windcave provides one, otherwise falls back to
+         * offset-based paging while the reported total has not been reached.
+         * @param {string} url - URL of the first page
+         * @param {Object} page - Parsed response of the page just fetched
+         * @param {number} pageItemCount - Number of items on the page just fetched
+         * @param {number} collectedCount - Number of items collected so far
+         * @returns {string|null} Next page URL or null when there are no more pages
+         */
+        function getNextPageUrl(url, page, pageItemCount, collectedCount) {
+            const nextLink = (page.links || []).find(link => link && link.rel === 'next' && link.href);
+            if (nextLink) {
+                if (/^https?:\/\//i.test(nextLink.href)) {
+                    return nextLink.href;
+                }
+                const origin = url.match(/^https?:\/\/[^/]+/i)[0];
+                return origin + (nextLink.href.charAt(0) === '/' ? '' : '/') + nextLink.href;
+            }
+
+            const totalCount = parseInt(page.totalCount);
+            if (pageItemCount > 0 && totalCount > collectedCount) {
+                return setQueryParam(url, 'offset', collectedCount);
+            }
+
+            return null;
+        }
+
+        /**
+         * Fetches every page of a paginated Windcave response and combines the items
+         * @param {Object} options - Paging options
+         * @param {string} options.url - URL of the first page
+         * @param {string} options.authHeader - Authorization header value
+         * @param {Object} [options.transport] - Transport to send requests through
+         * @param {number} [options.maxRetries] - Immediate retries allowed for timeouts
+         * @param {Object} [options.apiLog] - Logger that records each call
+         * @param {string} options.itemsKey - Response property holding the page items
+         * @param {number} [options.maxPages] - Maximum number of pages to fetch
+         * @returns {Object} First page response with the combined items, plus
+         *                   pagesFetched and truncated (true if the page cap was hit)
+         */
+        function fetchAllPages(options) {
+            const { url, authHeader, transport, maxRetries, apiLog, itemsKey } = options;
+            const maxPages = options.maxPages || constants.MISC.MAX_API_PAGES;
+
+            const items = [];
+            const visitedUrls = [];
+            let firstPage = null;
+            let nextUrl = url;
+
+            while (nextUrl && visitedUrls.length < maxPages) {
+                if (visitedUrls.indexOf(nextUrl) >= 0) {
+                    log.error({
+                        title: MODULE_NAME + '.fetchAllPages',
+                        details: 'Next page link repeats an already fetched page, stopping: ' + nextUrl
+                    });
+                    nextUrl = null;
+                    break;
+                }
+                visitedUrls.push(nextUrl);
+
+                const page = makeRequest({ url: nextUrl, authHeader, transport, maxRetries, apiLog });
+                if (!firstPage) {
+                    firstPage = page;
+                }
+
+                const pageItems = page[itemsKey] || [];
+                items.push(...pageItems);
+
+                nextUrl = getNextPageUrl(url, page, pageItems.length, items.length);
+            }
+
+            const truncated = !!nextUrl;
+            if (truncated) {
+                log.error({
+                    title: MODULE_NAME + '.fetchAllPages',
+                    details: 'Page limit of ' + maxPages + ' reached with more ' + itemsKey +
+                             ' remaining. Results are incomplete: ' + url
+                });
+            } else if (visitedUrls.length > 1) {
+                log.audit({
+                    title: MODULE_NAME + '.fetchAllPages',
+                    details: 'Fetched ' + items.length + ' ' + itemsKey + ' across ' + visitedUrls.length + ' pages'
+                });
+            }
+
+            const combined = Object.assign({}, firstPage);
+            combined[itemsKey] = items;
+            combined.pagesFetched = visitedUrls.length;
+            combined.truncated = truncated;
+            delete combined.links;
+
+            return combined;
+        }
+
+        /**
+         * Splits an inclusive date range into consecutive windows of at most windowDays days
+         * @param {string} startDate - Start date (YYYY-MM-DD)
+         * @param {string} endDate - End date (YYYY-MM-DD)
+         * @param {number} [windowDays] - Maximum days per window (default: MISC.DEFAULT_FETCH_WINDOW_DAYS)
+         * @returns {Array} Windows of {startDate, endDate}; a single window if the dates cannot be parsed
+         */
+        function splitDateRange(startDate, endDate, windowDays) {
+            const days = parseInt(windowDays) > 0 ? parseInt(windowDays) : constants.MISC.DEFAULT_FETCH_WINDOW_DAYS;
+            const dayMs = 24 * 60 * 60 * 1000;
+            const toUtc = value => {
+                const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+                return parts ? Date.UTC(parseInt(parts[1]), parseInt(parts[2]) - 1, parseInt(parts[3])) : NaN;
+            };
+            const toText = ms => new Date(ms).toISOString().substring(0, 10);
+
+            const start = toUtc(startDate);
+            const end = toUtc(endDate);
+            if (isNaN(start) || isNaN(end) || start > end) {
+                return [{ startDate: startDate, endDate: endDate }];
+            }
+
+            const windows = [];
+            for (let windowStart = start; windowStart <= end; windowStart += days * dayMs) {
+                windows.push({
+                    startDate: toText(windowStart),
+                    endDate: toText(Math.min(windowStart + (days - 1) * dayMs, end))
+                });
+            }
+            return windows;
+        }
+
+        /**
+         * Searches for settlements within a date range, following pagination until exhausted
+         * Long ranges are fetched in consecutive windows (see splitDateRange) and the results
+         * combined, with settlements de-duplicated by ID.
          * @param {Object} options - Search options
          * @param {string} options.username - API username
          * @param {string} options.password - API password
+         * @param {string} [options.apiSecretId] - API Secret holding the API key, used instead of the password
+         * @param {Object} [options.secondary] - Secondary credentials tried after a 401/403 (see sendWithCredentials)
          * @param {string} options.environment - API environment (sec/uat)
+         * @param {string} [options.baseUrl] - Custom base URL used instead of the environment's
          * @param {string} [options.merchantId] - Merchant ID to filter by
          * @param {string} [options.customerId] - Customer ID to filter by
          * @param {string} options.startDate - Start date (YYYY-MM-DD)
          * @param {string} options.endDate - End date (YYYY-MM-DD)
-         * @returns {Object} Settlement search response
+         * @param {number} [options.windowDays] - Maximum days per settlement search request
+         * @param {number} [options.maxPages] - Maximum number of pages to fetch per window
+         * @param {Object} [options.transport] - Transport to send requests through (default: live)
+         * @param {number} [options.maxRetries] - Immediate retries allowed for timeouts
+         * @param {Object} [options.apiLog] - Logger that records each call (see windcave_api_log)
+         * @returns {Object} Settlement search response with all settlements combined
          */
         function getSettlements(options) {
-            const { username, password, environment, merchantId, customerId, startDate, endDate } = options;
+            const { environment, baseUrl, merchantId, customerId, startDate, endDate, windowDays, maxPages, transport, maxRetries, apiLog } = options;
 
             // Build the query URL
-            let url = getBaseUrl(environment) + constants.API.ENDPOINTS.SETTLEMENTS + '?';
+            let searchUrl = getBaseUrl(environment, baseUrl) + constants.API.ENDPOINTS.SETTLEMENTS + '?';
 
             // Add merchant or customer ID
             if (customerId) {
-                url += 'customerId=' + encodeURIComponent(customerId);
+                searchUrl += 'customerId=' + encodeURIComponent(customerId);
             } else if (merchantId) {
-                url += 'merchantId=' + encodeURIComponent(merchantId);
+                searchUrl += 'merchantId=' + encodeURIComponent(merchantId);
             } else {
                 throw new Error('Either merchantId or customerId must be provided');
             }
 
-            // Add date range
-            url += '&settlementDateStart=' + encodeURIComponent(startDate);
-            url += '&settlementDateEnd=' + encodeURIComponent(endDate);
+            const windows = splitDateRange(startDate, endDate, windowDays);
 
             log.audit({
                 title: MODULE_NAME + '.getSettlements',
-                details: 'Fetching settlements from ' + startDate + ' to ' + endDate
+                details: 'Fetching settlements from ' + startDate + ' to ' + endDate +
+                         ' in ' + windows.length + ' window(s)'
             });
 
-            const authHeader = buildAuthHeader(username, password);
-            const response = makeRequest({ url, authHeader });
+            let combined = null;
+            const settlements = [];
+            const seenIds = {};
+            let pagesFetched = 0;
+            let truncated = false;
+
+            for (const window of windows) {
+                // Add date range
+                const url = searchUrl +
+                    '&settlementDateStart=' + encodeURIComponent(window.startDate) +
+                    '&settlementDateEnd=' + encodeURIComponent(window.endDate);
+
+                const response = sendWithCredentials(options, authHeader => fetchAllPages({
+                    url: url,
+                    authHeader: authHeader,
+                    transport: transport,
+                    maxRetries: maxRetries,
+                    apiLog: apiLog,
+                    itemsKey: 'settlements',
+                    maxPages: maxPages
+                }));
+
+                combined = combined || response;
+                pagesFetched += response.pagesFetched;
+                truncated = truncated || response.truncated;
+
+                // Windows do not overlap, but guard against settlements reported in both
+                for (const settlement of response.settlements) {
+                    if (settlement && settlement.id && seenIds[settlement.id]) {
+                        continue;
+                    }
+                    if (settlement && settlement.id) {
+                        seenIds[settlement.id] = true;
+                    }
+                    settlements.push(settlement);
+                }
+
+                if (windows.length > 1) {
+                    log.debug({
+                        title: MODULE_NAME + '.getSettlements',
+                        details: 'Window ' + window.startDate + ' to ' + window.endDate + ': ' +
+                                 response.settlements.length + ' settlements'
+                    });
+                }
+            }
+
+            combined.settlements = settlements;
+            combined.pagesFetched = pagesFetched;
+            combined.truncated = truncated;
+            combined.windowsFetched = windows.length;
 
             log.audit({
                 title: MODULE_NAME + '.getSettlements',
-                details: 'Found ' + (response.settlements ? response.settlements.length : 0) + ' settlements'
+                details: 'Found ' + settlements.length + ' settlements'
             });
 
-            return response;
+            return combined;
         }
 
         /**
-         * Gets detailed transaction information for a specific settlement
+         * Gets detailed transaction information for a specific settlement, following
+         * pagination until every transaction has been fetched
          * @param {Object} options - Query options
          * @param {string} options.username - API username
          * @param {string} options.password - API password
+         * @param {string} [options.apiSecretId] - API Secret holding the API key, used instead of the password
+         * @param {Object} [options.secondary] - Secondary credentials tried after a 401/403 (see sendWithCredentials)
          * @param {string} options.environment - API environment (sec/uat)
+         * @param {string} [options.baseUrl] - Custom base URL used instead of the environment's
          * @param {string} options.settlementId - Settlement ID to query
-         * @returns {Object} Settlement detail response with transactions
+         * @param {number} [options.maxPages] - Maximum number of pages to fetch
+         * @param {Object} [options.transport] - Transport to send requests through (default: live)
+         * @param {number} [options.maxRetries] - Immediate retries allowed for timeouts
+         * @param {Object} [options.apiLog] - Logger that records each call (see windcave_api_log)
+         * @returns {Object} Settlement detail response with all transactions combined
          */
         function getSettlementDetails(options) {
-            const { username, password, environment, settlementId } = options;
+            const { environment, baseUrl, settlementId, maxPages, transport, maxRetries, apiLog } = options;
 
-            const url = getBaseUrl(environment) + constants.API.ENDPOINTS.SETTLEMENTS + '/' + encodeURIComponent(settlementId);
+            const url = getBaseUrl(environment, baseUrl) + constants.API.ENDPOINTS.SETTLEMENTS + '/' + encodeURIComponent(settlementId);
 
             log.audit({
                 title: MODULE_NAME + '.getSettlementDetails',
                 details: 'Fetching details for settlement: ' + settlementId
             });
 
-            const authHeader = buildAuthHeader(username, password);
-            const response = makeRequest({ url, authHeader });
+            const response = sendWithCredentials(options, authHeader => fetchAllPages({
+                url: url,
+                authHeader: authHeader,
+                transport: transport,
+                maxRetries: maxRetries,
+                apiLog: apiLog,
+                itemsKey: 'transactions',
+                maxPages: maxPages
+            }));
 
             log.audit({
                 title: MODULE_NAME + '.getSettlementDetails',
-                details: 'Found ' + (response.transactions ? response.transactions.length : 0) + ' transactions'
+                details: 'Found ' + response.transactions.length + ' transactions'
             });
 
             return response;
         }
 
+        /**
+         * Gets a single transaction from the Windcave transaction query endpoint
+         * Returns the card, customer and session data that the settlement payload leaves out.
+         * @param {Object} options - Query options
+         * @param {string} options.username - API username
+         * @param {string} options.password - API password
+         * @param {string} [options.apiSecretId] - API Secret holding the API key, used instead of the password
+         * @param {Object} [options.secondary] - Secondary credentials tried after a 401/403 (see sendWithCredentials)
+         * @param {string} options.environment - API environment (sec/uat)
+         * @param {string} [options.baseUrl] - Custom base URL used instead of the environment's
+         * @param {string} options.transactionId - Windcave transaction ID
+         * @param {Object} [options.transport] - Transport to send requests through (default: live)
+         * @param {number} [options.maxRetries] - Immediate retries allowed for timeouts
+         * @param {Object} [options.apiLog] - Logger that records each call (see windcave_api_log)
+         * @returns {Object} Transaction response
+         */
+        function getTransaction(options) {
+            const { environment, baseUrl, transactionId, transport, maxRetries, apiLog } = options;
+
+            const url = getBaseUrl(environment, baseUrl) + constants.API.ENDPOINTS.TRANSACTIONS + '/' + encodeURIComponent(transactionId);
+
+            log.debug({
+                title: MODULE_NAME + '.getTransaction',
+                details: 'Fetching transaction: ' + transactionId
+            });
+
+            return sendWithCredentials(options, authHeader => makeRequest({
+                url: url,
+                authHeader: authHeader,
+                transport: transport,
+                maxRetries: maxRetries,
+                apiLog: apiLog
+            }));
+        }
+
+        /**
+         * Extracts the fields used for enrichment and secondary matching from a transaction query response
+         * @param {Object} transaction - Response from getTransaction
+         * @returns {Object} Card scheme, masked card number, billing name, session ID,
+         *                   merchant reference and auth code (empty strings when absent)
+         */
+        function getTransactionEnrichment(transaction) {
+            const card = (transaction && transaction.card) || {};
+            const billing = (transaction && transaction.customer && transaction.customer.billing) || {};
+
+            return {
+                cardScheme: card.type || '',
+                maskedCard: card.cardNumber || '',
+                billingName: billing.name || card.cardHolderName || '',
+                sessionId: (transaction && transaction.sessionId) || '',
+                merchantReference: (transaction && transaction.merchantReference) || '',
+                authCode: (transaction && transaction.authCode) || ''
+            };
+        }
+
+        /**
+         * Returns the calendar and clock fields of a date as seen in a timezone
+         * Without a timezone the server's local time is used.
+         * @param {Date} date - Date to read
+         * @param {string} [timeZone] - IANA timezone (e.g. Pacific/Auckland)
+         * @returns {Object} {year, month (1-12), day, hour (0-23), minute, second, weekday (0=Sun)}
+         */
+        function getZonedDateParts(date, timeZone) {
+            if (!timeZone) {
+                return {
+                    year: date.getFullYear(),
+                    month: date.getMonth() + 1,
+                    day: date.getDate(),
+                    hour: date.getHours(),
+                    minute: date.getMinutes(),
+                    second: date.getSeconds(),
+                    weekday: date.getDay()
+                };
+            }
+
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit',
+                    weekday: 'short'
+                });
+            } catch (e) {
+                throw new Error(constants.ERRORS.INVALID_TIMEZONE + ': ' + timeZone);
+            }
+
+            const parts = {};
+            for (const part of formatter.formatToParts(date)) {
+                parts[part.type] = part.value;
+            }
+
+            return {
+                year: parseInt(parts.year),
+                month: parseInt(parts.month),
+                day: parseInt(parts.day),
+                hour: parseInt(parts.hour) % 24,
+                minute: parseInt(parts.minute),
+                second: parseInt(parts.second),
+                weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+            };
+        }
+
+        /**
+         * Checks whether a timezone name is recognised
+         * @param {string} timeZone - IANA timezone (e.g. Pacific/Auckland)
+         * @returns {boolean} True if the timezone can be used
+         */
+        function isValidTimeZone(timeZone) {
+            try {
+                getZonedDateParts(new Date(), timeZone);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
         /**
          * Formats a date as YYYY-MM-DD for API requests
          * @param {Date} date - Date to format
+         * @param {string} [timeZone] - IANA timezone to read the calendar date in (default: server local)
          * @returns {string} Formatted date string
          */
-        function formatDateForApi(date) {
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
+        function formatDateForApi(date, timeZone) {
+            const parts = getZonedDateParts(date, timeZone);
+            const year = parts.year;
+            const month = String(parts.month).padStart(2, '0');
+            const day = String(parts.day).padStart(2, '0');
             return year + '-' + month + '-' + day;
         }
 
+        /**
+         * Converts a YYYY-MM-DD date from the API to a calendar Date
+         * The date is built in the server's timezone, which NetSuite uses to write date fields,
+         * so it needs no timezone conversion.
+         * @param {string} dateString - Date (YYYY-MM-DD)
+         * @returns {Date} Date for setting NetSuite date fields such as trandate
+         */
+        function parseApiDate(dateString) {
+            const dateParts = dateString.split('-');
+            return new Date(parseInt(dateParts[0]), parseInt(dateParts[1]) - 1, parseInt(dateParts[2]));
+        }
+
         /**
          * Calculates the date range for settlement search based on lookback days
          * @param {number} lookbackDays - Number of days to look back
-         * @returns {Object} Object with startDate and endDate strings
+         * @param {number} [windowDays] - Maximum days per settlement search request
+         * @param {string} [timeZone] - IANA timezone that "today" is taken from (default: server local)
+         * @returns {Object} Object with startDate and endDate strings, and the windows getSettlements will fetch
          */
-        function calculateDateRange(lookbackDays) {
-            const endDate = new Date();
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - lookbackDays);
+        function calculateDateRange(lookbackDays, windowDays, timeZone) {
+            const today = getZonedDateParts(new Date(), timeZone);
 
-            return {
-                startDate: formatDateForApi(startDate),
-                endDate: formatDateForApi(endDate)
+            // Count back on the calendar date so daylight saving cannot shift the start by a day
+            const endDate = new Date(Date.UTC(today.year, today.month - 1, today.day));
+            const startDate = new Date(Date.UTC(today.year, today.month - 1, today.day - lookbackDays));
+
+            const range = {
+                startDate: startDate.toISOString().substring(0, 10),
+                endDate: endDate.toISOString().substring(0, 10)
             };
+            range.windows = splitDateRange(range.startDate, range.endDate, windowDays);
+            return range;
         }
 
         /**
@@ -242,13 +847,198 @@ define(['N/https', 'N/encode', 'N/log', './windcave_constants'],
             return new Date(isoString);
         }
 
+        /**
+         * Declared shape of a settlement returned by the Settlement Query API
+         * Each field lists the rule its value is checked against and whether it must be present.
+         */
+        const SETTLEMENT_SCHEMA = {
+            id: { rule: 'string', required: true },
+            settlementDate: { rule: 'date', required: true },
+            amount: { rule: 'amount', required: true },
+            currency: { rule: 'currency', required: true },
+            status: { rule: 'enum', values: Object.values(constants.SETTLEMENT_STATUS), required: true },
+            CRDR: { rule: 'enum', values: Object.values(constants.CRDR), required: true },
+            merchantId: { rule: 'string', required: true },
+            referenceNumber: { rule: 'string', required: false },
+            customerId: { rule: 'string', required: false }
+        };
+
+        /**
+         * Declared shape of a transaction within a settlement
+         */
+        const TRANSACTION_SCHEMA = {
+            id: { rule: 'string', required: true },
+            amount: { rule: 'amount', required: true },
+            currency: { rule: 'currency', required: true },
+            type: { rule: 'enum', values: Object.values(constants.TRANSACTION_TYPES), required: true },
+            merchantReference: { rule: 'string', required: false },
+            method: { rule: 'string', required: false },
+            authCode: { rule: 'string', required: false },
+            username: { rule: 'string', required: false },
+            dateTimeUtc: { rule: 'datetime', required: false },
+            fee: { rule: 'amount', required: false },
+            parentId: { rule: 'string', required: false }
+        };
+
+        /**
+         * Checks a single value against a schema rule
+         * @param {*} value - Value from the API payload (never empty)
+         * @param {Object} fieldSchema - Field definition from a schema
+         * @returns {string|null} Error message, or null if the value is valid
+         */
+        function checkRule(value, fieldSchema) {
+            const text = String(value);
+
+            switch (fieldSchema.rule) {
+                case 'string':
+                    return typeof value === 'string' || typeof value === 'number' ? null : 'must be text';
+                case 'amount':
+                    if ((typeof value !== 'string' && typeof value !== 'number') || !/^-?\d+(\.\d+)?$/.test(text.trim())) {
+                        return 'must be a numeric amount';
+                    }
+                    return null;
+                case 'currency':
+                    return /^[A-Z]{3}$/.test(text) ? null : 'must be a 3-letter ISO currency code';
+                case 'date': {
+                    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+                    if (!parts) {
+                        return 'must be a date in YYYY-MM-DD format';
+                    }
+                    const date = new Date(Date.UTC(parseInt(parts[1]), parseInt(parts[2]) - 1, parseInt(parts[3])));
+                    return date.getUTCMonth() === parseInt(parts[2]) - 1 && date.getUTCDate() === parseInt(parts[3]) ?
+                        null : 'is not a valid calendar date';
+                }
+                case 'datetime':
+                    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text) ||
+                        isNaN(new Date(text).getTime())) {
+                        return 'must be an ISO 8601 date and time';
+                    }
+                    return null;
+                case 'enum':
+                    return fieldSchema.values.indexOf(value) >= 0 ?
+                        null : 'must be one of ' + fieldSchema.values.join(', ');
+                default:
+                    return 'has unknown rule ' + fieldSchema.rule;
+            }
+        }
+
+        /**
+         * Validates an API payload item against a schema
+         * @param {Object} item - Settlement or transaction from the API
+         * @param {Object} schema - SETTLEMENT_SCHEMA or TRANSACTION_SCHEMA
+         * @returns {Array} Structured errors ({field, rule, message, value}); empty if valid
+         */
+        function validateAgainstSchema(item, schema) {
+            const errors = [];
+
+            if (!item || typeof item !== 'object') {
+                errors.push({ field: null, rule: 'object', message: 'Payload is not an object', value: item });
+                return errors;
+            }
+
+            for (const field of Object.keys(schema)) {
+                const fieldSchema = schema[field];
+                const value = item[field];
+
+                if (value === undefined || value === null || value === '') {
+                    if (fieldSchema.required) {
+                        errors.push({ field: field, rule: 'required', message: field + ' is required', value: null });
+                    }
+                    continue;
+                }
+
+                const problem = checkRule(value, fieldSchema);
+                if (problem) {
+                    errors.push({
+                        field: field,
+                        rule: fieldSchema.rule,
+                        message: field + ' ' + problem,
+                        value: typeof value === 'object' ? JSON.stringify(value) : value
+                    });
+                }
+            }
+
+            return errors;
+        }
+
+        /**
+         * Validates a settlement header against the settlement schema
+         * @param {Object} settlement - Settlement from the API
+         * @returns {Object} Result with isValid and errors
+         */
+        function validateSettlement(settlement) {
+            const errors = validateAgainstSchema(settlement, SETTLEMENT_SCHEMA);
+            return { isValid: errors.length === 0, errors: errors };
+        }
+
+        /**
+         * Validates a transaction against the transaction schema
+         * @param {Object} transaction - Transaction from the API
+         * @returns {Object} Result with isValid and errors
+         */
+        function validateTransaction(transaction) {
+            const errors = validateAgainstSchema(transaction, TRANSACTION_SCHEMA);
+            return { isValid: errors.length === 0, errors: errors };
+        }
+
+        /**
+         * Validates a settlement detail response and splits its transactions into valid and quarantined
+         * @param {Object} settlementDetails - Response from getSettlementDetails
+         * @returns {Object} Result with settlementErrors, validTransactions and invalidTransactions
+         *                   ({transaction, errors} for each quarantined transaction)
+         */
+        function validateSettlementDetails(settlementDetails) {
+            const settlementErrors = validateSettlement(settlementDetails).errors;
+            const validTransactions = [];
+            const invalidTransactions = [];
+
+            const transactions = (settlementDetails && settlementDetails.transactions) || [];
+            for (const transaction of transactions) {
+                const result = validateTransaction(transaction);
+                if (result.isValid) {
+                    validTransactions.push(transaction);
+                } else {
+                    invalidTransactions.push({ transaction: transaction, errors: result.errors });
+                }
+            }
+
+            if (settlementErrors.length > 0 || invalidTransactions.length > 0) {
+                log.audit({
+                    title: MODULE_NAME + '.validateSettlementDetails',
+                    details: 'Settlement ' + (settlementDetails && settlementDetails.id) + ' failed validation: ' +
+                             settlementErrors.length + ' header error(s), ' +
+                             invalidTransactions.length + ' invalid transaction(s)'
+                });
+            }
+
+            return {
+                isValid: settlementErrors.length === 0 && invalidTransactions.length === 0,
+                settlementErrors: settlementErrors,
+                validTransactions: validTransactions,
+                invalidTransactions: invalidTransactions
+            };
+        }
+
         return {
             buildAuthHeader,
             getBaseUrl,
+            getConnectionOptions,
+            getRetryDelay,
+            isRetryableError,
+            isAuthError,
+            splitDateRange,
             getSettlements,
             getSettlementDetails,
+            getTransaction,
+            getTransactionEnrichment,
+            getZonedDateParts,
+            isValidTimeZone,
             formatDateForApi,
+            parseApiDate,
             calculateDateRange,
-            parseIsoDateTime
+            parseIsoDateTime,
+            validateSettlement,
+            validateTransaction,
+            validateSettlementDetails
         };
     });
@@ -13,7 +13,10 @@ define([], function() {
     const RECORD_TYPES = {
         CONFIG: 'customrecord_windcave_config',
         SETTLEMENT: 'customrecord_windcave_settlement',
-        TRANSACTION_DETAIL: 'customrecord_windcave_txn_detail'
+        TRANSACTION_DETAIL: 'customrecord_windcave_txn_detail',
+        API_LOG: 'customrecord_windcave_api_log',
+        MATCH_GROUP: 'customrecord_windcave_match_group',
+        SUBSIDIARY_BANK: 'customrecord_windcave_sub_bank'
     };
 
     /**
@@ -22,10 +25,38 @@ define([], function() {
     const CONFIG_FIELDS = {
         API_USERNAME: 'custrecord_wc_api_username',
         API_PASSWORD: 'custrecord_wc_api_key',
+        API_SECRET_ID: 'custrecord_wc_api_secret_id',
+        SECONDARY_API_USERNAME: 'custrecord_wc_api_username_2',
+        SECONDARY_API_PASSWORD: 'custrecord_wc_api_key_2',
+        SECONDARY_API_SECRET_ID: 'custrecord_wc_api_secret_id_2',
+        ACTIVE_CREDENTIAL: 'custrecord_wc_active_credential',
+        PRIMARY_FAILED_AT: 'custrecord_wc_primary_failed_at',
+        FETCH_WINDOW_DAYS: 'custrecord_wc_fetch_window_days',
+        TIMEZONE: 'custrecord_wc_timezone',
+        NOTIFICATION_SECRET_ID: 'custrecord_wc_notify_secret_id',
+        BASE_URL: 'custrecord_wc_base_url',
+        SETTLEMENT_SOURCE: 'custrecord_wc_settlement_source',
+        IMPORT_FOLDER: 'custrecord_wc_import_folder',
+        IMPORT_ARCHIVE_FOLDER: 'custrecord_wc_import_archive_folder',
+        MATCH_STRATEGIES: 'custrecord_wc_match_strategies',
+        MATCH_BODY_FIELD: 'custrecord_wc_match_body_field',
+        REFERENCE_TEMPLATES: 'custrecord_wc_reference_templates',
+        REFERENCE_PREFIXES: 'custrecord_wc_reference_prefixes',
+        REFERENCE_SUFFIXES: 'custrecord_wc_reference_suffixes',
+        FUZZY_MATCHING: 'custrecord_wc_fuzzy_matching',
+        FUZZY_CONFIDENCE: 'custrecord_wc_fuzzy_confidence',
         MERCHANT_ID: 'custrecord_wc_merchant_id',
         CUSTOMER_ID: 'custrecord_wc_customer_id',
         ENVIRONMENT: 'custrecord_wc_environment',
         BANK_ACCOUNT: 'custrecord_wc_bank_account',
+        REFUND_ACCOUNT: 'custrecord_wc_refund_account',
+        DEBIT_HANDLING: 'custrecord_wc_debit_handling',
+        DEBIT_ACCOUNT: 'custrecord_wc_debit_account',
+        FEE_ACCOUNT: 'custrecord_wc_fee_account',
+        FEE_SCHEDULE: 'custrecord_wc_fee_schedule',
+        SURCHARGE_MODE: 'custrecord_wc_surcharge_mode',
+        SURCHARGE_LIMIT: 'custrecord_wc_surcharge_limit',
+        SURCHARGE_ACCOUNT: 'custrecord_wc_surcharge_account',
         LOOKBACK_DAYS: 'custrecord_wc_lookback_days',
         NOTIFICATION_EMAIL: 'custrecord_wc_notification_email',
         IS_ACTIVE: 'custrecord_wc_is_active',
@@ -35,7 +66,26 @@ define([], function() {
         SCHEDULE_HOUR: 'custrecord_wc_schedule_hour',
         SEND_EMAIL: 'custrecord_wc_send_email',
         LAST_RUN_DATE: 'custrecord_wc_last_run_date',
-        LAST_RUN_STATUS: 'custrecord_wc_last_run_status'
+        LAST_RUN_STATUS: 'custrecord_wc_last_run_status',
+        MAX_PAGES: 'custrecord_wc_max_pages',
+        TRANSPORT_MODE: 'custrecord_wc_transport_mode',
+        RECORDING_FOLDER: 'custrecord_wc_recording_folder',
+        RETRY_BUDGET: 'custrecord_wc_retry_budget',
+        RETRY_COUNT: 'custrecord_wc_retry_count',
+        NEXT_RETRY: 'custrecord_wc_next_retry',
+        CONSECUTIVE_FAILURES: 'custrecord_wc_consecutive_failures',
+        CIRCUIT_OPENED_AT: 'custrecord_wc_circuit_opened_at',
+        CIRCUIT_ALERT_SENT: 'custrecord_wc_circuit_alert_sent'
+    };
+
+    /**
+     * Circuit Breaker States
+     * OPEN skips the configuration; HALF_OPEN allows a single probe run once the cool-down has passed.
+     */
+    const CIRCUIT_STATES = {
+        CLOSED: 'CLOSED',
+        OPEN: 'OPEN',
+        HALF_OPEN: 'HALF_OPEN'
     };
 
     /**
@@ -60,12 +110,18 @@ define([], function() {
         MERCHANT_ID: 'custrecord_ws_merchant_id',
         CUSTOMER_ID: 'custrecord_ws_customer_id',
         BANK_DEPOSIT: 'custrecord_ws_bank_deposit',
+        BANK_DEPOSITS: 'custrecord_ws_bank_deposits',
+        DEBIT_TRANSACTION: 'custrecord_ws_debit_transaction',
+        DEBIT_RECORD_TYPE: 'custrecord_ws_debit_record_type',
         PROCESSED: 'custrecord_ws_processed',
         MATCHED_COUNT: 'custrecord_ws_matched_count',
         UNMATCHED_COUNT: 'custrecord_ws_unmatched_count',
         MATCHED_AMOUNT: 'custrecord_ws_matched_amount',
         ERROR_MESSAGE: 'custrecord_ws_error_message',
-        PROCESSED_DATE: 'custrecord_ws_processed_date'
+        PROCESSED_DATE: 'custrecord_ws_processed_date',
+        QUARANTINED: 'custrecord_ws_quarantined',
+        QUARANTINED_COUNT: 'custrecord_ws_quarantined_count',
+        VALIDATION_ERRORS: 'custrecord_ws_validation_errors'
     };
 
     /**
@@ -85,8 +141,61 @@ define([], function() {
         NS_TRANSACTION: 'custrecord_wtd_ns_transaction',
         MATCHED: 'custrecord_wtd_matched',
         MATCH_ERROR: 'custrecord_wtd_match_error',
+        MATCH_STRATEGY: 'custrecord_wtd_match_strategy',
+        MATCH_SCORE: 'custrecord_wtd_match_score',
+        MATCH_SUGGESTIONS: 'custrecord_wtd_match_suggestions',
+        MATCH_GROUP: 'custrecord_wtd_match_group',
         IN_DEPOSIT: 'custrecord_wtd_in_deposit',
-        BANK_DEPOSIT: 'custrecord_wtd_bank_deposit'
+        CARD_SCHEME: 'custrecord_wtd_card_scheme',
+        MASKED_CARD: 'custrecord_wtd_masked_card',
+        BILLING_NAME: 'custrecord_wtd_billing_name',
+        SESSION_ID: 'custrecord_wtd_session_id',
+        ENRICHED: 'custrecord_wtd_enriched',
+        BANK_DEPOSIT: 'custrecord_wtd_bank_deposit',
+        FEE: 'custrecord_wtd_fee',
+        SURCHARGE: 'custrecord_wtd_surcharge',
+        PARENT_ID: 'custrecord_wtd_parent_id',
+        LIFECYCLE_STATUS: 'custrecord_wtd_lifecycle_status'
+    };
+
+    /**
+     * Match Group Record Field IDs
+     * A match group ties Windcave transactions and NetSuite payments whose totals balance
+     */
+    const MATCH_GROUP_FIELDS = {
+        SETTLEMENT: 'custrecord_wmg_settlement',
+        NS_TRANSACTIONS: 'custrecord_wmg_ns_transactions',
+        WINDCAVE_AMOUNT: 'custrecord_wmg_windcave_amount',
+        NS_AMOUNT: 'custrecord_wmg_ns_amount',
+        CURRENCY: 'custrecord_wmg_currency',
+        MATCH_STRATEGY: 'custrecord_wmg_match_strategy'
+    };
+
+    /**
+     * Subsidiary Bank Account Record Field IDs
+     * Child of a configuration: the bank account deposits for one subsidiary's payments go to
+     */
+    const SUBSIDIARY_BANK_FIELDS = {
+        CONFIG: 'custrecord_wsb_config',
+        SUBSIDIARY: 'custrecord_wsb_subsidiary',
+        BANK_ACCOUNT: 'custrecord_wsb_bank_account'
+    };
+
+    /**
+     * API Log Record Field IDs
+     */
+    const API_LOG_FIELDS = {
+        CONFIG: 'custrecord_wal_config',
+        REQUESTED_AT: 'custrecord_wal_requested_at',
+        ENDPOINT: 'custrecord_wal_endpoint',
+        QUERY_PARAMS: 'custrecord_wal_query_params',
+        STATUS_CODE: 'custrecord_wal_status_code',
+        LATENCY_MS: 'custrecord_wal_latency_ms',
+        ATTEMPT: 'custrecord_wal_attempt',
+        RESPONSE_SIZE: 'custrecord_wal_response_size',
+        BODY_HASH: 'custrecord_wal_body_hash',
+        TRANSPORT_MODE: 'custrecord_wal_transport_mode',
+        ERROR: 'custrecord_wal_error'
     };
 
     /**
@@ -96,7 +205,8 @@ define([], function() {
         BASE_URL_PROD: 'https://sec.windcave.com/api/v1',
         BASE_URL_UAT: 'https://uat.windcave.com/api/v1',
         ENDPOINTS: {
-            SETTLEMENTS: '/settlements'
+            SETTLEMENTS: '/settlements',
+            TRANSACTIONS: '/transactions'
         },
         ENVIRONMENTS: {
             PRODUCTION: 'sec',
@@ -104,6 +214,61 @@ define([], function() {
         }
     };
 
+    /**
+     * API Transport Modes
+     * LIVE calls Windcave, RECORD calls Windcave and saves each response to the
+     * File Cabinet, REPLAY serves previously recorded responses without calling Windcave.
+     */
+    const TRANSPORT_MODES = {
+        LIVE: 'LIVE',
+        RECORD: 'RECORD',
+        REPLAY: 'REPLAY'
+    };
+
+    /**
+     * Settlement Sources
+     * API fetches settlements from the Windcave REST API, FILE imports Windcave settlement
+     * report exports (CSV) from the configuration's import folder.
+     */
+    const SETTLEMENT_SOURCES = {
+        API: 'API',
+        FILE: 'FILE'
+    };
+
+    /**
+     * Debit Settlement Handling
+     * MANUAL leaves debit (DR) settlements for the accountant; JOURNAL, CHECK and TRANSFER take the
+     * settlement amount out of the bank account with that record, offset to the Debit Offset Account.
+     */
+    const DEBIT_HANDLING = {
+        MANUAL: 'MANUAL',
+        JOURNAL: 'JOURNAL',
+        CHECK: 'CHECK',
+        TRANSFER: 'TRANSFER'
+    };
+
+    /**
+     * Where the fees on a deposit's fee line came from
+     * SETTLEMENT is the gap between the deposited transactions and the settlement amount,
+     * TRANSACTION the fees Windcave sent per transaction, SCHEDULE the configured Fee Schedule.
+     */
+    const FEE_SOURCES = {
+        SETTLEMENT: 'SETTLEMENT',
+        TRANSACTION: 'TRANSACTION',
+        SCHEDULE: 'SCHEDULE'
+    };
+
+    /**
+     * Surcharge Modes
+     * OFF rejects a Windcave amount above its payment; PERCENT and FLAT accept the difference as a
+     * card surcharge up to the Surcharge Limit, a percentage of the payment or an amount.
+     */
+    const SURCHARGE_MODES = {
+        OFF: 'OFF',
+        PERCENT: 'PERCENT',
+        FLAT: 'FLAT'
+    };
+
     /**
      * Settlement Status Values from Windcave
      */
@@ -132,6 +297,43 @@ define([], function() {
         VOID: 'Void'
     };
 
+    /**
+     * Lifecycle status of a transaction that is not deposited
+     * AUTHORISED is a pre-auth not completed in its settlement, COMPLETED a pre-auth whose
+     * Complete carries the money, CANCELLED a Void or a transaction it voided.
+     */
+    const LIFECYCLE_STATUS = {
+        AUTHORISED: 'AUTHORISED',
+        COMPLETED: 'COMPLETED',
+        CANCELLED: 'CANCELLED'
+    };
+
+    /**
+     * Matching strategies a configuration can enable and order (Match Strategies field)
+     * Each looks the Windcave merchant reference up in a different place, except AUTHCODE,
+     * which uses the auth code and Windcave transaction ID (pnref).
+     */
+    const MATCH_STRATEGIES = {
+        TRANID: 'TRANID',
+        INTERNAL_ID: 'INTERNALID',
+        EXTERNAL_ID: 'EXTERNALID',
+        BODY_FIELD: 'BODYFIELD',
+        MEMO: 'MEMO',
+        AUTH_CODE: 'AUTHCODE'
+    };
+
+    /**
+     * Match Strategy values recorded for matches not made by a configured strategy
+     */
+    const MATCH_STRATEGY_OTHER = {
+        ENRICHMENT: 'ENRICHMENT',
+        FUZZY: 'FUZZY',
+        MANUAL: 'MANUAL',
+        REFUND_REFERENCE: 'REFUND_REFERENCE',
+        REFUND_PNREF: 'REFUND_PNREF',
+        REFUND_AMOUNT: 'REFUND_AMOUNT'
+    };
+
     /**
      * NetSuite Transaction Types for matching
      */
@@ -139,7 +341,8 @@ define([], function() {
         CUSTOMER_PAYMENT: 'customerpayment',
         CASH_SALE: 'cashsale',
         SALES_ORDER: 'salesorder',
-        CUSTOMER_REFUND: 'customerrefund'
+        CUSTOMER_REFUND: 'customerrefund',
+        CASH_REFUND: 'cashrefund'
     };
 
     /**
@@ -150,11 +353,65 @@ define([], function() {
         CONFIG_INACTIVE: 'Windcave configuration is inactive',
         API_AUTH_FAILED: 'Windcave API authentication failed',
         API_REQUEST_FAILED: 'Windcave API request failed',
+        API_RATE_LIMITED: 'Windcave API rate limit exceeded',
         SETTLEMENT_ALREADY_PROCESSED: 'Settlement has already been processed',
         NO_MATCHING_PAYMENT: 'No matching NetSuite payment found',
         PAYMENT_ALREADY_DEPOSITED: 'Payment has already been deposited',
+        PAYMENT_ALREADY_MATCHED: 'Payment is already matched to another Windcave transaction in this settlement',
         AMOUNT_MISMATCH: 'Transaction amount does not match payment amount',
-        CURRENCY_MISMATCH: 'Transaction currency does not match bank account currency'
+        CURRENCY_MISMATCH: 'Transaction currency does not match bank account currency',
+        RECORDING_FOLDER_MISSING: 'A recording folder is required for RECORD and REPLAY transport modes',
+        RECORDING_NOT_FOUND: 'No recorded Windcave response found',
+        API_SECRET_INVALID: 'API Secret ID must be the script ID of a NetSuite API Secret (custsecret_...)',
+        SETTLEMENT_INVALID: 'Settlement failed validation and was quarantined; nothing was processed',
+        INVALID_TIMEZONE: 'Timezone is not a recognised IANA timezone name',
+        NOTIFICATION_SIGNATURE_INVALID: 'Notification signature is missing or does not match',
+        NOTIFICATION_CONFIG_NOT_FOUND: 'No active Windcave configuration with a notification secret for merchant',
+        NOTIFICATION_REJECTED: 'Notification rejected',
+        IMPORT_FOLDER_MISSING: 'An import folder is required for the FILE settlement source',
+        IMPORT_FILE_INVALID: 'Settlement file could not be imported',
+        MATCH_GROUP_UNBALANCED: 'Windcave transactions and NetSuite payments in the group do not balance',
+        MATCH_GROUP_INVALID: 'Match group could not be created',
+        NO_MATCHING_REFUND: 'No matching NetSuite Customer Refund or Cash Refund found',
+        REFUND_NOT_DEPOSITABLE: 'Refund is not in Undeposited Funds and no Refund Account is configured',
+        DEBIT_ACCOUNT_MISSING: 'A Debit Offset Account is required to record debit settlements',
+        NOT_DEPOSITABLE: 'Windcave transaction is a pre-auth, void or voided transaction and is not deposited'
+    };
+
+    /**
+     * Error names used to classify thrown errors
+     */
+    const ERROR_NAMES = {
+        API_RETRYABLE: 'WINDCAVE_API_RETRYABLE',
+        API_AUTH_FAILED: 'WINDCAVE_API_AUTH_FAILED'
+    };
+
+    /**
+     * Credential pairs on a configuration
+     */
+    const CREDENTIALS = {
+        PRIMARY: 'PRIMARY',
+        SECONDARY: 'SECONDARY'
+    };
+
+    /**
+     * Settlement notification receiver
+     */
+    const NOTIFICATIONS = {
+        SIGNATURE_HEADER: 'X-Windcave-Signature',
+        SIGNATURE_PARAM: 'signature',
+        SCHEDULED_SCRIPT_ID: 'customscript_windcave_settlement_ss',
+        PARAM_CONFIG: 'custscript_wc_notify_config',
+        PARAM_SETTLEMENT: 'custscript_wc_notify_settlement'
+    };
+
+    /**
+     * Settlement file import
+     */
+    const FILE_IMPORT = {
+        PARAM_FILE: 'custscript_wc_import_file',
+        FILE_TYPES: ['CSV', 'PLAINTEXT'], // File Cabinet types picked up from an import folder
+        ID_PREFIX: 'FILE-' // Prefix for settlement IDs built when a report has no settlement ID column
     };
 
     /**
@@ -163,6 +420,7 @@ define([], function() {
     const EMAIL = {
         SUBJECT_SUCCESS: 'Windcave Settlement Processing Complete',
         SUBJECT_ERROR: 'Windcave Settlement Processing - Errors Detected',
+        SUBJECT_CIRCUIT_OPEN: 'Windcave Settlement Processing - Configuration Suspended',
         AUTHOR_ID: -5 // System author, update as needed
     };
 
@@ -171,23 +429,56 @@ define([], function() {
      */
     const MISC = {
         DEFAULT_LOOKBACK_DAYS: 1,
+        DEFAULT_FETCH_WINDOW_DAYS: 7, // Maximum days per settlement search request
+        DEFAULT_MATCH_STRATEGIES: 'TRANID,AUTHCODE', // Matching order when a configuration sets none
         AMOUNT_TOLERANCE: 0.01, // Tolerance for amount matching (currency rounding)
-        MAX_API_RETRIES: 3,
-        RETRY_DELAY_MS: 1000
+        AMOUNT_TOLERANCE_MINOR_UNITS: 1, // Same tolerance in minor units (one cent, yen or fils)
+        MAX_API_RETRIES: 3, // Default retry budget per configuration
+        TIMEOUT_RETRIES: 2, // Immediate retries of a timed-out request within a run, separate from the retry budget
+        RETRY_DELAY_MS: 60000, // Base delay for exponential backoff (1 minute)
+        RETRY_MAX_DELAY_MS: 3600000, // Backoff ceiling (1 hour, how often the retry deployment runs as a safety net)
+        RETRY_DEPLOYMENT_ID: 'customdeploy_windcave_settlement_ss_retry', // Queued for deferred retries; runs only configurations with one due
+        CIRCUIT_FAILURE_THRESHOLD: 3, // Consecutive failed runs before a configuration is suspended
+        CIRCUIT_COOLDOWN_HOURS: 24, // Time before a suspended configuration is probed again
+        MAX_API_PAGES: 50, // Default cap on pages fetched per paginated API call
+        TEXTAREA_MAX_LENGTH: 4000, // NetSuite limit for Text Area fields
+        MAX_ENRICHMENTS_PER_SETTLEMENT: 25, // Cap on transaction query calls for unmatched transactions per settlement
+        DEFAULT_FUZZY_CONFIDENCE: 80, // Score (out of 100) at which a fuzzy match is applied automatically
+        FUZZY_AMOUNT_RANGE: 0.01, // Candidates may differ from the Windcave amount by up to 1%
+        FUZZY_DATE_WINDOW_DAYS: 3, // Candidates are dated up to this many days either side of the transaction
+        FUZZY_POINTS_PER_DAY: 10, // Date points lost for each day between candidate and transaction
+        FUZZY_MAX_CANDIDATES: 20, // Candidates scored per transaction
+        FUZZY_MAX_SUGGESTIONS: 3 // Suggestions stored on a transaction detail
     };
 
     return {
         RECORD_TYPES,
         CONFIG_FIELDS,
         SCHEDULE_FREQUENCY,
+        CIRCUIT_STATES,
         SETTLEMENT_FIELDS,
         TXN_DETAIL_FIELDS,
+        MATCH_GROUP_FIELDS,
+        SUBSIDIARY_BANK_FIELDS,
+        API_LOG_FIELDS,
         API,
+        TRANSPORT_MODES,
+        SETTLEMENT_SOURCES,
+        DEBIT_HANDLING,
+        FEE_SOURCES,
+        SURCHARGE_MODES,
         SETTLEMENT_STATUS,
         CRDR,
         TRANSACTION_TYPES,
+        LIFECYCLE_STATUS,
+        MATCH_STRATEGIES,
+        MATCH_STRATEGY_OTHER,
         NS_TRANSACTION_TYPES,
         ERRORS,
+        ERROR_NAMES,
+        CREDENTIALS,
+        NOTIFICATIONS,
+        FILE_IMPORT,
         EMAIL,
         MISC
     };
@@ -0,0 +1,200 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Fees Module
+ * Works out the merchant fees Windcave kept from a settlement, so a Bank Deposit of the
+ * gross matched payments can carry them as a cash back line and equal the bank line, and
+ * the card surcharges customers paid on top of their NetSuite payments.
+ */
+define(['N/log', './windcave_constants', './windcave_money', './windcave_lifecycle'],
+    function(log, constants, money, lifecycle) {
+
+        const MODULE_NAME = 'WindcaveFees';
+
+        /**
+         * Parses a configuration's Fee Schedule
+         * The schedule is a percentage of each sale, a fixed fee per sale, or both, e.g.
+         * "1.9% + 0.30", "2.5%" or "0.25".
+         * @param {string} value - Field value
+         * @returns {Object|null} Schedule with percent and fixed (major units), or null if empty or invalid
+         */
+        function parseSchedule(value) {
+            const text = String(value || '').replace(/\s+/g, '');
+            if (!text) {
+                return null;
+            }
+
+            const parts = text.match(/^(?:(\d+(?:\.\d+)?)%)?(?:\+?(\d+(?:\.\d+)?))?$/);
+            if (!parts || (!parts[1] && !parts[2])) {
+                log.error({
+                    title: MODULE_NAME + '.parseSchedule',
+                    details: 'Fee schedule ignored, expected e.g. "1.9% + 0.30": ' + value
+                });
+                return null;
+            }
+
+            return {
+                percent: parseFloat(parts[1] || '0'),
+                fixed: parts[2] || '0'
+            };
+        }
+
+        /**
+         * Checks whether a transaction moves money in a settlement
+         * @param {Object} txn - Windcave transaction
+         * @returns {boolean} True for purchases, completions and refunds
+         */
+        function movesMoney(txn) {
+            return txn.type === constants.TRANSACTION_TYPES.PURCHASE ||
+                   txn.type === constants.TRANSACTION_TYPES.COMPLETE ||
+                   txn.type === constants.TRANSACTION_TYPES.REFUND;
+        }
+
+        /**
+         * Totals transactions with refunds subtracted
+         * @param {Array} transactions - Windcave transactions (amount, type)
+         * @param {string} currency - ISO 4217 currency code
+         * @returns {number} Net total in minor units
+         */
+        function netMinorUnits(transactions, currency) {
+            let total = 0;
+            for (const txn of transactions) {
+                const minorUnits = money.toMinorUnits(txn.amount, currency);
+                total += txn.type === constants.TRANSACTION_TYPES.REFUND ? -minorUnits : minorUnits;
+            }
+            return total;
+        }
+
+        /**
+         * Works out the fees for the transactions in a deposit
+         * When the deposit holds every transaction that moves money in a credit settlement (voided
+         * ones aside), the fees are the difference between their net total and the settlement amount. Otherwise
+         * they are the transactions' own fees if Windcave sent them, or the fee schedule applied
+         * to each sale.
+         * @param {Object} options - Fee options
+         * @param {Object} options.settlementData - Settlement (amount, currency, CRDR, transactions, truncated)
+         * @param {Array} options.depositedTransactions - Windcave transactions in the deposit (amount, type, fee)
+         * @param {string} [options.feeSchedule] - Fee Schedule field value
+         * @returns {Object} Fees in minorUnits (never negative) and the source used, or a null source if none
+         */
+        function calculateDepositFees(options) {
+            const { settlementData, depositedTransactions, feeSchedule } = options;
+            const currency = settlementData.currency;
+
+            const depositedIds = depositedTransactions.map(txn => String(txn.id));
+            const transactions = settlementData.transactions || [];
+            const lifecycleStatuses = lifecycle.classifyTransactions(transactions);
+            const settled = transactions.filter(txn => movesMoney(txn) && !lifecycleStatuses[String(txn.id)]);
+            const allDeposited = !settlementData.truncated && settled.length > 0 &&
+                settlementData.CRDR === constants.CRDR.CREDIT &&
+                settled.every(txn => depositedIds.indexOf(String(txn.id)) >= 0);
+
+            if (allDeposited) {
+                const difference = netMinorUnits(settled, currency) - money.toMinorUnits(settlementData.amount, currency);
+                if (difference < 0) {
+                    log.audit({
+                        title: MODULE_NAME + '.calculateDepositFees',
+                        details: 'Settlement ' + settlementData.id + ' pays ' + money.formatAmount(-difference, currency) +
+                                 ' more than its transactions; no fee line added'
+                    });
+                    return { minorUnits: 0, source: null };
+                }
+                return { minorUnits: difference, source: constants.FEE_SOURCES.SETTLEMENT };
+            }
+
+            const withFees = depositedTransactions.filter(txn => txn.fee !== undefined && txn.fee !== null && txn.fee !== '');
+            if (withFees.length > 0) {
+                return {
+                    minorUnits: Math.max(0, money.sum(withFees.map(txn => txn.fee), currency)),
+                    source: constants.FEE_SOURCES.TRANSACTION
+                };
+            }
+
+            const schedule = parseSchedule(feeSchedule);
+            if (schedule) {
+                const fixed = money.toMinorUnits(schedule.fixed, currency);
+                let total = 0;
+                for (const txn of depositedTransactions) {
+                    if (movesMoney(txn) && txn.type !== constants.TRANSACTION_TYPES.REFUND) {
+                        total += Math.round(money.toMinorUnits(txn.amount, currency) * schedule.percent / 100) + fixed;
+                    }
+                }
+                return { minorUnits: total, source: constants.FEE_SOURCES.SCHEDULE };
+            }
+
+            return { minorUnits: 0, source: null };
+        }
+
+        /**
+         * Shares fees across deposits in proportion to their net amounts
+         * Shares are whole minor units that add up to the fees; deposits with no positive net
+         * amount get none unless every deposit is in that position, when the first takes the lot.
+         * @param {number} minorUnits - Fees to share, in minor units
+         * @param {Array<number>} netAmounts - Net amount of each deposit, in minor units
+         * @returns {Array<number>} Fee share of each deposit, in minor units
+         */
+        function shareFees(minorUnits, netAmounts) {
+            const weights = netAmounts.map(net => Math.max(net, 0));
+            const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+            if (totalWeight === 0) {
+                return netAmounts.map((net, index) => index === 0 ? minorUnits : 0);
+            }
+
+            const shares = weights.map(weight => Math.floor(minorUnits * weight / totalWeight));
+            let remainder = minorUnits - shares.reduce((total, share) => total + share, 0);
+
+            // Hand out what rounding down left over, largest fractions first
+            const order = weights
+                .map((weight, index) => ({ index: index, fraction: minorUnits * weight / totalWeight - shares[index] }))
+                .sort((a, b) => b.fraction - a.fraction);
+            for (let i = 0; remainder > 0; i = (i + 1) % order.length) {
+                if (weights[order[i].index] > 0) {
+                    shares[order[i].index]++;
+                    remainder--;
+                }
+            }
+
+            return shares;
+        }
+
+        /**
+         * Works out the card surcharge in a Windcave amount above its NetSuite payment
+         * PERCENT limits the surcharge to a percentage of the payment, FLAT to an amount.
+         * @param {Object} options - Surcharge options
+         * @param {string|number} options.paymentAmount - NetSuite payment amount
+         * @param {string|number} options.windcaveAmount - Windcave transaction amount
+         * @param {string} options.currency - ISO 4217 currency code
+         * @param {string} options.mode - PERCENT or FLAT (constants.SURCHARGE_MODES)
+         * @param {number} options.limit - Largest surcharge accepted, a percentage or an amount
+         * @returns {number|null} Surcharge in minor units, or null if the Windcave amount is not
+         *          above the payment or the difference is over the limit
+         */
+        function calculateSurcharge(options) {
+            const { paymentAmount, windcaveAmount, currency, mode, limit } = options;
+            const payment = money.toMinorUnits(paymentAmount, currency);
+            const surcharge = money.toMinorUnits(windcaveAmount, currency) - payment;
+
+            if (surcharge <= constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS || !(limit > 0)) {
+                return null;
+            }
+
+            let limitMinorUnits = 0;
+            if (mode === constants.SURCHARGE_MODES.PERCENT) {
+                limitMinorUnits = Math.round(payment * limit / 100);
+            } else if (mode === constants.SURCHARGE_MODES.FLAT) {
+                limitMinorUnits = money.toMinorUnits(limit, currency);
+            }
+
+            return surcharge <= limitMinorUnits + constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS ? surcharge : null;
+        }
+
+        return {
+            calculateDepositFees,
+            calculateSurcharge,
+            netMinorUnits,
+            parseSchedule,
+            shareFees
+        };
+    }
+);
@@ -0,0 +1,278 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Fuzzy Matching Module
+ * Scores Customer Payments and Cash Sales in Undeposited Funds against a Windcave
+ * transaction the exact strategies could not match, on amount, date, customer and
+ * payment method.
+ */
+define(['N/search', 'N/format', 'N/log', './windcave_constants', './windcave_api_module', './windcave_money'],
+    function(search, format, log, constants, windcaveApi, money) {
+
+        const MODULE_NAME = 'WindcaveFuzzyMatch';
+
+        /**
+         * Points for each signal; a candidate scores out of 100
+         */
+        const WEIGHTS = {
+            AMOUNT: 40, // Amount within tolerance, falling to 0 at FUZZY_AMOUNT_RANGE
+            DATE: 30, // Same day, less FUZZY_POINTS_PER_DAY for each day apart
+            CUSTOMER: 10, // Billing name or parsed customer ID found in the customer name
+            PAYMENT_METHOD: 10, // Card scheme or method found in the payment method name
+            UNIQUE: 10 // The only candidate with the exact amount
+        };
+
+        /**
+         * Card scheme names as NetSuite payment methods usually spell them, compared without
+         * case, spaces or punctuation
+         */
+        const SCHEME_ALIASES = {
+            amex: 'americanexpress',
+            diners: 'dinersclub',
+            mc: 'mastercard'
+        };
+
+        /**
+         * Lowercases text and removes everything but letters and digits
+         * @param {string} text - Text to normalise
+         * @returns {string} Normalised text
+         */
+        function normalise(text) {
+            return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        }
+
+        /**
+         * Counts the calendar days between two YYYY-MM-DD dates
+         * @param {string} dateA - First date
+         * @param {string} dateB - Second date
+         * @returns {number} Days apart (never negative)
+         */
+        function daysBetween(dateA, dateB) {
+            const toUtc = date => {
+                const parts = date.split('-');
+                return Date.UTC(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
+            };
+            return Math.round(Math.abs(toUtc(dateA) - toUtc(dateB)) / 86400000);
+        }
+
+        /**
+         * Formats a NetSuite date search value as YYYY-MM-DD
+         * @param {string} value - Date in the user's date format
+         * @returns {string} Formatted date, or an empty string if it cannot be parsed
+         */
+        function toIsoDate(value) {
+            try {
+                return windcaveApi.formatDateForApi(format.parse({ value: value, type: format.Type.DATE }));
+            } catch (e) {
+                return '';
+            }
+        }
+
+        /**
+         * Formats a YYYY-MM-DD date moved by a number of days for a search filter
+         * @param {string} date - Date (YYYY-MM-DD)
+         * @param {number} days - Days to add (negative to subtract)
+         * @returns {string} Date in the user's date format
+         */
+        function formatFilterDate(date, days) {
+            const parts = date.split('-');
+            const shifted = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]) + days);
+            return format.format({ value: shifted, type: format.Type.DATE });
+        }
+
+        /**
+         * Searches Undeposited Funds for payments and cash sales in a transaction's currency
+         * near its amount and date
+         * @param {Object} txn - Windcave transaction
+         * @param {string} txnDate - Transaction date (YYYY-MM-DD) in the merchant's timezone
+         * @returns {Array} Candidates with internalId, tranId, tranDate, entity, amount, currency
+         *                  (ISO code) and paymentMethod
+         */
+        function findCandidates(txn, txnDate) {
+            const amount = parseFloat(txn.amount);
+            const range = Math.max(Math.abs(amount) * constants.MISC.FUZZY_AMOUNT_RANGE, constants.MISC.AMOUNT_TOLERANCE);
+            const windowDays = constants.MISC.FUZZY_DATE_WINDOW_DAYS;
+
+            const txnSearch = search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['mainline', 'is', 'T'],
+                    'AND',
+                    ['type', 'anyof', 'CustPymt', 'CashSale'],
+                    'AND',
+                    ['undepfunds', 'is', 'T'],
+                    'AND',
+                    ['amount', 'between', amount - range, amount + range],
+                    'AND',
+                    ['trandate', 'within', formatFilterDate(txnDate, -windowDays), formatFilterDate(txnDate, windowDays)],
+                    'AND',
+                    ['currency.symbol', 'is', txn.currency]
+                ],
+                columns: [
+                    'internalid',
+                    'tranid',
+                    'trandate',
+                    'entity',
+                    'amount',
+                    search.createColumn({
+                        name: 'symbol',
+                        join: 'currency'
+                    }),
+                    'paymentmethod'
+                ]
+            });
+
+            const candidates = [];
+            txnSearch.run().getRange({ start: 0, end: constants.MISC.FUZZY_MAX_CANDIDATES }).forEach(result => {
+                candidates.push({
+                    internalId: result.getValue('internalid'),
+                    tranId: result.getValue('tranid'),
+                    tranDate: toIsoDate(result.getValue('trandate')),
+                    entity: result.getText('entity') || '',
+                    amount: result.getValue('amount'),
+                    currency: result.getValue({
+                        name: 'symbol',
+                        join: 'currency'
+                    }),
+                    paymentMethod: result.getText('paymentmethod') || ''
+                });
+            });
+
+            return candidates;
+        }
+
+        /**
+         * Scores one candidate against a Windcave transaction
+         * @param {Object} candidate - Candidate from findCandidates
+         * @param {Object} signals - Windcave values to compare with
+         * @returns {Object} Score (0-100) and the reasons that earned points
+         */
+        function scoreCandidate(candidate, signals) {
+            const { txn, txnDate, exactCount, billingName, customerId, paymentLabels } = signals;
+            const reasons = [];
+            let score = 0;
+
+            const difference = Math.abs(money.toMinorUnits(candidate.amount, txn.currency) - money.toMinorUnits(txn.amount, txn.currency));
+            const isExact = difference <= constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS;
+            if (isExact) {
+                score += WEIGHTS.AMOUNT;
+                reasons.push('amount');
+            } else {
+                const range = Math.max(Math.abs(money.toMinorUnits(txn.amount, txn.currency)) * constants.MISC.FUZZY_AMOUNT_RANGE, 1);
+                score += Math.max(0, Math.round(WEIGHTS.AMOUNT / 2 * (1 - difference / range)));
+            }
+
+            if (candidate.tranDate) {
+                const days = daysBetween(candidate.tranDate, txnDate);
+                const datePoints = Math.max(0, WEIGHTS.DATE - days * constants.MISC.FUZZY_POINTS_PER_DAY);
+                if (datePoints > 0) {
+                    score += datePoints;
+                    reasons.push(days === 0 ? 'same day' : days + ' day' + (days === 1 ? '' : 's'));
+                }
+            }
+
+            const entity = normalise(candidate.entity);
+            if (entity && ((billingName && entity.indexOf(billingName) >= 0) || (customerId && entity.indexOf(customerId) >= 0))) {
+                score += WEIGHTS.CUSTOMER;
+                reasons.push('customer');
+            }
+
+            const paymentMethod = normalise(candidate.paymentMethod);
+            if (paymentMethod && paymentLabels.some(label => paymentMethod.indexOf(label) >= 0)) {
+                score += WEIGHTS.PAYMENT_METHOD;
+                reasons.push('payment method');
+            }
+
+            if (isExact && exactCount === 1) {
+                score += WEIGHTS.UNIQUE;
+                reasons.push('only candidate');
+            }
+
+            return { score: Math.min(score, 100), reasons: reasons };
+        }
+
+        /**
+         * Finds and ranks candidates for a Windcave transaction
+         * @param {Object} options - Match options
+         * @param {Object} options.txn - Windcave transaction (amount, currency, method, dateTimeUtc)
+         * @param {Object} [options.enrichment] - Enrichment data (cardScheme, billingName), if fetched
+         * @param {string} [options.customerId] - Customer ID parsed from the merchant reference
+         * @param {string} [options.timeZone] - Merchant IANA timezone, for the transaction date
+         * @param {Array<string>} [options.excludeIds] - NetSuite transactions already matched in this run
+         * @returns {Array} Candidates with score and reasons, best first (empty if none or on error)
+         */
+        function rankCandidates(options) {
+            const { txn, enrichment, customerId, timeZone, excludeIds = [] } = options;
+
+            if (!txn.dateTimeUtc || !txn.currency || isNaN(parseFloat(txn.amount))) {
+                return [];
+            }
+
+            try {
+                const txnDate = windcaveApi.formatDateForApi(new Date(txn.dateTimeUtc), timeZone);
+                const candidates = findCandidates(txn, txnDate)
+                    .filter(candidate => excludeIds.indexOf(String(candidate.internalId)) < 0);
+
+                const scheme = normalise(enrichment && enrichment.cardScheme);
+                const signals = {
+                    txn: txn,
+                    txnDate: txnDate,
+                    exactCount: candidates.filter(candidate => money.withinTolerance(candidate.amount, txn.amount, txn.currency)).length,
+                    billingName: normalise(enrichment && enrichment.billingName),
+                    customerId: normalise(customerId),
+                    paymentLabels: [scheme, SCHEME_ALIASES[scheme], normalise(txn.method)].filter(Boolean)
+                };
+
+                return candidates
+                    .map(candidate => Object.assign(candidate, scoreCandidate(candidate, signals)))
+                    .sort((a, b) => b.score - a.score);
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.rankCandidates',
+                    details: 'Error scoring candidates for WC txn ' + txn.id + ': ' + e.message
+                });
+                return [];
+            }
+        }
+
+        /**
+         * Serialises the top candidates for the transaction detail's Match Suggestions field
+         * @param {Array} candidates - Ranked candidates from rankCandidates
+         * @returns {string} JSON array of {internalId, tranId, score, reasons}, empty if there are none
+         */
+        function serializeSuggestions(candidates) {
+            const suggestions = candidates.slice(0, constants.MISC.FUZZY_MAX_SUGGESTIONS).map(candidate => ({
+                internalId: candidate.internalId,
+                tranId: candidate.tranId,
+                score: candidate.score,
+                reasons: candidate.reasons
+            }));
+            return suggestions.length > 0 ? JSON.stringify(suggestions) : '';
+        }
+
+        /**
+         * Parses a transaction detail's Match Suggestions field
+         * @param {string} value - Stored JSON
+         * @returns {Array} Suggestions, empty if none or unreadable
+         */
+        function parseSuggestions(value) {
+            if (!value) {
+                return [];
+            }
+            try {
+                const suggestions = JSON.parse(value);
+                return Array.isArray(suggestions) ? suggestions : [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        return {
+            parseSuggestions,
+            rankCandidates,
+            serializeSuggestions
+        };
+    }
+);
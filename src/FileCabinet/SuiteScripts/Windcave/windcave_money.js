@@ -0,0 +1,166 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Money Module
+ * Exact amount arithmetic in integer minor units (cents, yen, fils), so totals and
+ * tolerance checks do not pick up floating point drift on large settlements.
+ */
+define(['./windcave_constants'],
+    function(constants) {
+
+        /**
+         * Minor unit decimals for currencies that do not use two (ISO 4217)
+         */
+        const CURRENCY_DECIMALS = {
+            BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+            RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+            BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+        };
+
+        const DEFAULT_DECIMALS = 2;
+
+        /**
+         * Gets the number of minor unit decimals for a currency
+         * @param {string} [currency] - ISO 4217 currency code
+         * @returns {number} Decimals, 2 if the currency is unknown or not given
+         */
+        function getDecimals(currency) {
+            const code = String(currency || '').trim().toUpperCase();
+            return CURRENCY_DECIMALS.hasOwnProperty(code) ? CURRENCY_DECIMALS[code] : DEFAULT_DECIMALS;
+        }
+
+        /**
+         * Converts an amount to integer minor units of its currency
+         * Strings are parsed digit by digit rather than multiplied as floats. Extra decimals
+         * are rounded half away from zero. Blank or unparseable amounts are treated as zero.
+         * @param {string|number} amount - Amount in major units, e.g. "1234.56"
+         * @param {string} [currency] - ISO 4217 currency code
+         * @returns {number} Amount in minor units, e.g. 123456
+         */
+        function toMinorUnits(amount, currency) {
+            const decimals = getDecimals(currency);
+
+            let text;
+            if (typeof amount === 'number') {
+                if (!isFinite(amount)) {
+                    return 0;
+                }
+                // String() uses exponent notation for very small or large numbers
+                text = /e/i.test(String(amount)) ? amount.toFixed(20) : String(amount);
+            } else {
+                text = String(amount === undefined || amount === null ? '' : amount).trim().replace(/,/g, '');
+            }
+
+            const parts = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+            if (!parts || (!parts[2] && !parts[3])) {
+                return 0;
+            }
+
+            const negative = parts[1] === '-';
+            const fraction = (parts[3] || '') + '0'.repeat(decimals + 1);
+            let minor = parseInt((parts[2] || '0') + fraction.substring(0, decimals), 10);
+            if (parseInt(fraction.charAt(decimals), 10) >= 5) {
+                minor++;
+            }
+
+            return negative && minor !== 0 ? -minor : minor;
+        }
+
+        /**
+         * Formats minor units as a plain decimal string, e.g. 123456 -> "1234.56"
+         * @param {number} minorUnits - Amount in minor units
+         * @param {string} [currency] - ISO 4217 currency code
+         * @returns {string} Amount in major units with the currency's decimals
+         */
+        function formatAmount(minorUnits, currency) {
+            const decimals = getDecimals(currency);
+            const negative = minorUnits < 0;
+            const digits = String(Math.abs(Math.round(minorUnits || 0))).padStart(decimals + 1, '0');
+
+            const whole = digits.substring(0, digits.length - decimals);
+            const fraction = digits.substring(digits.length - decimals);
+
+            return (negative ? '-' : '') + whole + (decimals > 0 ? '.' + fraction : '');
+        }
+
+        /**
+         * Converts minor units back to a number for NetSuite currency fields
+         * @param {number} minorUnits - Amount in minor units
+         * @param {string} [currency] - ISO 4217 currency code
+         * @returns {number} Amount in major units
+         */
+        function fromMinorUnits(minorUnits, currency) {
+            return parseFloat(formatAmount(minorUnits, currency));
+        }
+
+        /**
+         * Adds amounts in one currency
+         * @param {Array<string|number>} amounts - Amounts in major units
+         * @param {string} [currency] - ISO 4217 currency code
+         * @returns {number} Total in minor units
+         */
+        function sum(amounts, currency) {
+            let total = 0;
+            for (const amount of amounts || []) {
+                total += toMinorUnits(amount, currency);
+            }
+            return total;
+        }
+
+        /**
+         * Checks whether two amounts in the same currency agree within a tolerance
+         * @param {string|number} amountA - First amount in major units
+         * @param {string|number} amountB - Second amount in major units
+         * @param {string} [currency] - ISO 4217 currency code
+         * @param {number} [toleranceMinorUnits] - Allowed difference in minor units
+         *        (default constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS)
+         * @returns {boolean} True if the difference is within the tolerance
+         */
+        function withinTolerance(amountA, amountB, currency, toleranceMinorUnits) {
+            const tolerance = toleranceMinorUnits !== undefined && toleranceMinorUnits !== null ?
+                toleranceMinorUnits : constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS;
+
+            return Math.abs(toMinorUnits(amountA, currency) - toMinorUnits(amountB, currency)) <= tolerance;
+        }
+
+        /**
+         * Adds an amount to a per-currency running total
+         * Amounts in different currencies are never added together.
+         * @param {Object} totals - Map of currency code to total in minor units (updated in place)
+         * @param {string} currency - ISO 4217 currency code
+         * @param {string|number} amount - Amount in major units
+         * @returns {Object} The updated totals
+         */
+        function addToTotals(totals, currency, amount) {
+            const code = String(currency || '').trim().toUpperCase();
+            totals[code] = (totals[code] || 0) + toMinorUnits(amount, code);
+            return totals;
+        }
+
+        /**
+         * Formats per-currency totals for display, e.g. "1234.56 NZD, 5000 JPY"
+         * @param {Object} totals - Map of currency code to total in minor units
+         * @returns {string} Formatted totals, or "0.00" if there are none
+         */
+        function formatTotals(totals) {
+            const codes = Object.keys(totals || {}).sort();
+            if (codes.length === 0) {
+                return formatAmount(0);
+            }
+
+            return codes.map(code => (formatAmount(totals[code], code) + ' ' + code).trim()).join(', ');
+        }
+
+        return {
+            addToTotals,
+            formatAmount,
+            formatTotals,
+            fromMinorUnits,
+            getDecimals,
+            sum,
+            toMinorUnits,
+            withinTolerance
+        };
+    }
+);
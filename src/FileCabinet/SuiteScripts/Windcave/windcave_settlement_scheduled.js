@@ -12,19 +12,25 @@ define([
     'N/runtime',
     'N/format',
     'N/record',
+    'N/task',
     './windcave_constants',
     './windcave_api_module',
+    './windcave_money',
+    './windcave_file_import',
     './windcave_reconciliation_lib'
-], function(log, email, runtime, format, record, constants, windcaveApi, reconciliation) {
+], function(log, email, runtime, format, record, task, constants, windcaveApi, money, fileImport, reconciliation) {
 
     const SCRIPT_NAME = 'WindcaveSettlementScheduled';
 
     /**
      * Checks if a configuration should run based on schedule settings
+     * The retry deployment, queued when a configuration is deferred and scheduled hourly as a
+     * safety net, only picks up deferred retries that are due.
      * @param {Object} config - Configuration object
+     * @param {boolean} retryRun - True when running on the retry deployment
      * @returns {boolean} True if should run now
      */
-    function shouldRunNow(config) {
+    function shouldRunNow(config, retryRun) {
         // If scheduling not enabled, don't run
         if (!config.enableScheduled) {
             log.debug({
@@ -35,8 +41,38 @@ define([
         }
 
         const now = new Date();
-        const currentHour = now.getHours();
-        const currentDay = now.getDay() + 1; // JS: 0=Sun, NS: 1=Sun
+
+        // A deferred retry runs as soon as it is due, regardless of the regular schedule
+        if (config.nextRetry) {
+            const nextRetry = format.parse({
+                value: config.nextRetry,
+                type: format.Type.DATETIMETZ
+            });
+            const retryDue = nextRetry <= now;
+            log.debug({
+                title: SCRIPT_NAME + '.shouldRunNow',
+                details: '[' + config.name + '] Deferred retry ' + config.retryCount + '/' + config.retryBudget +
+                         (retryDue ? ' is due' : ' not due until ' + config.nextRetry)
+            });
+            return retryDue;
+        }
+
+        if (retryRun) {
+            return false;
+        }
+
+        // Read the hour and day in the merchant's timezone so DST changes move the run with local time
+        if (!windcaveApi.isValidTimeZone(config.timeZone)) {
+            // Let the run go ahead so the invalid timezone is recorded as the configuration's last run status
+            log.error({
+                title: SCRIPT_NAME + '.shouldRunNow',
+                details: '[' + config.name + '] ' + constants.ERRORS.INVALID_TIMEZONE + ': ' + config.timeZone
+            });
+            return true;
+        }
+        const nowParts = windcaveApi.getZonedDateParts(now, config.timeZone);
+        const currentHour = nowParts.hour;
+        const currentDay = nowParts.weekday + 1; // JS: 0=Sun, NS: 1=Sun
 
         // Check hour (allow within same hour)
         const scheduleHour = config.scheduleHour || 6;
@@ -84,6 +120,7 @@ define([
 
     /**
      * Updates the last run date and status on a configuration record
+     * Also clears any pending retry, since the run reached a final outcome.
      * @param {number} configId - Configuration internal ID
      * @param {string} status - Status message
      */
@@ -94,7 +131,9 @@ define([
                 id: configId,
                 values: {
                     [constants.CONFIG_FIELDS.LAST_RUN_DATE]: new Date(),
-                    [constants.CONFIG_FIELDS.LAST_RUN_STATUS]: status
+                    [constants.CONFIG_FIELDS.LAST_RUN_STATUS]: status,
+                    [constants.CONFIG_FIELDS.RETRY_COUNT]: 0,
+                    [constants.CONFIG_FIELDS.NEXT_RETRY]: ''
                 }
             });
         } catch (e) {
@@ -105,11 +144,159 @@ define([
         }
     }
 
+    /**
+     * Saves which credential pair the run used on the configuration
+     * @param {Object} config - Configuration object
+     * @param {Object} credentialStatus - credentialStatus from the run's connection options
+     */
+    function updateCredentialStatus(config, credentialStatus) {
+        try {
+            reconciliation.recordCredentialStatus(config, credentialStatus);
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.updateCredentialStatus',
+                details: 'Failed to record credential status for config ' + config.internalId + ': ' + e.message
+            });
+        }
+    }
+
+    /**
+     * Defers a configuration after a transient API failure (rate limiting, server error, timeout)
+     * Records when the next attempt is due using exponential backoff or the server's Retry-After.
+     * Once the configuration's retry budget is spent, the caller records the run as failed instead.
+     * @param {Object} config - Configuration object
+     * @param {Error} error - Retryable error from the API module
+     * @returns {boolean} True if a retry was scheduled, false if the retry budget is exhausted
+     */
+    function deferConfigRetry(config, error) {
+        const attempt = (config.retryCount || 0) + 1;
+
+        if (attempt > config.retryBudget) {
+            return false;
+        }
+
+        const delayMs = windcaveApi.getRetryDelay(attempt, error.retryAfterMs);
+        const nextRetry = new Date(new Date().getTime() + delayMs);
+
+        try {
+            record.submitFields({
+                type: constants.RECORD_TYPES.CONFIG,
+                id: config.internalId,
+                values: {
+                    [constants.CONFIG_FIELDS.LAST_RUN_DATE]: new Date(),
+                    [constants.CONFIG_FIELDS.LAST_RUN_STATUS]: 'Deferred: retry ' + attempt + '/' + config.retryBudget +
+                        ' in ' + Math.ceil(delayMs / 1000) + 's. ' + error.message,
+                    [constants.CONFIG_FIELDS.RETRY_COUNT]: attempt,
+                    [constants.CONFIG_FIELDS.NEXT_RETRY]: nextRetry
+                }
+            });
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.deferConfigRetry',
+                details: 'Failed to record retry for config ' + config.internalId + ': ' + e.message
+            });
+            return false;
+        }
+
+        log.audit({
+            title: SCRIPT_NAME + '.deferConfigRetry',
+            details: '[' + config.name + '] Deferred retry ' + attempt + '/' + config.retryBudget +
+                     ' until ' + nextRetry.toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Queues a run on the retry deployment so deferred retries are picked up without waiting
+     * for the next scheduled run. If the retry is not due when the queued run starts, the
+     * hourly schedule of the retry deployment picks it up.
+     */
+    function queueRetryRun() {
+        try {
+            const taskId = task.create({
+                taskType: task.TaskType.SCHEDULED_SCRIPT,
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: constants.MISC.RETRY_DEPLOYMENT_ID
+            }).submit();
+
+            log.audit({
+                title: SCRIPT_NAME + '.queueRetryRun',
+                details: 'Queued retry run: ' + taskId
+            });
+        } catch (e) {
+            // The retry deployment is already queued or running, or no queue is free
+            log.audit({
+                title: SCRIPT_NAME + '.queueRetryRun',
+                details: 'Retry run not queued, deferred retries will run on the hourly retry run: ' + e.message
+            });
+        }
+    }
+
+    /**
+     * Records a failed run on a configuration and trips its circuit breaker when needed
+     * Once the circuit is open the configuration is skipped until the cool-down probe
+     * or a manual reset, and a single alert is sent to the notification email.
+     * @param {Object} config - Configuration object
+     * @param {string} errorMessage - Error that failed the run
+     */
+    function handleConfigFailure(config, errorMessage) {
+        let failure;
+        try {
+            failure = reconciliation.recordConfigFailure(config);
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.handleConfigFailure',
+                details: 'Failed to record failure for config ' + config.internalId + ': ' + e.message
+            });
+            updateConfigRunStatus(config.internalId, 'Error: ' + errorMessage);
+            return;
+        }
+
+        if (!failure.circuitOpen) {
+            updateConfigRunStatus(config.internalId, 'Error: ' + errorMessage);
+            return;
+        }
+
+        const probeDate = new Date(new Date().getTime() + constants.MISC.CIRCUIT_COOLDOWN_HOURS * 60 * 60 * 1000);
+        const probeText = format.format({
+            value: probeDate,
+            type: format.Type.DATETIMETZ
+        });
+        updateConfigRunStatus(config.internalId, 'Circuit open: skipped after ' + failure.failures +
+                              ' consecutive failures until ' + probeText + ' or a manual reset. Last error: ' + errorMessage);
+
+        if (failure.sendAlert) {
+            sendCircuitAlert(config, failure.failures, probeText, errorMessage);
+        }
+    }
+
     /**
      * Main entry point for scheduled script execution
      * @param {Object} context - Script context
      */
     function execute(context) {
+        // Runs queued by a dashboard upload import just the uploaded file
+        const importFileId = runtime.getCurrentScript().getParameter({
+            name: constants.FILE_IMPORT.PARAM_FILE
+        });
+        if (importFileId) {
+            processQueuedImport(runtime.getCurrentScript().getParameter({
+                name: constants.NOTIFICATIONS.PARAM_CONFIG
+            }), importFileId);
+            return;
+        }
+
+        // Runs queued by the notification receiver process just the notified settlement
+        const notifiedSettlementId = runtime.getCurrentScript().getParameter({
+            name: constants.NOTIFICATIONS.PARAM_SETTLEMENT
+        });
+        if (notifiedSettlementId) {
+            processNotifiedSettlement(runtime.getCurrentScript().getParameter({
+                name: constants.NOTIFICATIONS.PARAM_CONFIG
+            }), notifiedSettlementId);
+            return;
+        }
+
         log.audit({
             title: SCRIPT_NAME,
             details: 'Starting Windcave settlement processing'
@@ -123,9 +310,11 @@ define([
             settlementsSkipped: 0,
             totalMatched: 0,
             totalUnmatched: 0,
-            totalAmount: 0,
+            totalAmounts: {}, // Settled amount per currency, in minor units
             depositsCreated: 0,
+            debitsRecorded: 0,
             errors: [],
+            deferred: [], // Configurations waiting on a retry after a transient API failure
             configResults: [] // Track results per configuration
         };
 
@@ -141,10 +330,12 @@ define([
                 details: 'Found ' + configurations.length + ' active configuration(s)'
             });
 
+            const retryRun = runtime.getCurrentScript().deploymentId === constants.MISC.RETRY_DEPLOYMENT_ID;
+
             // Process each configuration
             for (const config of configurations) {
                 // Check if this config should run based on schedule
-                if (!shouldRunNow(config)) {
+                if (!shouldRunNow(config, retryRun)) {
                     log.debug({
                         title: SCRIPT_NAME,
                         details: 'Skipping configuration ' + config.name + ' - not scheduled to run now'
@@ -152,6 +343,23 @@ define([
                     continue;
                 }
 
+                // Skip configurations whose circuit breaker is open, until the cool-down allows a probe
+                const circuitState = reconciliation.getCircuitState(config);
+                if (circuitState === constants.CIRCUIT_STATES.OPEN) {
+                    log.audit({
+                        title: SCRIPT_NAME,
+                        details: 'Skipping configuration ' + config.name + ' - circuit open after ' +
+                                 config.consecutiveFailures + ' consecutive failures'
+                    });
+                    continue;
+                }
+                if (circuitState === constants.CIRCUIT_STATES.HALF_OPEN) {
+                    log.audit({
+                        title: SCRIPT_NAME,
+                        details: 'Probing configuration ' + config.name + ' after circuit cool-down'
+                    });
+                }
+
                 // Check governance before processing each config
                 const remainingUsage = runtime.getCurrentScript().getRemainingUsage();
                 if (remainingUsage < 1000) {
@@ -163,6 +371,9 @@ define([
                     break;
                 }
 
+                // Connection options (credentials, paging, transport) shared by all calls for this config
+                let connection = null;
+
                 // Track results for this configuration
                 const configResult = {
                     configId: config.internalId,
@@ -188,64 +399,81 @@ define([
                         notificationEmails.add(config.notificationEmail);
                     }
 
-                    // Calculate date range for this config
-                    const dateRange = windcaveApi.calculateDateRange(config.lookbackDays);
-
-                    log.audit({
-                        title: SCRIPT_NAME,
-                        details: '[' + config.name + '] Fetching settlements from ' +
-                                 dateRange.startDate + ' to ' + dateRange.endDate
-                    });
-
-                    // Fetch settlements from Windcave
-                    const settlementsResponse = windcaveApi.getSettlements({
-                        username: config.apiUsername,
-                        password: config.apiPassword,
-                        environment: config.environment,
-                        merchantId: config.merchantId,
-                        customerId: config.customerId,
-                        startDate: dateRange.startDate,
-                        endDate: dateRange.endDate
-                    });
-
-                    const settlements = settlementsResponse.settlements || [];
-                    configResult.settlementsFound = settlements.length;
-                    processingResults.settlementsFound += settlements.length;
-
-                    log.audit({
-                        title: SCRIPT_NAME,
-                        details: '[' + config.name + '] Found ' + settlements.length + ' settlements'
-                    });
-
-                    // Process each settlement for this configuration
-                    for (const settlement of settlements) {
-                        // Check governance
-                        const remainingUsage = runtime.getCurrentScript().getRemainingUsage();
-                        if (remainingUsage < 500) {
-                            log.audit({
-                                title: SCRIPT_NAME,
-                                details: 'Low governance remaining (' + remainingUsage + '), stopping processing'
-                            });
-                            processingResults.errors.push('Processing stopped due to low governance');
-                            break;
+                    if (config.settlementSource === constants.SETTLEMENT_SOURCES.FILE) {
+                        importSettlementFiles(config, processingResults, configResult);
+                    } else {
+                        // Calculate date range for this config
+                        const dateRange = windcaveApi.calculateDateRange(config.lookbackDays, config.fetchWindowDays, config.timeZone);
+
+                        log.audit({
+                            title: SCRIPT_NAME,
+                            details: '[' + config.name + '] Fetching settlements from ' +
+                                     dateRange.startDate + ' to ' + dateRange.endDate +
+                                     (dateRange.windows.length > 1 ? ' in ' + dateRange.windows.length + ' windows of up to ' +
+                                      config.fetchWindowDays + ' days' : '')
+                        });
+
+                        connection = windcaveApi.getConnectionOptions(config);
+
+                        // Fetch settlements from Windcave
+                        const settlementsResponse = windcaveApi.getSettlements(Object.assign({}, connection, {
+                            merchantId: config.merchantId,
+                            customerId: config.customerId,
+                            startDate: dateRange.startDate,
+                            endDate: dateRange.endDate
+                        }));
+
+                        const settlements = settlementsResponse.settlements || [];
+                        configResult.settlementsFound = settlements.length;
+
+                        if (settlementsResponse.truncated) {
+                            const truncatedMsg = '[' + config.name + '] Settlement search stopped at the ' +
+                                                 config.maxPages + ' page limit; some settlements were not fetched';
+                            processingResults.errors.push(truncatedMsg);
+                            configResult.errors.push(truncatedMsg);
                         }
+                        processingResults.settlementsFound += settlements.length;
+
+                        log.audit({
+                            title: SCRIPT_NAME,
+                            details: '[' + config.name + '] Found ' + settlements.length + ' settlements'
+                        });
+
+                        // Process each settlement for this configuration
+                        for (const settlement of settlements) {
+                            // Check governance
+                            const remainingUsage = runtime.getCurrentScript().getRemainingUsage();
+                            if (remainingUsage < 500) {
+                                log.audit({
+                                    title: SCRIPT_NAME,
+                                    details: 'Low governance remaining (' + remainingUsage + '), stopping processing'
+                                });
+                                processingResults.errors.push('Processing stopped due to low governance');
+                                break;
+                            }
 
-                        try {
-                            const result = processSettlement(settlement, config, processingResults);
-                            if (result) {
-                                configResult.settlementsProcessed++;
-                                configResult.matched += result.matched || 0;
-                                configResult.unmatched += result.unmatched || 0;
+                            try {
+                                const result = processSettlement(settlement, config, connection, processingResults);
+                                if (result) {
+                                    configResult.settlementsProcessed++;
+                                    configResult.matched += result.matched || 0;
+                                    configResult.unmatched += result.unmatched || 0;
+                                }
+                            } catch (settlementError) {
+                                // Transient API failures defer the whole configuration
+                                if (windcaveApi.isRetryableError(settlementError)) {
+                                    throw settlementError;
+                                }
+
+                                log.error({
+                                    title: SCRIPT_NAME + '.processSettlement',
+                                    details: '[' + config.name + '] Error processing settlement ' +
+                                             settlement.id + ': ' + settlementError.message
+                                });
+                                const errorMsg = '[' + config.name + '] Settlement ' + settlement.id + ': ' + settlementError.message;
+                                processingResults.errors.push(errorMsg);
+                                configResult.errors.push(errorMsg);
                             }
-                        } catch (settlementError) {
-                            log.error({
-                                title: SCRIPT_NAME + '.processSettlement',
-                                details: '[' + config.name + '] Error processing settlement ' +
-                                         settlement.id + ': ' + settlementError.message
-                            });
-                            const errorMsg = '[' + config.name + '] Settlement ' + settlement.id + ': ' + settlementError.message;
-                            processingResults.errors.push(errorMsg);
-                            configResult.errors.push(errorMsg);
                         }
                     }
 
@@ -256,7 +484,27 @@ define([
                                       configResult.matched + ' matched, ' + configResult.unmatched + ' unmatched';
                     updateConfigRunStatus(config.internalId, statusMsg);
 
+                    if (config.consecutiveFailures > 0 || config.circuitOpenedAt) {
+                        try {
+                            reconciliation.resetCircuitBreaker(config.internalId);
+                        } catch (e) {
+                            log.error({
+                                title: SCRIPT_NAME,
+                                details: 'Failed to reset circuit for config ' + config.name + ': ' + e.message
+                            });
+                        }
+                    }
+
                 } catch (configError) {
+                    if (windcaveApi.isRetryableError(configError) && deferConfigRetry(config, configError)) {
+                        processingResults.deferred.push('[' + config.name + '] ' + configError.message);
+                        if (connection) {
+                            updateCredentialStatus(config, connection.credentialStatus);
+                        }
+                        processingResults.configResults.push(configResult);
+                        continue;
+                    }
+
                     log.error({
                         title: SCRIPT_NAME,
                         details: 'Error processing configuration ' + config.name + ': ' + configError.message
@@ -266,8 +514,14 @@ define([
                     );
                     configResult.errors.push(configError.message);
 
-                    // Update config with error status
-                    updateConfigRunStatus(config.internalId, 'Error: ' + configError.message);
+                    // Update config with error status and count the failure towards its circuit breaker
+                    handleConfigFailure(config, windcaveApi.isRetryableError(configError) ?
+                        'retry budget of ' + config.retryBudget + ' exhausted. ' + configError.message :
+                        configError.message);
+                }
+
+                if (connection) {
+                    updateCredentialStatus(config, connection.credentialStatus);
                 }
 
                 processingResults.configResults.push(configResult);
@@ -275,6 +529,10 @@ define([
 
             processingResults.endTime = new Date();
 
+            if (processingResults.deferred.length > 0) {
+                queueRetryRun();
+            }
+
             // Send notification email to all collected addresses
             for (const emailAddr of notificationEmails) {
                 sendNotificationEmail(emailAddr, processingResults);
@@ -310,14 +568,253 @@ define([
         }
     }
 
+    /**
+     * Imports every settlement file waiting in a FILE source configuration's import folder
+     * @param {Object} config - Configuration values
+     * @param {Object} results - Processing results object to update
+     * @param {Object} configResult - Results for this configuration to update
+     * @throws {Error} If the configuration has no import folder
+     */
+    function importSettlementFiles(config, results, configResult) {
+        if (!config.importFolder) {
+            throw new Error(constants.ERRORS.IMPORT_FOLDER_MISSING);
+        }
+
+        const importFiles = fileImport.listImportFiles(config.importFolder);
+
+        log.audit({
+            title: SCRIPT_NAME + '.importSettlementFiles',
+            details: '[' + config.name + '] Found ' + importFiles.length + ' settlement file(s) in folder ' + config.importFolder
+        });
+
+        for (const importFile of importFiles) {
+            const remainingUsage = runtime.getCurrentScript().getRemainingUsage();
+            if (remainingUsage < 500) {
+                log.audit({
+                    title: SCRIPT_NAME,
+                    details: 'Low governance remaining (' + remainingUsage + '), stopping processing'
+                });
+                results.errors.push('Processing stopped due to low governance');
+                break;
+            }
+
+            processImportFile(importFile.id, config, results, configResult);
+        }
+    }
+
+    /**
+     * Imports one settlement file: each settlement in it is processed as if fetched from the API
+     * The file is moved to the archive folder (when one is set) once every settlement in it
+     * has been processed or skipped; files that fail stay in place for the next run.
+     * @param {number} fileId - File internal ID
+     * @param {Object} config - Configuration values
+     * @param {Object} results - Processing results object to update
+     * @param {Object} configResult - Results for this configuration to update
+     */
+    function processImportFile(fileId, config, results, configResult) {
+        let settlementFile;
+        try {
+            settlementFile = fileImport.loadSettlementFile(fileId, {
+                merchantId: config.merchantId,
+                customerId: config.customerId
+            });
+        } catch (e) {
+            const errorMsg = '[' + config.name + '] File ' + fileId + ': ' + e.message;
+            log.error({
+                title: SCRIPT_NAME + '.processImportFile',
+                details: errorMsg
+            });
+            results.errors.push(errorMsg);
+            configResult.errors.push(errorMsg);
+            return;
+        }
+
+        log.audit({
+            title: SCRIPT_NAME + '.processImportFile',
+            details: '[' + config.name + '] File ' + settlementFile.fileName + ' has ' +
+                     settlementFile.settlements.length + ' settlement(s)'
+        });
+
+        configResult.settlementsFound += settlementFile.settlements.length;
+        results.settlementsFound += settlementFile.settlements.length;
+
+        let failed = 0;
+        for (const settlementDetails of settlementFile.settlements) {
+            try {
+                const result = processSettlement({
+                    id: settlementDetails.id,
+                    status: settlementDetails.status,
+                    amount: settlementDetails.amount,
+                    currency: settlementDetails.currency
+                }, config, null, results, settlementDetails);
+
+                if (result) {
+                    configResult.settlementsProcessed++;
+                    configResult.matched += result.matched || 0;
+                    configResult.unmatched += result.unmatched || 0;
+                }
+            } catch (settlementError) {
+                failed++;
+                const errorMsg = '[' + config.name + '] Settlement ' + settlementDetails.id + ' in ' +
+                                 settlementFile.fileName + ': ' + settlementError.message;
+                log.error({
+                    title: SCRIPT_NAME + '.processImportFile',
+                    details: errorMsg
+                });
+                results.errors.push(errorMsg);
+                configResult.errors.push(errorMsg);
+            }
+        }
+
+        if (failed === 0 && config.importArchiveFolder) {
+            fileImport.archiveImportFile(fileId, config.importArchiveFolder);
+        }
+    }
+
+    /**
+     * Imports one file uploaded through the dashboard (see windcave_settlement_suitelet.js)
+     * @param {number} configId - Configuration internal ID
+     * @param {number} fileId - File internal ID
+     */
+    function processQueuedImport(configId, fileId) {
+        const config = reconciliation.loadAllConfigurations().find(c => String(c.internalId) === String(configId));
+        if (!config) {
+            log.error({
+                title: SCRIPT_NAME + '.processQueuedImport',
+                details: 'No active configuration ' + configId + ' for uploaded file ' + fileId
+            });
+            return;
+        }
+
+        log.audit({
+            title: SCRIPT_NAME + '.processQueuedImport',
+            details: '[' + config.name + '] Importing uploaded file ' + fileId
+        });
+
+        const results = {
+            startTime: new Date(),
+            configurationsProcessed: 1,
+            settlementsFound: 0,
+            settlementsProcessed: 0,
+            settlementsSkipped: 0,
+            totalMatched: 0,
+            totalUnmatched: 0,
+            totalAmounts: {},
+            depositsCreated: 0,
+            debitsRecorded: 0,
+            errors: [],
+            deferred: [],
+            configResults: []
+        };
+        const configResult = {
+            configId: config.internalId,
+            configName: config.name,
+            merchantId: config.merchantId,
+            settlementsFound: 0,
+            settlementsProcessed: 0,
+            matched: 0,
+            unmatched: 0,
+            errors: [],
+            sendEmail: config.sendEmail
+        };
+
+        processImportFile(fileId, config, results, configResult);
+
+        results.endTime = new Date();
+
+        if (config.sendEmail && config.notificationEmail) {
+            sendNotificationEmail(config.notificationEmail, results);
+        }
+    }
+
+    /**
+     * Processes one settlement named by a notification (see windcave_notification_suitelet.js)
+     * Failures are logged and left for the next scheduled run, which fetches any settlement
+     * that was not recorded; they do not count towards the configuration's circuit breaker.
+     * @param {number} configId - Configuration internal ID
+     * @param {string} settlementId - Windcave settlement ID
+     */
+    function processNotifiedSettlement(configId, settlementId) {
+        const config = reconciliation.loadAllConfigurations().find(c => String(c.internalId) === String(configId));
+        if (!config) {
+            log.error({
+                title: SCRIPT_NAME + '.processNotifiedSettlement',
+                details: 'No active configuration ' + configId + ' for notified settlement ' + settlementId
+            });
+            return;
+        }
+
+        if (reconciliation.getCircuitState(config) === constants.CIRCUIT_STATES.OPEN) {
+            log.audit({
+                title: SCRIPT_NAME + '.processNotifiedSettlement',
+                details: '[' + config.name + '] Circuit open, notified settlement ' + settlementId +
+                         ' left for the next scheduled run'
+            });
+            return;
+        }
+
+        log.audit({
+            title: SCRIPT_NAME + '.processNotifiedSettlement',
+            details: '[' + config.name + '] Processing notified settlement ' + settlementId
+        });
+
+        const results = {
+            startTime: new Date(),
+            configurationsProcessed: 1,
+            settlementsFound: 1,
+            settlementsProcessed: 0,
+            settlementsSkipped: 0,
+            totalMatched: 0,
+            totalUnmatched: 0,
+            totalAmounts: {},
+            depositsCreated: 0,
+            debitsRecorded: 0,
+            errors: [],
+            deferred: [],
+            configResults: []
+        };
+
+        const connection = windcaveApi.getConnectionOptions(config);
+
+        try {
+            const settlementDetails = windcaveApi.getSettlementDetails(Object.assign({}, connection, {
+                settlementId: settlementId
+            }));
+
+            processSettlement({
+                id: settlementId,
+                status: settlementDetails.status,
+                amount: settlementDetails.amount,
+                currency: settlementDetails.currency
+            }, config, connection, results, settlementDetails);
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.processNotifiedSettlement',
+                details: '[' + config.name + '] Error processing notified settlement ' + settlementId + ': ' + e.message
+            });
+            results.errors.push('[' + config.name + '] Settlement ' + settlementId + ': ' + e.message +
+                                ' (will be picked up by the next scheduled run)');
+        }
+
+        updateCredentialStatus(config, connection.credentialStatus);
+
+        results.endTime = new Date();
+
+        if (config.sendEmail && config.notificationEmail && results.settlementsProcessed + results.errors.length > 0) {
+            sendNotificationEmail(config.notificationEmail, results);
+        }
+    }
+
     /**
      * Processes a single settlement
      * @param {Object} settlement - Settlement data from API
      * @param {Object} config - Configuration values
+     * @param {Object} connection - API connection options from windcaveApi.getConnectionOptions
      * @param {Object} results - Processing results object to update
+     * @param {Object} [settlementDetails] - Settlement details already fetched for this settlement
      * @returns {Object|null} Result object with matched/unmatched counts, or null if skipped
      */
-    function processSettlement(settlement, config, results) {
+    function processSettlement(settlement, config, connection, results, settlementDetails) {
         log.debug({
             title: SCRIPT_NAME + '.processSettlement',
             details: '[' + config.name + '] Processing settlement: ' + settlement.id +
@@ -346,12 +843,11 @@ define([
         }
 
         // Fetch settlement details with transactions
-        const settlementDetails = windcaveApi.getSettlementDetails({
-            username: config.apiUsername,
-            password: config.apiPassword,
-            environment: config.environment,
-            settlementId: settlement.id
-        });
+        if (!settlementDetails) {
+            settlementDetails = windcaveApi.getSettlementDetails(Object.assign({}, connection, {
+                settlementId: settlement.id
+            }));
+        }
 
         const transactions = settlementDetails.transactions || [];
 
@@ -360,73 +856,55 @@ define([
             details: '[' + config.name + '] Settlement ' + settlement.id + ' has ' + transactions.length + ' transactions'
         });
 
-        // Create settlement record
-        const settlementInternalId = reconciliation.createSettlementRecord(settlementDetails);
-
-        // Match transactions to NetSuite payments
-        const matchResults = reconciliation.matchTransactions(transactions, settlementInternalId);
-
-        // Calculate matched amount
-        let matchedAmount = 0;
-        for (const match of matchResults.matched) {
-            matchedAmount += parseFloat(match.windcaveTxn.amount);
-        }
-
-        // Create bank deposit for credit settlements
-        let bankDepositId = null;
-        if (settlement.CRDR === constants.CRDR.CREDIT && matchResults.matched.length > 0) {
-            bankDepositId = reconciliation.createBankDeposit({
-                settlementData: settlementDetails,
-                matchedTransactions: matchResults.matched,
-                bankAccountId: config.bankAccount
-            });
+        // Validate, record, match and deposit the settlement
+        const reconcileResult = reconciliation.reconcileSettlement({
+            settlementDetails: settlementDetails,
+            settlementId: settlement.id,
+            config: config,
+            connection: connection
+        });
 
-            if (bankDepositId) {
-                results.depositsCreated++;
-            }
-        } else if (settlement.CRDR === constants.CRDR.DEBIT) {
-            log.audit({
+        if (reconcileResult.quarantined) {
+            const quarantineMsg = '[' + config.name + '] Settlement ' + settlement.id + ' quarantined: ' +
+                                  reconcileResult.validationErrors.map(e => e.message).join('; ');
+            log.error({
                 title: SCRIPT_NAME + '.processSettlement',
-                details: '[' + config.name + '] Debit settlement ' + settlement.id + ' requires manual handling'
+                details: quarantineMsg
             });
+            results.errors.push(quarantineMsg);
+            results.settlementsSkipped++;
+            return null;
         }
 
-        // Build error message if there are unmatched transactions
-        let errorMessage = null;
-        if (matchResults.unmatched.length > 0) {
-            const errorDetails = matchResults.unmatched.map(u =>
-                'Txn ' + u.windcaveTxn.id + ': ' + u.error
-            );
-            errorMessage = 'Unmatched transactions:\n' + errorDetails.join('\n');
+        if (reconcileResult.quarantinedTransactions.length > 0) {
+            results.errors.push('[' + config.name + '] Settlement ' + settlement.id + ': ' +
+                                reconcileResult.quarantinedTransactions.length +
+                                ' transaction(s) failed validation and were quarantined');
         }
 
-        // Update settlement record with results
-        reconciliation.updateSettlementRecord({
-            settlementInternalId: settlementInternalId,
-            matchedCount: matchResults.matched.length,
-            unmatchedCount: matchResults.unmatched.length,
-            matchedAmount: matchedAmount,
-            bankDepositId: bankDepositId,
-            errorMessage: errorMessage
-        });
+        results.depositsCreated += reconcileResult.bankDepositIds.length;
+        if (reconcileResult.debitTransaction) {
+            results.debitsRecorded++;
+        }
 
         // Update processing results
         results.settlementsProcessed++;
-        results.totalMatched += matchResults.matched.length;
-        results.totalUnmatched += matchResults.unmatched.length;
-        results.totalAmount += parseFloat(settlement.amount);
+        results.totalMatched += reconcileResult.matched.length;
+        results.totalUnmatched += reconcileResult.unmatched.length;
+        money.addToTotals(results.totalAmounts, settlementDetails.currency, settlementDetails.amount);
 
         log.audit({
             title: SCRIPT_NAME + '.processSettlement',
             details: '[' + config.name + '] Completed processing settlement ' + settlement.id +
-                     ' (Matched: ' + matchResults.matched.length +
-                     ', Unmatched: ' + matchResults.unmatched.length +
-                     ', Deposit: ' + (bankDepositId || 'N/A') + ')'
+                     ' (Matched: ' + reconcileResult.matched.length +
+                     ', Unmatched: ' + reconcileResult.unmatched.length +
+                     ', Quarantined: ' + reconcileResult.quarantinedTransactions.length +
+                     ', Deposits: ' + (reconcileResult.bankDepositIds.join(', ') || 'N/A') + ')'
         });
 
         return {
-            matched: matchResults.matched.length,
-            unmatched: matchResults.unmatched.length
+            matched: reconcileResult.matched.length,
+            unmatched: reconcileResult.unmatched.length
         };
     }
 
@@ -460,7 +938,8 @@ define([
         body += 'Settlements Processed: ' + results.settlementsProcessed + '\n';
         body += 'Settlements Skipped: ' + results.settlementsSkipped + '\n';
         body += 'Bank Deposits Created: ' + results.depositsCreated + '\n';
-        body += 'Total Amount: ' + results.totalAmount.toFixed(2) + '\n\n';
+        body += 'Debit Settlements Recorded: ' + results.debitsRecorded + '\n';
+        body += 'Total Amount: ' + money.formatTotals(results.totalAmounts) + '\n\n';
 
         body += 'Transaction Matching:\n';
         body += '---------------------\n';
@@ -482,6 +961,15 @@ define([
             body += '\n';
         }
 
+        if (results.deferred && results.deferred.length > 0) {
+            body += 'Deferred (will retry automatically):\n';
+            body += '------------------------------------\n';
+            for (const deferred of results.deferred) {
+                body += '- ' + deferred + '\n';
+            }
+            body += '\n';
+        }
+
         if (results.errors.length > 0) {
             body += 'Errors:\n';
             body += '-------\n';
@@ -518,6 +1006,53 @@ define([
         }
     }
 
+    /**
+     * Sends the one-off alert when a configuration's circuit breaker opens
+     * @param {Object} config - Configuration object
+     * @param {number} failures - Consecutive failed runs
+     * @param {string} probeText - Formatted date of the next probe run
+     * @param {string} errorMessage - Error from the last failed run
+     */
+    function sendCircuitAlert(config, failures, probeText, errorMessage) {
+        if (!config.notificationEmail) {
+            log.audit({
+                title: SCRIPT_NAME + '.sendCircuitAlert',
+                details: 'No notification email on config ' + config.name + ', circuit alert not sent'
+            });
+            return;
+        }
+
+        let body = 'Windcave Settlement Processing - Configuration Suspended\n';
+        body += '========================================================\n\n';
+        body += 'Configuration: ' + config.name + ' (Merchant: ' + config.merchantId + ')\n';
+        body += 'Consecutive Failed Runs: ' + failures + '\n';
+        body += 'Last Error: ' + errorMessage + '\n\n';
+        body += 'Scheduled processing for this configuration is suspended. It will be retried once after ' +
+                probeText + '.\n';
+        body += 'Check the API credentials, then use Reset on the Windcave Settlement Reconciliation dashboard ' +
+                'to resume processing straight away.\n\n';
+        body += 'This is an automated message from NetSuite Windcave Settlement Integration.';
+
+        try {
+            email.send({
+                author: constants.EMAIL.AUTHOR_ID,
+                recipients: config.notificationEmail,
+                subject: constants.EMAIL.SUBJECT_CIRCUIT_OPEN,
+                body: body
+            });
+
+            log.audit({
+                title: SCRIPT_NAME + '.sendCircuitAlert',
+                details: 'Circuit alert sent to ' + config.notificationEmail
+            });
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.sendCircuitAlert',
+                details: 'Failed to send email: ' + e.message
+            });
+        }
+    }
+
     return {
         execute: execute
     };
@@ -0,0 +1,202 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - API Transport Module
+ * Provides the HTTP transports used by the API module: live calls to Windcave,
+ * recording of raw responses to the File Cabinet, and replay of those recordings.
+ */
+define(['N/https', 'N/file', 'N/search', 'N/crypto', 'N/encode', 'N/log', './windcave_constants'],
+    function(https, file, search, crypto, encode, log, constants) {
+
+        const MODULE_NAME = 'WindcaveTransport';
+
+        /**
+         * Builds the File Cabinet file name a response is recorded under
+         * The host is excluded so recordings made against one environment can be
+         * replayed against another.
+         * @param {string} url - Full request URL
+         * @returns {string} Recording file name
+         */
+        function getRecordingFileName(url) {
+            const requestPath = url.replace(/^https?:\/\/[^/]+/i, '');
+
+            const hash = crypto.createHash({
+                algorithm: crypto.HashAlg.SHA256
+            });
+            hash.update({
+                input: requestPath
+            });
+
+            return 'windcave_' + hash.digest({ outputEncoding: encode.Encoding.HEX }) + '.json';
+        }
+
+        /**
+         * Finds a recorded response file in a folder
+         * @param {number} folderId - File Cabinet folder internal ID
+         * @param {string} fileName - Recording file name
+         * @returns {string|null} File internal ID or null if not recorded
+         */
+        function findRecordingFile(folderId, fileName) {
+            const fileSearch = search.create({
+                type: 'file',
+                filters: [
+                    ['name', 'is', fileName],
+                    'AND',
+                    ['folder', 'anyof', folderId]
+                ],
+                columns: ['internalid']
+            });
+
+            const results = fileSearch.run().getRange({ start: 0, end: 1 });
+            return results && results.length > 0 ? results[0].id : null;
+        }
+
+        /**
+         * Creates a transport that calls the Windcave API over HTTPS
+         * @returns {Object} Transport with a get(request) method
+         */
+        function createLiveTransport() {
+            return {
+                mode: constants.TRANSPORT_MODES.LIVE,
+
+                /**
+                 * @param {Object} request - Request details
+                 * @param {string} request.url - Full URL to request
+                 * @param {Object} request.headers - Request headers
+                 * @returns {Object} Response with code, body and headers
+                 */
+                get: function(request) {
+                    const response = https.get({
+                        url: request.url,
+                        headers: request.headers
+                    });
+
+                    return {
+                        code: response.code,
+                        body: response.body,
+                        headers: response.headers || {}
+                    };
+                }
+            };
+        }
+
+        /**
+         * Creates a transport that calls Windcave and saves every raw response to the File Cabinet
+         * @param {number} folderId - File Cabinet folder internal ID to record into
+         * @returns {Object} Transport with a get(request) method
+         */
+        function createRecordingTransport(folderId) {
+            const liveTransport = createLiveTransport();
+
+            return {
+                mode: constants.TRANSPORT_MODES.RECORD,
+
+                get: function(request) {
+                    const response = liveTransport.get(request);
+
+                    try {
+                        const recordingFile = file.create({
+                            name: getRecordingFileName(request.url),
+                            fileType: file.Type.JSON,
+                            contents: JSON.stringify({
+                                url: request.url,
+                                code: response.code,
+                                headers: response.headers,
+                                body: response.body,
+                                recordedAt: new Date().toISOString()
+                            }, null, 2),
+                            folder: folderId
+                        });
+                        const fileId = recordingFile.save();
+
+                        log.audit({
+                            title: MODULE_NAME + '.record',
+                            details: 'Recorded response for ' + request.url + ' to file ' + fileId
+                        });
+                    } catch (e) {
+                        // A failed recording must not break live processing
+                        log.error({
+                            title: MODULE_NAME + '.record',
+                            details: 'Failed to record response for ' + request.url + ': ' + e.message
+                        });
+                    }
+
+                    return response;
+                }
+            };
+        }
+
+        /**
+         * Creates a transport that serves previously recorded responses instead of calling Windcave
+         * @param {number} folderId - File Cabinet folder internal ID holding the recordings
+         * @returns {Object} Transport with a get(request) method
+         */
+        function createReplayTransport(folderId) {
+            return {
+                mode: constants.TRANSPORT_MODES.REPLAY,
+
+                get: function(request) {
+                    const fileName = getRecordingFileName(request.url);
+                    const fileId = findRecordingFile(folderId, fileName);
+
+                    if (!fileId) {
+                        throw new Error(constants.ERRORS.RECORDING_NOT_FOUND + ' for ' + request.url +
+                                        ' (expected file ' + fileName + ' in folder ' + folderId + ')');
+                    }
+
+                    const recording = JSON.parse(file.load({ id: fileId }).getContents());
+
+                    log.audit({
+                        title: MODULE_NAME + '.replay',
+                        details: 'Replaying response for ' + request.url + ' from file ' + fileId +
+                                 ' (recorded ' + recording.recordedAt + ')'
+                    });
+
+                    return {
+                        code: recording.code,
+                        body: recording.body,
+                        headers: recording.headers || {}
+                    };
+                }
+            };
+        }
+
+        /**
+         * Creates the transport for a configuration's selected mode
+         * @param {Object} [options] - Transport options
+         * @param {string} [options.mode] - LIVE, RECORD or REPLAY (default: LIVE)
+         * @param {number} [options.folderId] - Recording folder for RECORD and REPLAY modes
+         * @returns {Object} Transport with a get(request) method
+         * @throws {Error} If RECORD or REPLAY is selected without a recording folder
+         */
+        function createTransport(options) {
+            const mode = String((options && options.mode) || constants.TRANSPORT_MODES.LIVE).toUpperCase();
+            const folderId = options && options.folderId;
+
+            if (mode === constants.TRANSPORT_MODES.LIVE) {
+                return createLiveTransport();
+            }
+
+            if (!folderId) {
+                throw new Error(constants.ERRORS.RECORDING_FOLDER_MISSING);
+            }
+
+            if (mode === constants.TRANSPORT_MODES.RECORD) {
+                return createRecordingTransport(folderId);
+            }
+            if (mode === constants.TRANSPORT_MODES.REPLAY) {
+                return createReplayTransport(folderId);
+            }
+
+            throw new Error('Unknown transport mode: ' + mode);
+        }
+
+        return {
+            createTransport,
+            createLiveTransport,
+            createRecordingTransport,
+            createReplayTransport,
+            getRecordingFileName
+        };
+    });
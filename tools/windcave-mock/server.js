@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Windcave Settlement Integration - Local API Mock
+ * Serves seeded settlements in the shape of the Windcave REST API so the
+ * integration can be tested end to end without sec/uat. Point a configuration's
+ * Custom API Base URL at this server (through a public HTTPS tunnel, since
+ * NetSuite cannot reach localhost).
+ *
+ * Endpoints:
+ *   GET /api/v1/settlements?merchantId|customerId&settlementDateStart&settlementDateEnd[&offset&limit]
+ *   GET /api/v1/settlements/{id}[?offset&limit]
+ *   GET /api/v1/transactions/{id}
+ *
+ * Usage: node tools/windcave-mock/server.js [--port 8080] [--fixtures path/to/fixtures.json]
+ * Environment:
+ *   PORT            - Port to listen on (default 8080)
+ *   MOCK_PAGE_SIZE  - Default page size, lower it to exercise pagination (default 100)
+ *   MOCK_USERNAME / MOCK_API_KEY - Credentials to accept; any Basic credentials if unset
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const API_PREFIX = '/api/v1';
+
+/**
+ * Reads a --name value pair from the command line
+ * @param {string} name - Option name without dashes
+ * @returns {string|null} Option value or null if absent
+ */
+function getArg(name) {
+    const index = process.argv.indexOf('--' + name);
+    return index >= 0 && index + 1 < process.argv.length ? process.argv[index + 1] : null;
+}
+
+const port = parseInt(getArg('port') || process.env.PORT || '8080', 10);
+const fixturesPath = path.resolve(getArg('fixtures') || path.join(__dirname, 'fixtures.json'));
+const defaultPageSize = parseInt(process.env.MOCK_PAGE_SIZE || '100', 10);
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Loads the fixtures and resolves relative dates and settlement totals
+ * A settlement's date is "daysAgo" days before today, its transactions are dated
+ * the day before, and its amount and CRDR are the net of its transactions unless given.
+ * @returns {Array} Settlements with their transactions
+ */
+function loadSettlements() {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    const today = new Date();
+
+    return fixtures.settlements.map(fixture => {
+        const settlementDate = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(),
+            today.getUTCDate() - (fixture.daysAgo || 0)));
+        const transactionTime = new Date(settlementDate.getTime() - 12 * 60 * 60 * 1000);
+
+        // Voided transactions are not settled
+        const voidedIds = (fixture.transactions || []).filter(txn => txn.type === 'Void').map(txn => txn.parentId);
+
+        let netCents = 0;
+        const transactions = (fixture.transactions || []).map((txn, index) => {
+            const cents = voidedIds.indexOf(txn.id) >= 0 ? 0 : Math.round(parseFloat(txn.amount) * 100);
+            netCents += txn.type === 'Refund' ? -cents : (txn.type === 'Purchase' || txn.type === 'Complete' ? cents : 0);
+
+            const resolved = Object.assign({}, txn);
+            resolved.currency = resolved.currency || fixture.currency;
+            resolved.method = resolved.method || 'card';
+            resolved.username = resolved.username || 'MockUser';
+            resolved.dateTimeUtc = resolved.dateTimeUtc ||
+                new Date(transactionTime.getTime() + index * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+            return resolved;
+        });
+
+        const settlement = Object.assign({}, fixture);
+        settlement.settlementDate = settlement.settlementDate || formatDate(settlementDate);
+        settlement.amount = settlement.amount || (Math.abs(netCents) / 100).toFixed(2);
+        settlement.CRDR = settlement.CRDR || (netCents >= 0 ? 'CR' : 'DR');
+        settlement.transactions = transactions;
+        return settlement;
+    });
+}
+
+/**
+ * Removes fixture-only fields before a settlement is returned
+ * @param {Object} settlement - Resolved settlement
+ * @returns {Object} Settlement as the API returns it, without transactions
+ */
+function toSettlementSummary(settlement) {
+    const summary = Object.assign({}, settlement);
+    delete summary.daysAgo;
+    delete summary.transactions;
+    return summary;
+}
+
+/**
+ * Removes fixture-only fields from a transaction within a settlement
+ * @param {Object} txn - Resolved transaction
+ * @returns {Object} Transaction as it appears in a settlement
+ */
+function toSettlementTransaction(txn) {
+    const result = Object.assign({}, txn);
+    delete result.cardScheme;
+    delete result.billingName;
+    return result;
+}
+
+/**
+ * Builds the transaction query response for a transaction
+ * @param {Object} txn - Resolved transaction
+ * @param {Object} settlement - Settlement the transaction belongs to
+ * @returns {Object} Transaction query response
+ */
+function toTransactionDetail(txn, settlement) {
+    return Object.assign(toSettlementTransaction(txn), {
+        settlementId: settlement.id,
+        sessionId: 'MOCKSESSION' + txn.id.replace(/\W/g, ''),
+        card: {
+            type: (txn.cardScheme || 'visa').toLowerCase(),
+            cardNumber: '411111........11',
+            cardHolderName: txn.billingName || ''
+        },
+        customer: {
+            billing: {
+                name: txn.billingName || ''
+            }
+        }
+    });
+}
+
+/**
+ * Slices a list into the requested page
+ * @param {Array} items - All items
+ * @param {URLSearchParams} query - Request query
+ * @returns {Array} Items on the page
+ */
+function getPage(items, query) {
+    const offset = parseInt(query.get('offset') || '0', 10);
+    const limit = parseInt(query.get('limit') || String(defaultPageSize), 10);
+    return items.slice(offset, offset + limit);
+}
+
+/**
+ * Checks the Basic authorization header
+ * @param {Object} req - Incoming request
+ * @returns {boolean} True if the caller is authorised
+ */
+function isAuthorised(req) {
+    const header = req.headers.authorization || '';
+    if (!/^Basic\s+/i.test(header)) {
+        return false;
+    }
+    if (!process.env.MOCK_USERNAME && !process.env.MOCK_API_KEY) {
+        return true;
+    }
+
+    const credentials = Buffer.from(header.replace(/^Basic\s+/i, ''), 'base64').toString('utf8');
+    return credentials === (process.env.MOCK_USERNAME || '') + ':' + (process.env.MOCK_API_KEY || '');
+}
+
+/**
+ * Writes a JSON response
+ * @param {Object} res - Server response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Routes a request to the matching endpoint
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ */
+function handleRequest(req, res) {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    const route = requestUrl.pathname.replace(/\/+$/, '');
+    const query = requestUrl.searchParams;
+
+    console.log(new Date().toISOString() + ' ' + req.method + ' ' + req.url);
+
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    if (!isAuthorised(req)) {
+        return sendJson(res, 401, { error: 'Authentication failed' });
+    }
+
+    // Fixtures are re-read on every request so edits apply without a restart
+    const settlements = loadSettlements();
+
+    if (route === API_PREFIX + '/settlements') {
+        const merchantId = query.get('merchantId');
+        const customerId = query.get('customerId');
+        const start = query.get('settlementDateStart') || '0000-00-00';
+        const end = query.get('settlementDateEnd') || '9999-99-99';
+
+        if (!merchantId && !customerId) {
+            return sendJson(res, 400, { error: 'merchantId or customerId is required' });
+        }
+
+        const matches = settlements
+            .filter(s => (merchantId ? s.merchantId === merchantId : s.customerId === customerId))
+            .filter(s => s.settlementDate >= start && s.settlementDate <= end)
+            .map(toSettlementSummary);
+
+        return sendJson(res, 200, {
+            totalCount: matches.length,
+            settlements: getPage(matches, query)
+        });
+    }
+
+    const settlementMatch = route.match(new RegExp('^' + API_PREFIX + '/settlements/([^/]+)$'));
+    if (settlementMatch) {
+        const settlement = settlements.find(s => s.id === decodeURIComponent(settlementMatch[1]));
+        if (!settlement) {
+            return sendJson(res, 404, { error: 'Settlement not found' });
+        }
+
+        return sendJson(res, 200, Object.assign(toSettlementSummary(settlement), {
+            totalCount: settlement.transactions.length,
+            transactions: getPage(settlement.transactions.map(toSettlementTransaction), query)
+        }));
+    }
+
+    const transactionMatch = route.match(new RegExp('^' + API_PREFIX + '/transactions/([^/]+)$'));
+    if (transactionMatch) {
+        const transactionId = decodeURIComponent(transactionMatch[1]);
+        for (const settlement of settlements) {
+            const txn = settlement.transactions.find(t => t.id === transactionId);
+            if (txn) {
+                return sendJson(res, 200, toTransactionDetail(txn, settlement));
+            }
+        }
+        return sendJson(res, 404, { error: 'Transaction not found' });
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(port, () => {
+        console.log('Windcave mock listening on http://localhost:' + port + API_PREFIX);
+        console.log('Fixtures: ' + fixturesPath);
+    });
+}
+
+module.exports = { handleRequest, loadSettlements };
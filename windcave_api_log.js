@@ -0,0 +1,232 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - API Audit Log Module
+ * Writes one Windcave API Log record per API call and searches those records
+ * for the dashboard, so there is a lasting record of what was fetched and when.
+ */
+define(['N/record', 'N/search', 'N/crypto', 'N/encode', 'N/log', './windcave_constants'],
+    function(record, search, crypto, encode, log, constants) {
+
+        const MODULE_NAME = 'WindcaveApiLog';
+
+        /**
+         * Hashes a response body so its content can be verified later without storing it
+         * @param {string} body - Response body
+         * @returns {string} SHA-256 hex digest
+         */
+        function hashBody(body) {
+            const hash = crypto.createHash({
+                algorithm: crypto.HashAlg.SHA256
+            });
+            hash.update({
+                input: body
+            });
+
+            return hash.digest({ outputEncoding: encode.Encoding.HEX });
+        }
+
+        /**
+         * Splits a request URL into its endpoint path and decoded query parameters
+         * @param {string} url - Full request URL
+         * @returns {Object} Object with endpoint and params
+         */
+        function parseRequestUrl(url) {
+            const requestPath = url.replace(/^https?:\/\/[^/]+/i, '');
+            const queryIndex = requestPath.indexOf('?');
+            const params = {};
+
+            if (queryIndex >= 0) {
+                for (const pair of requestPath.substring(queryIndex + 1).split('&')) {
+                    if (!pair) {
+                        continue;
+                    }
+                    const separator = pair.indexOf('=');
+                    const name = decodeURIComponent(separator >= 0 ? pair.substring(0, separator) : pair);
+                    params[name] = separator >= 0 ? decodeURIComponent(pair.substring(separator + 1)) : '';
+                }
+            }
+
+            return {
+                endpoint: queryIndex >= 0 ? requestPath.substring(0, queryIndex) : requestPath,
+                params: params
+            };
+        }
+
+        /**
+         * Creates a logger that records each API call against a configuration
+         * @param {Object} options - Logger options
+         * @param {number} [options.configId] - Configuration internal ID the calls are made for
+         * @param {string} [options.transportMode] - Transport mode the calls are sent through
+         * @returns {Object} Logger with a write(entry) method
+         */
+        function createApiLogger(options) {
+            const { configId, transportMode } = options || {};
+
+            return {
+                /**
+                 * Writes one API Log record. Failures are logged and never interrupt the fetch.
+                 * @param {Object} entry - Call details
+                 * @param {string} entry.url - Full request URL
+                 * @param {number} entry.attempt - Attempt number, starting at 1
+                 * @param {number} entry.latencyMs - Time taken by the call in milliseconds
+                 * @param {number} [entry.statusCode] - HTTP status code, absent if no response was received
+                 * @param {string} [entry.body] - Response body
+                 * @param {string} [entry.error] - Error raised when no response was received
+                 * @returns {number|null} API Log internal ID or null if it could not be written
+                 */
+                write: function(entry) {
+                    try {
+                        const request = parseRequestUrl(entry.url);
+                        const body = entry.body || '';
+
+                        const values = {};
+                        values[constants.API_LOG_FIELDS.REQUESTED_AT] = new Date();
+                        values[constants.API_LOG_FIELDS.ENDPOINT] = request.endpoint;
+                        values[constants.API_LOG_FIELDS.QUERY_PARAMS] = JSON.stringify(request.params)
+                            .substring(0, constants.MISC.TEXTAREA_MAX_LENGTH);
+                        values[constants.API_LOG_FIELDS.LATENCY_MS] = Math.round(entry.latencyMs);
+                        values[constants.API_LOG_FIELDS.ATTEMPT] = entry.attempt;
+                        values[constants.API_LOG_FIELDS.RESPONSE_SIZE] = body.length;
+                        values[constants.API_LOG_FIELDS.TRANSPORT_MODE] = transportMode || constants.TRANSPORT_MODES.LIVE;
+
+                        if (configId) {
+                            values[constants.API_LOG_FIELDS.CONFIG] = configId;
+                        }
+                        if (entry.statusCode !== undefined && entry.statusCode !== null) {
+                            values[constants.API_LOG_FIELDS.STATUS_CODE] = entry.statusCode;
+                        }
+                        if (entry.body !== undefined && entry.body !== null) {
+                            values[constants.API_LOG_FIELDS.BODY_HASH] = hashBody(body);
+                        }
+                        if (entry.error) {
+                            values[constants.API_LOG_FIELDS.ERROR] = String(entry.error)
+                                .substring(0, constants.MISC.TEXTAREA_MAX_LENGTH);
+                        }
+
+                        const logRecord = record.create({
+                            type: constants.RECORD_TYPES.API_LOG
+                        });
+                        for (const fieldId in values) {
+                            logRecord.setValue({
+                                fieldId: fieldId,
+                                value: values[fieldId]
+                            });
+                        }
+
+                        return logRecord.save();
+
+                    } catch (e) {
+                        log.error({
+                            title: MODULE_NAME + '.write',
+                            details: 'Could not write API log entry for ' + entry.url + ': ' + e.message
+                        });
+                        return null;
+                    }
+                }
+            };
+        }
+
+        /**
+         * Gets API Log entries for the dashboard, newest first
+         * @param {Object} [filters] - Search filters
+         * @param {number} [filters.configId] - Only calls made for this configuration
+         * @param {string} [filters.startDate] - Only calls made on or after this date (NetSuite date format)
+         * @param {string} [filters.endDate] - Only calls made on or before this date (NetSuite date format)
+         * @param {string} [filters.outcome] - 'success' for 2xx responses, 'error' for everything else
+         * @param {number} [limit=200] - Maximum entries to return
+         * @returns {Array} API Log entries
+         */
+        function getApiLogEntries(filters, limit) {
+            const { configId, startDate, endDate, outcome } = filters || {};
+            const maxResults = limit || 200;
+
+            const searchFilters = [];
+            const addFilter = filter => {
+                if (searchFilters.length > 0) {
+                    searchFilters.push('AND');
+                }
+                searchFilters.push(filter);
+            };
+
+            if (configId) {
+                addFilter([constants.API_LOG_FIELDS.CONFIG, 'anyof', configId]);
+            }
+            if (startDate) {
+                addFilter([constants.API_LOG_FIELDS.REQUESTED_AT, 'onorafter', startDate]);
+            }
+            if (endDate) {
+                addFilter([constants.API_LOG_FIELDS.REQUESTED_AT, 'onorbefore', endDate]);
+            }
+            if (outcome === 'success') {
+                addFilter([constants.API_LOG_FIELDS.STATUS_CODE, 'between', 200, 299]);
+            } else if (outcome === 'error') {
+                addFilter([
+                    [constants.API_LOG_FIELDS.STATUS_CODE, 'isempty', ''],
+                    'OR',
+                    [constants.API_LOG_FIELDS.STATUS_CODE, 'notbetween', 200, 299]
+                ]);
+            }
+
+            const entries = [];
+
+            try {
+                const logSearch = search.create({
+                    type: constants.RECORD_TYPES.API_LOG,
+                    filters: searchFilters,
+                    columns: [
+                        search.createColumn({
+                            name: constants.API_LOG_FIELDS.REQUESTED_AT,
+                            sort: search.Sort.DESC
+                        }),
+                        constants.API_LOG_FIELDS.CONFIG,
+                        constants.API_LOG_FIELDS.ENDPOINT,
+                        constants.API_LOG_FIELDS.QUERY_PARAMS,
+                        constants.API_LOG_FIELDS.STATUS_CODE,
+                        constants.API_LOG_FIELDS.LATENCY_MS,
+                        constants.API_LOG_FIELDS.ATTEMPT,
+                        constants.API_LOG_FIELDS.RESPONSE_SIZE,
+                        constants.API_LOG_FIELDS.BODY_HASH,
+                        constants.API_LOG_FIELDS.TRANSPORT_MODE,
+                        constants.API_LOG_FIELDS.ERROR
+                    ]
+                });
+
+                const results = logSearch.run().getRange({ start: 0, end: maxResults });
+
+                for (const result of results) {
+                    entries.push({
+                        id: result.id,
+                        requestedAt: result.getValue(constants.API_LOG_FIELDS.REQUESTED_AT),
+                        configId: result.getValue(constants.API_LOG_FIELDS.CONFIG),
+                        configName: result.getText(constants.API_LOG_FIELDS.CONFIG),
+                        endpoint: result.getValue(constants.API_LOG_FIELDS.ENDPOINT),
+                        queryParams: result.getValue(constants.API_LOG_FIELDS.QUERY_PARAMS),
+                        statusCode: result.getValue(constants.API_LOG_FIELDS.STATUS_CODE),
+                        latencyMs: result.getValue(constants.API_LOG_FIELDS.LATENCY_MS),
+                        attempt: result.getValue(constants.API_LOG_FIELDS.ATTEMPT),
+                        responseSize: result.getValue(constants.API_LOG_FIELDS.RESPONSE_SIZE),
+                        bodyHash: result.getValue(constants.API_LOG_FIELDS.BODY_HASH),
+                        transportMode: result.getValue(constants.API_LOG_FIELDS.TRANSPORT_MODE),
+                        error: result.getValue(constants.API_LOG_FIELDS.ERROR)
+                    });
+                }
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.getApiLogEntries',
+                    details: 'Error: ' + e.message
+                });
+            }
+
+            return entries;
+        }
+
+        return {
+            createApiLogger,
+            getApiLogEntries,
+            hashBody,
+            parseRequestUrl
+        };
+    }
+);
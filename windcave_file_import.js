@@ -0,0 +1,425 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Settlement File Import Module
+ * Reads Windcave settlement report exports (CSV, including Excel reports saved as CSV)
+ * and converts them into the settlement detail shape returned by getSettlementDetails,
+ * for merchants that have Payline report access but no REST API credentials.
+ */
+define(['N/file', 'N/search', 'N/log', './windcave_constants', './windcave_money', './windcave_lifecycle'],
+    function(file, search, log, constants, money, lifecycle) {
+
+        const MODULE_NAME = 'WindcaveFileImport';
+
+        /**
+         * Report column names accepted for each field, compared without case, spaces or punctuation
+         */
+        const COLUMN_ALIASES = {
+            settlementId: ['settlementid', 'settlementno', 'settlementnumber', 'batchid'],
+            settlementDate: ['settlementdate', 'settleddate', 'settlementday'],
+            settlementAmount: ['settlementamount', 'settlementtotal'],
+            settlementCrdr: ['crdr', 'settlementcrdr'],
+            referenceNumber: ['referencenumber', 'settlementreference', 'bankreference'],
+            merchantId: ['merchantid'],
+            customerId: ['customerid'],
+            id: ['transactionid', 'txnid', 'dpstxnref', 'id'],
+            merchantReference: ['merchantreference', 'merchantref', 'txnref'],
+            amount: ['amount', 'transactionamount', 'txnamount', 'amountsettlement'],
+            currency: ['currency', 'currencycode', 'currencyname'],
+            type: ['type', 'txntype', 'transactiontype'],
+            method: ['method', 'paymentmethod'],
+            authCode: ['authcode', 'authorisationcode', 'authorizationcode'],
+            dateTimeUtc: ['datetimeutc', 'transactiondatetime', 'transactiondate', 'txndate', 'datetime', 'date'],
+            username: ['username', 'user'],
+            fee: ['fee', 'fees', 'feeamount', 'merchantfee'],
+            parentId: ['parenttransactionid', 'parenttxnid', 'originaltransactionid', 'originaltxnid', 'parentid']
+        };
+
+        /**
+         * Works out a CSV file's delimiter from its header line
+         * @param {string} text - CSV file contents
+         * @returns {string} Comma, semicolon or tab
+         */
+        function detectDelimiter(text) {
+            const headerLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+            return [',', ';', '\t'].reduce((best, candidate) =>
+                headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+        }
+
+        /**
+         * Parses CSV text into rows of cells
+         * Handles quoted cells with embedded delimiters, quotes and line breaks, a leading
+         * byte order mark, and comma, semicolon or tab delimiters (taken from the header line).
+         * @param {string} text - CSV file contents
+         * @returns {Array<Array<string>>} Rows of cell values, blank lines removed
+         */
+        function parseCsv(text) {
+            const content = String(text || '').replace(/^\uFEFF/, '');
+            const delimiter = detectDelimiter(content);
+
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let inQuotes = false;
+
+            for (let i = 0; i < content.length; i++) {
+                const char = content.charAt(i);
+
+                if (inQuotes) {
+                    if (char === '"' && content.charAt(i + 1) === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        inQuotes = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    inQuotes = true;
+                } else if (char === delimiter) {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && content.charAt(i + 1) === '\n') {
+                        i++;
+                    }
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+            row.push(cell);
+            rows.push(row);
+
+            return rows.filter(cells => cells.some(value => value.trim() !== ''));
+        }
+
+        /**
+         * Maps each known field to its column index in the report header
+         * @param {Array<string>} header - Header row
+         * @returns {Object} Map of field name to column index, for the columns present
+         */
+        function mapColumns(header) {
+            const normalised = header.map(name => String(name).toLowerCase().replace(/[^a-z0-9]/g, ''));
+            const columns = {};
+
+            for (const field in COLUMN_ALIASES) {
+                for (const alias of COLUMN_ALIASES[field]) {
+                    const index = normalised.indexOf(alias);
+                    if (index >= 0) {
+                        columns[field] = index;
+                        break;
+                    }
+                }
+            }
+
+            return columns;
+        }
+
+        /**
+         * Converts a report date to YYYY-MM-DD
+         * Accepts YYYY-MM-DD and day-first DD/MM/YYYY (as in Windcave's NZ and AU reports),
+         * with or without a time. Anything else is returned unchanged for validation to reject.
+         * @param {string} value - Date from the report
+         * @returns {string} Date in YYYY-MM-DD format
+         */
+        function normaliseDate(value) {
+            const text = String(value || '').trim();
+
+            let parts = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+            if (parts) {
+                return parts[1] + '-' + parts[2].padStart(2, '0') + '-' + parts[3].padStart(2, '0');
+            }
+
+            parts = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/.exec(text);
+            if (parts) {
+                return parts[3] + '-' + parts[2].padStart(2, '0') + '-' + parts[1].padStart(2, '0');
+            }
+
+            return text;
+        }
+
+        /**
+         * Converts a report date and time to ISO 8601 UTC
+         * Report times without an offset are taken as UTC.
+         * @param {string} value - Date and time from the report
+         * @returns {string} ISO 8601 date and time, or the value unchanged if it cannot be read
+         */
+        function normaliseDateTime(value) {
+            const text = String(value || '').trim();
+            if (!text || /^\d{4}-\d{2}-\d{2}T/.test(text)) {
+                return text;
+            }
+
+            const date = normaliseDate(text);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                return text;
+            }
+
+            const time = /\s(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text);
+            return date + 'T' + (time ?
+                time[1].padStart(2, '0') + ':' + time[2] + ':' + (time[3] || '00') :
+                '00:00:00') + 'Z';
+        }
+
+        /**
+         * Cleans a report amount: removes thousands separators and currency symbols, and
+         * reads accounting brackets as a negative sign
+         * Semicolon-delimited exports usually write decimals with a comma ("1.234,50"); there a
+         * single comma is the decimal separator and dots are thousands separators. An amount
+         * with more than one comma is ambiguous and left for validation to reject.
+         * @param {string} value - Amount from the report
+         * @param {boolean} [decimalComma] - True if the report writes decimals with a comma
+         * @returns {string} Amount text
+         */
+        function normaliseAmount(value, decimalComma) {
+            let text = String(value || '').trim().replace(/[\s$£€¥]/g, '');
+            if (!decimalComma) {
+                text = text.replace(/,/g, '');
+            } else if (text.split(',').length === 2) {
+                text = text.replace(/\./g, '').replace(',', '.');
+            }
+            if (/^\(.*\)$/.test(text)) {
+                text = '-' + text.substring(1, text.length - 1);
+            }
+            return text;
+        }
+
+        /**
+         * Matches a report transaction type to the Windcave type names, ignoring case
+         * @param {string} value - Type from the report
+         * @returns {string} Windcave transaction type, or the value unchanged if unknown
+         */
+        function normaliseType(value) {
+            const text = String(value || '').trim();
+            const known = Object.values(constants.TRANSACTION_TYPES)
+                .find(type => type.toLowerCase() === text.toLowerCase());
+            return known || text;
+        }
+
+        /**
+         * Converts a settlement report into settlement details, one per settlement in the file
+         * Rows are grouped by settlement ID, or by settlement date and currency when the report
+         * has no settlement ID column. Amount and CRDR are the net of the transactions unless the
+         * report has settlement amount and CRDR columns. Values are normalised but not validated;
+         * reconcileSettlement validates them as it does API responses.
+         * @param {string} contents - CSV file contents
+         * @param {Object} [defaults] - Values for columns the report does not have
+         * @param {string} [defaults.merchantId] - Merchant ID (usually the configuration's)
+         * @param {string} [defaults.customerId] - Customer ID
+         * @returns {Array<Object>} Settlement details in the shape returned by getSettlementDetails
+         * @throws {Error} If the file has no data rows or lacks a required column
+         */
+        function parseSettlementFile(contents, defaults) {
+            const { merchantId, customerId } = defaults || {};
+            const rows = parseCsv(contents);
+
+            if (rows.length < 2) {
+                throw new Error(constants.ERRORS.IMPORT_FILE_INVALID + ': no data rows');
+            }
+
+            const columns = mapColumns(rows[0]);
+            const decimalComma = detectDelimiter(contents) === ';';
+            const missing = ['id', 'amount', 'type'].filter(field => columns[field] === undefined);
+            if (columns.settlementId === undefined && columns.settlementDate === undefined) {
+                missing.push('settlementId or settlementDate');
+            }
+            if (missing.length > 0) {
+                throw new Error(constants.ERRORS.IMPORT_FILE_INVALID + ': missing column(s) ' + missing.join(', '));
+            }
+
+            const cellValue = (cells, field) =>
+                columns[field] !== undefined && cells[columns[field]] !== undefined ? cells[columns[field]].trim() : '';
+
+            const settlements = [];
+            const settlementsByKey = {};
+
+            for (const cells of rows.slice(1)) {
+                const currency = cellValue(cells, 'currency').toUpperCase();
+                const settlementDate = normaliseDate(cellValue(cells, 'settlementDate')) ||
+                                       normaliseDate(cellValue(cells, 'dateTimeUtc'));
+                const rowMerchantId = cellValue(cells, 'merchantId') || merchantId || '';
+                const settlementId = cellValue(cells, 'settlementId') ||
+                    constants.FILE_IMPORT.ID_PREFIX + rowMerchantId + '-' + settlementDate.replace(/-/g, '') + '-' + currency;
+
+                let settlement = settlementsByKey[settlementId];
+                if (!settlement) {
+                    settlement = {
+                        id: settlementId,
+                        merchantId: rowMerchantId,
+                        customerId: cellValue(cells, 'customerId') || customerId || '',
+                        settlementDate: settlementDate,
+                        amount: cellValue(cells, 'settlementAmount') ? normaliseAmount(cellValue(cells, 'settlementAmount'), decimalComma) : null,
+                        currency: currency,
+                        CRDR: cellValue(cells, 'settlementCrdr').toUpperCase() || null,
+                        status: constants.SETTLEMENT_STATUS.DONE,
+                        referenceNumber: cellValue(cells, 'referenceNumber'),
+                        transactions: [],
+                        pagesFetched: 0,
+                        truncated: false
+                    };
+                    settlementsByKey[settlementId] = settlement;
+                    settlements.push(settlement);
+                }
+
+                // Refunds are listed as positive amounts with their type, as in the API
+                let amount = normaliseAmount(cellValue(cells, 'amount'), decimalComma);
+                if (amount.charAt(0) === '-') {
+                    amount = amount.substring(1);
+                }
+
+                const transaction = {
+                    id: cellValue(cells, 'id'),
+                    merchantReference: cellValue(cells, 'merchantReference'),
+                    amount: amount,
+                    currency: currency || settlement.currency,
+                    type: normaliseType(cellValue(cells, 'type')),
+                    method: cellValue(cells, 'method') || 'card',
+                    authCode: cellValue(cells, 'authCode'),
+                    username: cellValue(cells, 'username')
+                };
+                const fee = normaliseAmount(cellValue(cells, 'fee'), decimalComma);
+                if (fee) {
+                    transaction.fee = fee;
+                }
+                const parentId = cellValue(cells, 'parentId');
+                if (parentId) {
+                    transaction.parentId = parentId;
+                }
+                const dateTimeUtc = normaliseDateTime(cellValue(cells, 'dateTimeUtc'));
+                if (dateTimeUtc) {
+                    transaction.dateTimeUtc = dateTimeUtc;
+                }
+                settlement.transactions.push(transaction);
+            }
+
+            for (const settlement of settlements) {
+                if (settlement.amount === null || !settlement.CRDR) {
+                    let netMinorUnits = 0;
+                    const lifecycleStatuses = lifecycle.classifyTransactions(settlement.transactions);
+                    for (const txn of settlement.transactions) {
+                        if (lifecycleStatuses[String(txn.id)]) {
+                            continue;
+                        }
+                        const minorUnits = money.toMinorUnits(txn.amount, settlement.currency);
+                        if (txn.type === constants.TRANSACTION_TYPES.REFUND) {
+                            netMinorUnits -= minorUnits;
+                        } else if (txn.type === constants.TRANSACTION_TYPES.PURCHASE ||
+                                   txn.type === constants.TRANSACTION_TYPES.COMPLETE) {
+                            netMinorUnits += minorUnits;
+                        }
+                    }
+
+                    settlement.amount = settlement.amount === null ?
+                        money.formatAmount(Math.abs(netMinorUnits), settlement.currency) : settlement.amount;
+                    settlement.CRDR = settlement.CRDR || (netMinorUnits >= 0 ? constants.CRDR.CREDIT : constants.CRDR.DEBIT);
+                }
+                if (settlement.amount.charAt(0) === '-') {
+                    settlement.amount = settlement.amount.substring(1);
+                }
+            }
+
+            return settlements;
+        }
+
+        /**
+         * Loads a settlement file from the File Cabinet and parses it
+         * @param {number} fileId - File internal ID
+         * @param {Object} [defaults] - Values for columns the report does not have (see parseSettlementFile)
+         * @returns {Object} Object with fileId, fileName and settlements
+         * @throws {Error} If the file cannot be parsed
+         */
+        function loadSettlementFile(fileId, defaults) {
+            const settlementFile = file.load({ id: fileId });
+
+            try {
+                return {
+                    fileId: fileId,
+                    fileName: settlementFile.name,
+                    settlements: parseSettlementFile(settlementFile.getContents(), defaults)
+                };
+            } catch (e) {
+                throw new Error(e.message + ' (' + settlementFile.name + ')');
+            }
+        }
+
+        /**
+         * Lists the settlement files waiting in an import folder, oldest first
+         * @param {number} folderId - File Cabinet folder internal ID
+         * @returns {Array<Object>} Files with id and name
+         */
+        function listImportFiles(folderId) {
+            const fileSearch = search.create({
+                type: 'file',
+                filters: [
+                    ['folder', 'anyof', folderId],
+                    'AND',
+                    ['filetype', 'anyof', constants.FILE_IMPORT.FILE_TYPES]
+                ],
+                columns: [
+                    search.createColumn({
+                        name: 'created',
+                        sort: search.Sort.ASC
+                    }),
+                    'name'
+                ]
+            });
+
+            const files = [];
+            fileSearch.run().each(function(result) {
+                files.push({
+                    id: result.id,
+                    name: result.getValue('name')
+                });
+                return true;
+            });
+
+            return files;
+        }
+
+        /**
+         * Moves an imported file to the archive folder so it is not read again
+         * @param {number} fileId - File internal ID
+         * @param {number} archiveFolderId - File Cabinet folder internal ID
+         * @returns {boolean} True if the file was moved
+         */
+        function archiveImportFile(fileId, archiveFolderId) {
+            try {
+                const settlementFile = file.load({ id: fileId });
+                settlementFile.folder = archiveFolderId;
+                settlementFile.save();
+                return true;
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.archiveImportFile',
+                    details: 'Could not archive file ' + fileId + ': ' + e.message
+                });
+                return false;
+            }
+        }
+
+        /**
+         * Saves a file uploaded through the dashboard into an import folder
+         * @param {Object} uploadedFile - N/file File from the request
+         * @param {number} folderId - File Cabinet folder internal ID
+         * @returns {number} Saved file internal ID
+         */
+        function saveUploadedFile(uploadedFile, folderId) {
+            uploadedFile.folder = folderId;
+            return uploadedFile.save();
+        }
+
+        return {
+            archiveImportFile,
+            listImportFiles,
+            loadSettlementFile,
+            parseCsv,
+            parseSettlementFile,
+            saveUploadedFile
+        };
+    }
+);
@@ -21,15 +21,27 @@ define(['N/record', 'N/search', 'N/file', 'N/log', 'N/runtime', 'N/email'],
         const REQUIRED_RECORDS = [
             'customrecord_windcave_config',
             'customrecord_windcave_settlement',
-            'customrecord_windcave_txn_detail'
+            'customrecord_windcave_txn_detail',
+            'customrecord_windcave_api_log',
+            'customrecord_windcave_match_group',
+            'customrecord_windcave_sub_bank'
         ];
 
         const REQUIRED_FILES = [
             '/SuiteScripts/Windcave/windcave_constants.js',
             '/SuiteScripts/Windcave/windcave_api_module.js',
+            '/SuiteScripts/Windcave/windcave_transport.js',
+            '/SuiteScripts/Windcave/windcave_api_log.js',
+            '/SuiteScripts/Windcave/windcave_money.js',
+            '/SuiteScripts/Windcave/windcave_file_import.js',
+            '/SuiteScripts/Windcave/windcave_reference.js',
+            '/SuiteScripts/Windcave/windcave_fees.js',
+            '/SuiteScripts/Windcave/windcave_fuzzy_match.js',
+            '/SuiteScripts/Windcave/windcave_lifecycle.js',
             '/SuiteScripts/Windcave/windcave_reconciliation_lib.js',
             '/SuiteScripts/Windcave/windcave_settlement_scheduled.js',
             '/SuiteScripts/Windcave/windcave_settlement_suitelet.js',
+            '/SuiteScripts/Windcave/windcave_notification_suitelet.js',
             '/SuiteScripts/Windcave/windcave_settlement_client.js'
         ];
 
@@ -42,6 +54,7 @@ define(['N/record', 'N/search', 'N/file', 'N/log', 'N/runtime', 'N/email'],
                 customRecords: { passed: 0, failed: 0, details: [] },
                 scriptFiles: { passed: 0, failed: 0, details: [] },
                 configuration: { passed: false, details: '' },
+                credentials: { plaintext: [], details: '' },
                 permissions: { passed: false, details: '' }
             };
 
@@ -124,6 +137,48 @@ define(['N/record', 'N/search', 'N/file', 'N/log', 'N/runtime', 'N/email'],
                 results.configuration.details = 'Error: ' + e.message;
             }
 
+            // Check Credentials - API keys should be held in NetSuite API Secrets, not on the record
+            log.audit('INSTALLER', '\n--- Checking Credentials ---');
+            try {
+                const credentialSearch = search.create({
+                    type: 'customrecord_windcave_config',
+                    filters: [['custrecord_wc_is_active', 'is', 'T']],
+                    columns: [
+                        'name',
+                        'custrecord_wc_api_key',
+                        'custrecord_wc_api_secret_id',
+                        'custrecord_wc_api_key_2',
+                        'custrecord_wc_api_secret_id_2'
+                    ]
+                });
+
+                credentialSearch.run().each(function(result) {
+                    const configName = result.getValue('name');
+                    if (result.getValue('custrecord_wc_api_secret_id')) {
+                        log.audit('INSTALLER', '✓ ' + configName + ' - uses API Secret');
+                    } else if (result.getValue('custrecord_wc_api_key')) {
+                        log.warn('INSTALLER', '⚠ ' + configName + ' - API key stored as plain text on the configuration record');
+                        results.credentials.plaintext.push(configName);
+                    } else {
+                        log.warn('INSTALLER', '⚠ ' + configName + ' - no API key or API Secret ID set');
+                    }
+                    if (result.getValue('custrecord_wc_api_key_2') && !result.getValue('custrecord_wc_api_secret_id_2')) {
+                        log.warn('INSTALLER', '⚠ ' + configName + ' - secondary API key stored as plain text on the configuration record');
+                        if (results.credentials.plaintext.indexOf(configName) < 0) {
+                            results.credentials.plaintext.push(configName);
+                        }
+                    }
+                    return true;
+                });
+
+                results.credentials.details = results.credentials.plaintext.length > 0 ?
+                    results.credentials.plaintext.length + ' configuration(s) with plaintext API keys' :
+                    'No plaintext API keys';
+            } catch (e) {
+                log.error('INSTALLER', '✗ Credential check failed: ' + e.message);
+                results.credentials.details = 'Error: ' + e.message;
+            }
+
             // Check Permissions
             log.audit('INSTALLER', '\n--- Checking Permissions ---');
             try {
@@ -175,6 +230,12 @@ define(['N/record', 'N/search', 'N/file', 'N/log', 'N/runtime', 'N/email'],
                 }
             }
 
+            if (results.credentials.plaintext.length > 0) {
+                log.warn('INSTALLER', '⚠ Move plaintext API keys into NetSuite API Secrets (Setup > Company > API Secrets), ' +
+                         'set API Secret ID on the configuration and clear the API Key field: ' +
+                         results.credentials.plaintext.join(', '));
+            }
+
             log.audit('INSTALLER', '\n' + '='.repeat(60));
 
             return results;
@@ -0,0 +1,121 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Transaction Lifecycle Module
+ * Links pre-auths to their completions and voids to the transactions they cancel by
+ * parent transaction ID, and works out which transactions in a settlement are deposited.
+ */
+define(['N/log', './windcave_constants'],
+    function(log, constants) {
+
+        const MODULE_NAME = 'WindcaveLifecycle';
+
+        /**
+         * Maps each transaction to the first transaction of its chain
+         * Parent IDs are followed while the parent is in the list; a chain whose first parent
+         * is missing (e.g. settled earlier) is keyed by that parent's ID.
+         * @param {Array} transactions - Windcave transactions (id, parentId)
+         * @returns {Object} Map of transaction ID to chain root ID
+         */
+        function getRootIds(transactions) {
+            const byId = {};
+            for (const txn of transactions) {
+                byId[String(txn.id)] = txn;
+            }
+
+            const rootIds = {};
+            for (const txn of transactions) {
+                const seen = [String(txn.id)];
+                let current = txn;
+                let rootId = String(txn.id);
+
+                while (current.parentId && seen.indexOf(String(current.parentId)) < 0) {
+                    rootId = String(current.parentId);
+                    seen.push(rootId);
+                    current = byId[rootId];
+                    if (!current) {
+                        break;
+                    }
+                }
+
+                rootIds[String(txn.id)] = rootId;
+            }
+
+            return rootIds;
+        }
+
+        /**
+         * Works out the lifecycle status of each transaction in a settlement
+         * Voids and the transactions they void are CANCELLED. Auths are COMPLETED when a Complete
+         * in the list has them as its parent, otherwise AUTHORISED. Purchases, Completes and
+         * Refunds that were not voided get no status and go on to matching and the deposit.
+         * @param {Array} transactions - Windcave transactions (id, type, parentId)
+         * @returns {Object} Map of transaction ID to a constants.LIFECYCLE_STATUS value, for
+         *          transactions that are not deposited
+         */
+        function classifyTransactions(transactions) {
+            const ids = transactions.map(txn => String(txn.id));
+            const statuses = {};
+            const completedIds = [];
+
+            for (const txn of transactions) {
+                if (txn.type === constants.TRANSACTION_TYPES.VOID) {
+                    statuses[String(txn.id)] = constants.LIFECYCLE_STATUS.CANCELLED;
+                    if (!txn.parentId) {
+                        continue;
+                    }
+                    if (ids.indexOf(String(txn.parentId)) >= 0) {
+                        statuses[String(txn.parentId)] = constants.LIFECYCLE_STATUS.CANCELLED;
+                    } else {
+                        log.audit({
+                            title: MODULE_NAME + '.classifyTransactions',
+                            details: 'Void ' + txn.id + ' cancels ' + txn.parentId + ', which is not in this settlement'
+                        });
+                    }
+                } else if (txn.type === constants.TRANSACTION_TYPES.COMPLETE && txn.parentId) {
+                    completedIds.push(String(txn.parentId));
+                }
+            }
+
+            for (const txn of transactions) {
+                if (txn.type === constants.TRANSACTION_TYPES.AUTH && !statuses[String(txn.id)]) {
+                    statuses[String(txn.id)] = completedIds.indexOf(String(txn.id)) >= 0 ?
+                        constants.LIFECYCLE_STATUS.COMPLETED : constants.LIFECYCLE_STATUS.AUTHORISED;
+                }
+            }
+
+            return statuses;
+        }
+
+        /**
+         * Collects transactions into lifecycle chains for display
+         * Only chains of more than one transaction, or whose parent is missing, are returned.
+         * @param {Array} transactions - Windcave transactions (id, parentId), in settlement order
+         * @returns {Array} Chains with rootId and their transactions in order
+         */
+        function buildChains(transactions) {
+            const rootIds = getRootIds(transactions);
+            const chains = {};
+            const order = [];
+
+            for (const txn of transactions) {
+                const rootId = rootIds[String(txn.id)];
+                if (!chains[rootId]) {
+                    chains[rootId] = { rootId: rootId, transactions: [] };
+                    order.push(rootId);
+                }
+                chains[rootId].transactions.push(txn);
+            }
+
+            return order
+                .map(rootId => chains[rootId])
+                .filter(chain => chain.transactions.length > 1 || String(chain.transactions[0].id) !== chain.rootId);
+        }
+
+        return {
+            buildChains,
+            classifyTransactions
+        };
+    }
+);
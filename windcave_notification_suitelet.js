@@ -0,0 +1,244 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ * @NModuleScope SameAccount
+ *
+ * Windcave Settlement Integration - Notification Receiver
+ * Public endpoint for Windcave settlement and transaction notifications. A verified
+ * notification for a settlement queues the scheduled script to process just that
+ * settlement, instead of waiting for the next daily run.
+ */
+define([
+    'N/crypto',
+    'N/encode',
+    'N/log',
+    'N/task',
+    './windcave_constants',
+    './windcave_reconciliation_lib'
+], function(crypto, encode, log, task, constants, reconciliation) {
+
+    const SCRIPT_NAME = 'WindcaveNotificationSuitelet';
+
+    /**
+     * Main entry point for Suitelet
+     * Always answers with JSON: {success, queued, message}.
+     * @param {Object} context - Request/Response context
+     */
+    function onRequest(context) {
+        const request = context.request;
+        const response = context.response;
+
+        let result;
+        try {
+            if (request.method !== 'POST') {
+                result = { success: false, queued: false, message: 'Notifications must be sent with POST' };
+            } else {
+                result = handleNotification(request);
+            }
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME,
+                details: 'Error: ' + e.message + '\n' + e.stack
+            });
+            result = { success: false, queued: false, message: 'Notification could not be processed' };
+        }
+
+        response.setHeader({
+            name: 'Content-Type',
+            value: 'application/json'
+        });
+        response.write(JSON.stringify(result));
+    }
+
+    /**
+     * Verifies a notification and queues its settlement for processing
+     * @param {Object} request - Incoming request
+     * @returns {Object} Result with success, queued and message
+     */
+    function handleNotification(request) {
+        const body = request.body || '';
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            return { success: false, queued: false, message: 'Notification body is not valid JSON' };
+        }
+
+        const notification = parseNotification(payload);
+
+        // Unknown merchants and bad signatures get the same reply, so callers cannot probe for
+        // configured merchant IDs; the reason is only logged
+        const rejected = { success: false, queued: false, message: constants.ERRORS.NOTIFICATION_REJECTED };
+
+        const config = reconciliation.findNotificationConfiguration(notification.merchantId);
+        if (!config) {
+            log.audit({
+                title: SCRIPT_NAME,
+                details: constants.ERRORS.NOTIFICATION_CONFIG_NOT_FOUND + ' ' + notification.merchantId
+            });
+            return rejected;
+        }
+
+        const signature = getHeader(request.headers, constants.NOTIFICATIONS.SIGNATURE_HEADER) ||
+                          request.parameters[constants.NOTIFICATIONS.SIGNATURE_PARAM];
+        if (!verifySignature(body, signature, config.notificationSecretId)) {
+            log.error({
+                title: SCRIPT_NAME,
+                details: '[' + config.name + '] ' + constants.ERRORS.NOTIFICATION_SIGNATURE_INVALID
+            });
+            return rejected;
+        }
+
+        if (!notification.settlementId) {
+            return {
+                success: true,
+                queued: false,
+                message: 'No settlement ID in notification; the transaction is processed with its settlement'
+            };
+        }
+
+        if (notification.status && notification.status !== constants.SETTLEMENT_STATUS.DONE) {
+            return {
+                success: true,
+                queued: false,
+                message: 'Settlement ' + notification.settlementId + ' is ' + notification.status + ', waiting for Done'
+            };
+        }
+
+        if (reconciliation.isSettlementProcessed(notification.settlementId)) {
+            return {
+                success: true,
+                queued: false,
+                message: 'Settlement ' + notification.settlementId + ' already processed'
+            };
+        }
+
+        let taskId;
+        try {
+            taskId = queueSettlement(config, notification.settlementId);
+        } catch (e) {
+            // Every notification deployment is busy; the settlement is fetched by the next scheduled run
+            log.audit({
+                title: SCRIPT_NAME,
+                details: '[' + config.name + '] Could not queue settlement ' + notification.settlementId +
+                         ', leaving it for the next scheduled run: ' + e.message
+            });
+            return {
+                success: true,
+                queued: false,
+                message: 'Settlement ' + notification.settlementId + ' will be processed by the next scheduled run'
+            };
+        }
+
+        log.audit({
+            title: SCRIPT_NAME,
+            details: '[' + config.name + '] Queued settlement ' + notification.settlementId + ': ' + taskId
+        });
+
+        return {
+            success: true,
+            queued: true,
+            message: 'Settlement ' + notification.settlementId + ' queued for processing'
+        };
+    }
+
+    /**
+     * Reads the merchant, settlement and status from a settlement or transaction notification
+     * Settlement notifications carry the settlement itself (id, status); transaction
+     * notifications carry the transaction, with settlementId once it has settled.
+     * @param {Object} payload - Parsed notification body
+     * @returns {Object} Object with merchantId, settlementId and status
+     */
+    function parseNotification(payload) {
+        const isTransaction = payload.type === 'transaction' || !!payload.transactionId;
+
+        return {
+            merchantId: payload.merchantId ? String(payload.merchantId) : '',
+            settlementId: payload.settlementId ? String(payload.settlementId) :
+                (!isTransaction && payload.id ? String(payload.id) : ''),
+            status: isTransaction ? '' : (payload.status || '')
+        };
+    }
+
+    /**
+     * Reads a request header regardless of the casing used by the caller
+     * @param {Object} headers - Request headers
+     * @param {string} name - Header name
+     * @returns {string|null} Header value or null if absent
+     */
+    function getHeader(headers, name) {
+        const lowerName = name.toLowerCase();
+        for (const key in headers || {}) {
+            if (key.toLowerCase() === lowerName) {
+                return headers[key];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks a notification signature: the hex HMAC-SHA256 of the raw body, keyed with
+     * the API Secret named on the configuration. A "sha256=" prefix is accepted.
+     * @param {string} body - Raw request body
+     * @param {string} signature - Signature sent with the notification
+     * @param {string} secretId - Script ID of the NetSuite API Secret (custsecret_...)
+     * @returns {boolean} True if the signature matches
+     */
+    function verifySignature(body, signature, secretId) {
+        if (!signature) {
+            return false;
+        }
+
+        const cleanSecretId = String(secretId).trim().replace(/^\{|\}$/g, '').toLowerCase();
+        if (!/^custsecret_[a-z0-9_]+$/.test(cleanSecretId)) {
+            throw new Error(constants.ERRORS.API_SECRET_INVALID + ': ' + secretId);
+        }
+
+        const hmac = crypto.createHmac({
+            algorithm: crypto.HashAlg.SHA256,
+            key: crypto.createSecretKey({
+                secret: cleanSecretId,
+                encoding: encode.Encoding.UTF_8
+            })
+        });
+        hmac.update({
+            input: body,
+            inputEncoding: encode.Encoding.UTF_8
+        });
+        const expected = hmac.digest({ outputEncoding: encode.Encoding.HEX }).toLowerCase();
+        const received = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+
+        // Compare every character so the time taken does not reveal how much matched
+        let difference = expected.length ^ received.length;
+        for (let i = 0; i < expected.length; i++) {
+            difference |= expected.charCodeAt(i) ^ (received.charCodeAt(i) || 0);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Queues the scheduled script to process one settlement for a configuration
+     * No deployment is named, so NetSuite uses a free one (see the
+     * customdeploy_windcave_settlement_ss_notify deployments).
+     * @param {Object} config - Configuration values
+     * @param {string} settlementId - Windcave settlement ID
+     * @returns {string} Task ID
+     */
+    function queueSettlement(config, settlementId) {
+        const params = {};
+        params[constants.NOTIFICATIONS.PARAM_CONFIG] = config.internalId;
+        params[constants.NOTIFICATIONS.PARAM_SETTLEMENT] = settlementId;
+
+        const settlementTask = task.create({
+            taskType: task.TaskType.SCHEDULED_SCRIPT,
+            scriptId: constants.NOTIFICATIONS.SCHEDULED_SCRIPT_ID,
+            params: params
+        });
+        return settlementTask.submit();
+    }
+
+    return {
+        onRequest: onRequest
+    };
+});
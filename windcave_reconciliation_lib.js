@@ -5,38 +5,176 @@
  * Windcave Settlement Integration - Reconciliation Library
  * Handles matching Windcave transactions to NetSuite payments and creating Bank Deposits.
  */
-define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
-    function(record, search, log, format, constants) {
+define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants', './windcave_api_module', './windcave_money',
+    './windcave_reference', './windcave_fuzzy_match', './windcave_fees', './windcave_lifecycle'],
+    function(record, search, log, format, constants, windcaveApi, money, referenceParser, fuzzyMatch, fees, lifecycle) {
 
         const MODULE_NAME = 'WindcaveReconciliation';
 
         /**
-         * Loads all active Windcave configuration records
+         * Parses the retry budget configured on a configuration record
+         * An explicit 0 disables retries, so it cannot be treated as "not set".
+         * @param {string|number} value - Field value
+         * @returns {number} Retry budget
+         */
+        function parseRetryBudget(value) {
+            const budget = parseInt(value);
+            return isNaN(budget) || budget < 0 ? constants.MISC.MAX_API_RETRIES : budget;
+        }
+
+        /**
+         * Parses the fuzzy match confidence configured on a configuration record
+         * @param {string|number} value - Field value (percent)
+         * @returns {number} Confidence, the default if empty or below 1
+         */
+        function parseFuzzyConfidence(value) {
+            const confidence = parseInt(value);
+            return isNaN(confidence) || confidence < 1 ? constants.MISC.DEFAULT_FUZZY_CONFIDENCE : confidence;
+        }
+
+        /**
+         * Parses the Debit Settlement Handling configured on a configuration record
+         * @param {string} value - Field value, e.g. "JOURNAL"
+         * @returns {string} A constants.DEBIT_HANDLING value, MANUAL if empty or unknown
+         */
+        function parseDebitHandling(value) {
+            const handling = String(value || '').trim().toUpperCase();
+            return Object.values(constants.DEBIT_HANDLING).indexOf(handling) >= 0 ? handling : constants.DEBIT_HANDLING.MANUAL;
+        }
+
+        /**
+         * Parses the Surcharge Mode configured on a configuration record
+         * @param {string} value - Field value, e.g. "PERCENT"
+         * @returns {string} A constants.SURCHARGE_MODES value, OFF if empty or unknown
+         */
+        function parseSurchargeMode(value) {
+            const mode = String(value || '').trim().toUpperCase();
+            return Object.values(constants.SURCHARGE_MODES).indexOf(mode) >= 0 ? mode : constants.SURCHARGE_MODES.OFF;
+        }
+
+        /**
+         * Parses the ordered matching strategies configured on a configuration record
+         * Names are separated by commas or spaces; unknown and repeated names are ignored.
+         * @param {string} value - Field value, e.g. "TRANID, EXTERNALID, AUTHCODE"
+         * @returns {Array<string>} Strategy names in order, the default order if none are valid
+         */
+        function parseMatchStrategies(value) {
+            const known = Object.values(constants.MATCH_STRATEGIES);
+            const strategies = [];
+
+            for (const name of String(value || '').toUpperCase().replace(/_/g, '').split(/[\s,]+/)) {
+                if (known.indexOf(name) >= 0 && strategies.indexOf(name) < 0) {
+                    strategies.push(name);
+                }
+            }
+
+            return strategies.length > 0 ? strategies : constants.MISC.DEFAULT_MATCH_STRATEGIES.split(',');
+        }
+
+        /**
+         * Loads the subsidiary bank accounts mapped on configurations
+         * @param {number} [configId] - Only load this configuration's mappings
+         * @returns {Object} Map of configuration internal ID to a map of subsidiary internal ID
+         *          to bank account internal ID (empty if none, or if the record is not installed)
+         */
+        function loadSubsidiaryBankAccounts(configId) {
+            const filters = [['isinactive', 'is', 'F']];
+            if (configId) {
+                filters.push('AND', [constants.SUBSIDIARY_BANK_FIELDS.CONFIG, 'anyof', configId]);
+            }
+
+            const mappings = {};
+            try {
+                search.create({
+                    type: constants.RECORD_TYPES.SUBSIDIARY_BANK,
+                    filters: filters,
+                    columns: [
+                        constants.SUBSIDIARY_BANK_FIELDS.CONFIG,
+                        constants.SUBSIDIARY_BANK_FIELDS.SUBSIDIARY,
+                        constants.SUBSIDIARY_BANK_FIELDS.BANK_ACCOUNT
+                    ]
+                }).run().each(function(result) {
+                    const mappedConfigId = result.getValue(constants.SUBSIDIARY_BANK_FIELDS.CONFIG);
+                    mappings[mappedConfigId] = mappings[mappedConfigId] || {};
+                    mappings[mappedConfigId][result.getValue(constants.SUBSIDIARY_BANK_FIELDS.SUBSIDIARY)] =
+                        result.getValue(constants.SUBSIDIARY_BANK_FIELDS.BANK_ACCOUNT);
+                    return true;
+                });
+            } catch (e) {
+                log.debug({
+                    title: MODULE_NAME + '.loadSubsidiaryBankAccounts',
+                    details: 'Subsidiary bank accounts not loaded: ' + e.message
+                });
+            }
+
+            return mappings;
+        }
+
+        /**
+         * Searches Windcave configuration records
+         * Both loaders read configurations through here so they return the same values.
+         * @param {Array} filters - Search filters
+         * @param {Object} subsidiaryBankAccounts - Mappings from loadSubsidiaryBankAccounts
          * @returns {Array} Array of configuration objects
-         * @throws {Error} If no configurations found
          */
-        function loadAllConfigurations() {
+        function searchConfigurations(filters, subsidiaryBankAccounts) {
             const configSearch = search.create({
                 type: constants.RECORD_TYPES.CONFIG,
-                filters: [
-                    [constants.CONFIG_FIELDS.IS_ACTIVE, 'is', 'T']
-                ],
+                filters: filters,
                 columns: [
                     constants.CONFIG_FIELDS.API_USERNAME,
                     constants.CONFIG_FIELDS.API_PASSWORD,
+                    constants.CONFIG_FIELDS.API_SECRET_ID,
+                    constants.CONFIG_FIELDS.SECONDARY_API_USERNAME,
+                    constants.CONFIG_FIELDS.SECONDARY_API_PASSWORD,
+                    constants.CONFIG_FIELDS.SECONDARY_API_SECRET_ID,
+                    constants.CONFIG_FIELDS.NOTIFICATION_SECRET_ID,
+                    constants.CONFIG_FIELDS.ACTIVE_CREDENTIAL,
+                    constants.CONFIG_FIELDS.PRIMARY_FAILED_AT,
                     constants.CONFIG_FIELDS.MERCHANT_ID,
                     constants.CONFIG_FIELDS.CUSTOMER_ID,
                     constants.CONFIG_FIELDS.ENVIRONMENT,
+                    constants.CONFIG_FIELDS.BASE_URL,
+                    constants.CONFIG_FIELDS.SETTLEMENT_SOURCE,
+                    constants.CONFIG_FIELDS.IMPORT_FOLDER,
+                    constants.CONFIG_FIELDS.IMPORT_ARCHIVE_FOLDER,
+                    constants.CONFIG_FIELDS.MATCH_STRATEGIES,
+                    constants.CONFIG_FIELDS.MATCH_BODY_FIELD,
+                    constants.CONFIG_FIELDS.REFERENCE_TEMPLATES,
+                    constants.CONFIG_FIELDS.REFERENCE_PREFIXES,
+                    constants.CONFIG_FIELDS.REFERENCE_SUFFIXES,
+                    constants.CONFIG_FIELDS.FUZZY_MATCHING,
+                    constants.CONFIG_FIELDS.FUZZY_CONFIDENCE,
                     constants.CONFIG_FIELDS.BANK_ACCOUNT,
+                    constants.CONFIG_FIELDS.REFUND_ACCOUNT,
+                    constants.CONFIG_FIELDS.DEBIT_HANDLING,
+                    constants.CONFIG_FIELDS.DEBIT_ACCOUNT,
+                    constants.CONFIG_FIELDS.FEE_ACCOUNT,
+                    constants.CONFIG_FIELDS.FEE_SCHEDULE,
+                    constants.CONFIG_FIELDS.SURCHARGE_MODE,
+                    constants.CONFIG_FIELDS.SURCHARGE_LIMIT,
+                    constants.CONFIG_FIELDS.SURCHARGE_ACCOUNT,
                     constants.CONFIG_FIELDS.LOOKBACK_DAYS,
                     constants.CONFIG_FIELDS.NOTIFICATION_EMAIL,
+                    constants.CONFIG_FIELDS.IS_ACTIVE,
                     constants.CONFIG_FIELDS.ENABLE_SCHEDULED,
                     constants.CONFIG_FIELDS.SCHEDULE_FREQ,
                     constants.CONFIG_FIELDS.SCHEDULE_DAY,
                     constants.CONFIG_FIELDS.SCHEDULE_HOUR,
                     constants.CONFIG_FIELDS.SEND_EMAIL,
                     constants.CONFIG_FIELDS.LAST_RUN_DATE,
-                    constants.CONFIG_FIELDS.LAST_RUN_STATUS
+                    constants.CONFIG_FIELDS.LAST_RUN_STATUS,
+                    constants.CONFIG_FIELDS.MAX_PAGES,
+                    constants.CONFIG_FIELDS.FETCH_WINDOW_DAYS,
+                    constants.CONFIG_FIELDS.TIMEZONE,
+                    constants.CONFIG_FIELDS.TRANSPORT_MODE,
+                    constants.CONFIG_FIELDS.RECORDING_FOLDER,
+                    constants.CONFIG_FIELDS.RETRY_BUDGET,
+                    constants.CONFIG_FIELDS.RETRY_COUNT,
+                    constants.CONFIG_FIELDS.NEXT_RETRY,
+                    constants.CONFIG_FIELDS.CONSECUTIVE_FAILURES,
+                    constants.CONFIG_FIELDS.CIRCUIT_OPENED_AT,
+                    constants.CONFIG_FIELDS.CIRCUIT_ALERT_SENT
                 ]
             });
 
@@ -48,24 +186,77 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     name: 'Config #' + result.id + ' (' + merchantId + ')',
                     apiUsername: result.getValue(constants.CONFIG_FIELDS.API_USERNAME),
                     apiPassword: result.getValue(constants.CONFIG_FIELDS.API_PASSWORD),
+                    apiSecretId: result.getValue(constants.CONFIG_FIELDS.API_SECRET_ID),
+                    secondaryApiUsername: result.getValue(constants.CONFIG_FIELDS.SECONDARY_API_USERNAME),
+                    secondaryApiPassword: result.getValue(constants.CONFIG_FIELDS.SECONDARY_API_PASSWORD),
+                    secondaryApiSecretId: result.getValue(constants.CONFIG_FIELDS.SECONDARY_API_SECRET_ID),
+                    notificationSecretId: result.getValue(constants.CONFIG_FIELDS.NOTIFICATION_SECRET_ID),
+                    activeCredential: result.getValue(constants.CONFIG_FIELDS.ACTIVE_CREDENTIAL),
+                    primaryFailedAt: result.getValue(constants.CONFIG_FIELDS.PRIMARY_FAILED_AT),
                     merchantId: merchantId,
                     customerId: result.getValue(constants.CONFIG_FIELDS.CUSTOMER_ID),
                     environment: result.getValue(constants.CONFIG_FIELDS.ENVIRONMENT),
+                    baseUrl: result.getValue(constants.CONFIG_FIELDS.BASE_URL),
+                    settlementSource: result.getValue(constants.CONFIG_FIELDS.SETTLEMENT_SOURCE) || constants.SETTLEMENT_SOURCES.API,
+                    importFolder: result.getValue(constants.CONFIG_FIELDS.IMPORT_FOLDER),
+                    importArchiveFolder: result.getValue(constants.CONFIG_FIELDS.IMPORT_ARCHIVE_FOLDER),
+                    matchStrategies: parseMatchStrategies(result.getValue(constants.CONFIG_FIELDS.MATCH_STRATEGIES)),
+                    matchBodyField: (result.getValue(constants.CONFIG_FIELDS.MATCH_BODY_FIELD) || '').trim(),
+                    referenceTemplates: result.getValue(constants.CONFIG_FIELDS.REFERENCE_TEMPLATES) || '',
+                    referencePrefixes: result.getValue(constants.CONFIG_FIELDS.REFERENCE_PREFIXES) || '',
+                    referenceSuffixes: result.getValue(constants.CONFIG_FIELDS.REFERENCE_SUFFIXES) || '',
+                    fuzzyMatching: result.getValue(constants.CONFIG_FIELDS.FUZZY_MATCHING) === true || result.getValue(constants.CONFIG_FIELDS.FUZZY_MATCHING) === 'T',
+                    fuzzyConfidence: parseFuzzyConfidence(result.getValue(constants.CONFIG_FIELDS.FUZZY_CONFIDENCE)),
                     bankAccount: result.getValue(constants.CONFIG_FIELDS.BANK_ACCOUNT),
                     bankAccountText: result.getText(constants.CONFIG_FIELDS.BANK_ACCOUNT),
+                    subsidiaryBankAccounts: subsidiaryBankAccounts[result.id] || {},
+                    refundAccount: result.getValue(constants.CONFIG_FIELDS.REFUND_ACCOUNT),
+                    debitHandling: parseDebitHandling(result.getValue(constants.CONFIG_FIELDS.DEBIT_HANDLING)),
+                    debitAccount: result.getValue(constants.CONFIG_FIELDS.DEBIT_ACCOUNT),
+                    feeAccount: result.getValue(constants.CONFIG_FIELDS.FEE_ACCOUNT),
+                    feeSchedule: (result.getValue(constants.CONFIG_FIELDS.FEE_SCHEDULE) || '').trim(),
+                    surchargeMode: parseSurchargeMode(result.getValue(constants.CONFIG_FIELDS.SURCHARGE_MODE)),
+                    surchargeLimit: parseFloat(result.getValue(constants.CONFIG_FIELDS.SURCHARGE_LIMIT)) || 0,
+                    surchargeAccount: result.getValue(constants.CONFIG_FIELDS.SURCHARGE_ACCOUNT),
                     lookbackDays: parseInt(result.getValue(constants.CONFIG_FIELDS.LOOKBACK_DAYS)) || constants.MISC.DEFAULT_LOOKBACK_DAYS,
                     notificationEmail: result.getValue(constants.CONFIG_FIELDS.NOTIFICATION_EMAIL),
+                    isActive: result.getValue(constants.CONFIG_FIELDS.IS_ACTIVE) === true || result.getValue(constants.CONFIG_FIELDS.IS_ACTIVE) === 'T',
                     enableScheduled: result.getValue(constants.CONFIG_FIELDS.ENABLE_SCHEDULED) === true || result.getValue(constants.CONFIG_FIELDS.ENABLE_SCHEDULED) === 'T',
                     scheduleFreq: result.getValue(constants.CONFIG_FIELDS.SCHEDULE_FREQ),
                     scheduleDay: result.getValue(constants.CONFIG_FIELDS.SCHEDULE_DAY),
                     scheduleHour: parseInt(result.getValue(constants.CONFIG_FIELDS.SCHEDULE_HOUR)) || 6,
                     sendEmail: result.getValue(constants.CONFIG_FIELDS.SEND_EMAIL) === true || result.getValue(constants.CONFIG_FIELDS.SEND_EMAIL) === 'T',
                     lastRunDate: result.getValue(constants.CONFIG_FIELDS.LAST_RUN_DATE),
-                    lastRunStatus: result.getValue(constants.CONFIG_FIELDS.LAST_RUN_STATUS)
+                    lastRunStatus: result.getValue(constants.CONFIG_FIELDS.LAST_RUN_STATUS),
+                    maxPages: parseInt(result.getValue(constants.CONFIG_FIELDS.MAX_PAGES)) || constants.MISC.MAX_API_PAGES,
+                    fetchWindowDays: parseInt(result.getValue(constants.CONFIG_FIELDS.FETCH_WINDOW_DAYS)) || constants.MISC.DEFAULT_FETCH_WINDOW_DAYS,
+                    timeZone: (result.getValue(constants.CONFIG_FIELDS.TIMEZONE) || '').trim(),
+                    transportMode: result.getValue(constants.CONFIG_FIELDS.TRANSPORT_MODE) || constants.TRANSPORT_MODES.LIVE,
+                    recordingFolder: result.getValue(constants.CONFIG_FIELDS.RECORDING_FOLDER),
+                    retryBudget: parseRetryBudget(result.getValue(constants.CONFIG_FIELDS.RETRY_BUDGET)),
+                    retryCount: parseInt(result.getValue(constants.CONFIG_FIELDS.RETRY_COUNT)) || 0,
+                    nextRetry: result.getValue(constants.CONFIG_FIELDS.NEXT_RETRY),
+                    consecutiveFailures: parseInt(result.getValue(constants.CONFIG_FIELDS.CONSECUTIVE_FAILURES)) || 0,
+                    circuitOpenedAt: result.getValue(constants.CONFIG_FIELDS.CIRCUIT_OPENED_AT),
+                    circuitAlertSent: result.getValue(constants.CONFIG_FIELDS.CIRCUIT_ALERT_SENT) === true || result.getValue(constants.CONFIG_FIELDS.CIRCUIT_ALERT_SENT) === 'T'
                 });
                 return true; // Continue iterating
             });
 
+            return configurations;
+        }
+
+        /**
+         * Loads all active Windcave configuration records
+         * @returns {Array} Array of configuration objects
+         * @throws {Error} If no configurations found
+         */
+        function loadAllConfigurations() {
+            const configurations = searchConfigurations(
+                [[constants.CONFIG_FIELDS.IS_ACTIVE, 'is', 'T']],
+                loadSubsidiaryBankAccounts()
+            );
+
             if (configurations.length === 0) {
                 throw new Error(constants.ERRORS.CONFIG_NOT_FOUND);
             }
@@ -84,6 +275,39 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             return configs[0];
         }
 
+        /**
+         * Finds the active configuration that receives notifications for a merchant
+         * Only configurations with a notification secret are considered, since
+         * notifications for any other configuration cannot be verified.
+         * @param {string} merchantId - Windcave Merchant ID
+         * @returns {Object|null} Configuration values or null if none match
+         */
+        function findNotificationConfiguration(merchantId) {
+            if (!merchantId) {
+                return null;
+            }
+
+            const match = loadAllConfigurations().find(config =>
+                config.merchantId === String(merchantId) && !!config.notificationSecretId);
+            return match || null;
+        }
+
+        /**
+         * Finds the active configuration for a settlement's merchant
+         * @param {number} settlementInternalId - Settlement record internal ID
+         * @returns {Object|null} Configuration values or null if the settlement or a configuration
+         *          for its merchant is not found
+         */
+        function findSettlementConfiguration(settlementInternalId) {
+            const settlement = getSettlementById(settlementInternalId);
+            if (!settlement || !settlement.merchantId) {
+                return null;
+            }
+
+            const match = loadAllConfigurations().find(config => config.merchantId === String(settlement.merchantId));
+            return match || null;
+        }
+
         /**
          * Loads a specific configuration by internal ID
          * @param {number} configId - Internal ID of configuration record
@@ -91,27 +315,12 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
          * @throws {Error} If configuration not found
          */
         function loadConfigurationById(configId) {
+            let configuration;
             try {
-                const configRecord = record.load({
-                    type: constants.RECORD_TYPES.CONFIG,
-                    id: configId
-                });
-
-                const merchantId = configRecord.getValue(constants.CONFIG_FIELDS.MERCHANT_ID);
-                return {
-                    internalId: configId,
-                    name: 'Config #' + configId + ' (' + merchantId + ')',
-                    apiUsername: configRecord.getValue(constants.CONFIG_FIELDS.API_USERNAME),
-                    apiPassword: configRecord.getValue(constants.CONFIG_FIELDS.API_PASSWORD),
-                    merchantId: configRecord.getValue(constants.CONFIG_FIELDS.MERCHANT_ID),
-                    customerId: configRecord.getValue(constants.CONFIG_FIELDS.CUSTOMER_ID),
-                    environment: configRecord.getValue(constants.CONFIG_FIELDS.ENVIRONMENT),
-                    bankAccount: configRecord.getValue(constants.CONFIG_FIELDS.BANK_ACCOUNT),
-                    bankAccountText: configRecord.getText(constants.CONFIG_FIELDS.BANK_ACCOUNT),
-                    lookbackDays: parseInt(configRecord.getValue(constants.CONFIG_FIELDS.LOOKBACK_DAYS)) || constants.MISC.DEFAULT_LOOKBACK_DAYS,
-                    notificationEmail: configRecord.getValue(constants.CONFIG_FIELDS.NOTIFICATION_EMAIL),
-                    isActive: configRecord.getValue(constants.CONFIG_FIELDS.IS_ACTIVE)
-                };
+                configuration = searchConfigurations(
+                    [['internalid', 'anyof', configId]],
+                    loadSubsidiaryBankAccounts(configId)
+                )[0];
             } catch (e) {
                 log.error({
                     title: MODULE_NAME + '.loadConfigurationById',
@@ -119,6 +328,150 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 });
                 throw new Error('Configuration not found: ' + configId);
             }
+
+            if (!configuration) {
+                throw new Error('Configuration not found: ' + configId);
+            }
+            return configuration;
+        }
+
+        /**
+         * Records which credential pair a run used and when the primary pair stopped working
+         * The failure date is kept from the first rejection until the primary pair works again.
+         * @param {Object} config - Configuration object
+         * @param {Object} credentialStatus - credentialStatus from windcaveApi.getConnectionOptions
+         */
+        function recordCredentialStatus(config, credentialStatus) {
+            if (!credentialStatus) {
+                return;
+            }
+
+            const values = {};
+            if (credentialStatus.used && credentialStatus.used !== config.activeCredential) {
+                values[constants.CONFIG_FIELDS.ACTIVE_CREDENTIAL] = credentialStatus.used;
+            }
+            if (credentialStatus.primaryFailed && !config.primaryFailedAt) {
+                values[constants.CONFIG_FIELDS.PRIMARY_FAILED_AT] = new Date();
+            }
+            if (credentialStatus.used === constants.CREDENTIALS.PRIMARY && config.primaryFailedAt) {
+                values[constants.CONFIG_FIELDS.PRIMARY_FAILED_AT] = '';
+            }
+
+            if (Object.keys(values).length === 0) {
+                return;
+            }
+
+            record.submitFields({
+                type: constants.RECORD_TYPES.CONFIG,
+                id: config.internalId,
+                values: values
+            });
+
+            if (credentialStatus.primaryFailed) {
+                log.audit({
+                    title: MODULE_NAME + '.recordCredentialStatus',
+                    details: 'Primary credentials rejected for config ' + config.internalId +
+                             (credentialStatus.used ? ', now using ' + credentialStatus.used : '') +
+                             ': ' + credentialStatus.primaryError
+                });
+            }
+        }
+
+        /**
+         * Gets the circuit breaker state of a configuration
+         * @param {Object} config - Configuration object
+         * @returns {string} One of constants.CIRCUIT_STATES
+         */
+        function getCircuitState(config) {
+            if (!config.circuitOpenedAt) {
+                return constants.CIRCUIT_STATES.CLOSED;
+            }
+
+            return new Date() >= getCircuitProbeDate(config) ?
+                constants.CIRCUIT_STATES.HALF_OPEN :
+                constants.CIRCUIT_STATES.OPEN;
+        }
+
+        /**
+         * Gets the date from which an open circuit allows a probe run
+         * @param {Object} config - Configuration object with circuitOpenedAt set
+         * @returns {Date} Probe date
+         */
+        function getCircuitProbeDate(config) {
+            const openedAt = format.parse({
+                value: config.circuitOpenedAt,
+                type: format.Type.DATETIMETZ
+            });
+            return new Date(openedAt.getTime() + constants.MISC.CIRCUIT_COOLDOWN_HOURS * 60 * 60 * 1000);
+        }
+
+        /**
+         * Records a failed run against a configuration's circuit breaker
+         * The circuit opens once the failure threshold is reached; a failed probe re-opens it
+         * for another cool-down. The alert flag is set the first time the circuit opens so
+         * only one alert is sent until the circuit closes again.
+         * @param {Object} config - Configuration object
+         * @returns {Object} Result with failures count, circuitOpen and sendAlert flags
+         */
+        function recordConfigFailure(config) {
+            const failures = (config.consecutiveFailures || 0) + 1;
+            const circuitOpen = !!config.circuitOpenedAt || failures >= constants.MISC.CIRCUIT_FAILURE_THRESHOLD;
+            const sendAlert = circuitOpen && !config.circuitAlertSent;
+
+            const values = {
+                [constants.CONFIG_FIELDS.CONSECUTIVE_FAILURES]: failures
+            };
+            if (circuitOpen) {
+                values[constants.CONFIG_FIELDS.CIRCUIT_OPENED_AT] = new Date();
+                values[constants.CONFIG_FIELDS.CIRCUIT_ALERT_SENT] = true;
+            }
+
+            record.submitFields({
+                type: constants.RECORD_TYPES.CONFIG,
+                id: config.internalId,
+                values: values
+            });
+
+            if (circuitOpen) {
+                log.audit({
+                    title: MODULE_NAME + '.recordConfigFailure',
+                    details: 'Circuit open for config ' + config.internalId + ' after ' + failures + ' consecutive failures'
+                });
+            }
+
+            return {
+                failures: failures,
+                circuitOpen: circuitOpen,
+                sendAlert: sendAlert
+            };
+        }
+
+        /**
+         * Closes a configuration's circuit breaker and clears its failure count
+         * Used after a successful run and for a manual reset from the dashboard.
+         * @param {number} configId - Configuration internal ID
+         * @param {string} [status] - Optional Last Run Status to record
+         */
+        function resetCircuitBreaker(configId, status) {
+            const values = {
+                [constants.CONFIG_FIELDS.CONSECUTIVE_FAILURES]: 0,
+                [constants.CONFIG_FIELDS.CIRCUIT_OPENED_AT]: '',
+                [constants.CONFIG_FIELDS.CIRCUIT_ALERT_SENT]: false
+            };
+            if (status) {
+                values[constants.CONFIG_FIELDS.LAST_RUN_STATUS] = status;
+            }
+
+            record.submitFields({
+                type: constants.RECORD_TYPES.CONFIG,
+                id: configId,
+                values: values
+            });
+
+            log.audit({
+                title: MODULE_NAME + '.resetCircuitBreaker',
+                details: 'Circuit closed for config ' + configId
+            });
         }
 
         /**
@@ -161,15 +514,9 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 value: settlementData.id
             });
             // Parse ISO date (YYYY-MM-DD) to JavaScript Date then to NetSuite date
-            const settlementDateParts = settlementData.settlementDate.split('-');
-            const settlementDateObj = new Date(
-                parseInt(settlementDateParts[0]),
-                parseInt(settlementDateParts[1]) - 1,
-                parseInt(settlementDateParts[2])
-            );
             settlementRecord.setValue({
                 fieldId: constants.SETTLEMENT_FIELDS.SETTLEMENT_DATE,
-                value: settlementDateObj
+                value: windcaveApi.parseApiDate(settlementData.settlementDate)
             });
             settlementRecord.setValue({
                 fieldId: constants.SETTLEMENT_FIELDS.AMOUNT,
@@ -210,13 +557,127 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             return internalId;
         }
 
+        /**
+         * Creates a quarantined Windcave Settlement record for a settlement that failed validation
+         * Only the fields that passed validation are written; the settlement is kept so it is
+         * not fetched again on every run and shows on the dashboard for review.
+         * @param {Object} settlementData - Settlement data from API
+         * @param {string} settlementId - Windcave settlement ID that was requested
+         * @param {Array} settlementErrors - Structured errors from windcaveApi.validateSettlement
+         * @param {string} validationErrors - Serialized validation errors
+         * @returns {number} Internal ID of created record
+         */
+        function createQuarantinedSettlementRecord(settlementData, settlementId, settlementErrors, validationErrors) {
+            const settlementRecord = record.create({
+                type: constants.RECORD_TYPES.SETTLEMENT,
+                isDynamic: true
+            });
+
+            settlementRecord.setValue({
+                fieldId: 'name',
+                value: settlementId + ' - Quarantined'
+            });
+            settlementRecord.setValue({
+                fieldId: constants.SETTLEMENT_FIELDS.SETTLEMENT_ID,
+                value: settlementId
+            });
+
+            const invalidFields = settlementErrors.map(e => e.field);
+            const isValidField = field => settlementData[field] && invalidFields.indexOf(field) < 0;
+
+            if (isValidField('settlementDate')) {
+                settlementRecord.setValue({
+                    fieldId: constants.SETTLEMENT_FIELDS.SETTLEMENT_DATE,
+                    value: windcaveApi.parseApiDate(settlementData.settlementDate)
+                });
+            }
+            if (isValidField('amount')) {
+                settlementRecord.setValue({
+                    fieldId: constants.SETTLEMENT_FIELDS.AMOUNT,
+                    value: parseFloat(settlementData.amount)
+                });
+            }
+            const textFields = {
+                currency: constants.SETTLEMENT_FIELDS.CURRENCY,
+                status: constants.SETTLEMENT_FIELDS.STATUS,
+                CRDR: constants.SETTLEMENT_FIELDS.CRDR,
+                referenceNumber: constants.SETTLEMENT_FIELDS.REFERENCE_NUMBER,
+                merchantId: constants.SETTLEMENT_FIELDS.MERCHANT_ID,
+                customerId: constants.SETTLEMENT_FIELDS.CUSTOMER_ID
+            };
+            for (const field of Object.keys(textFields)) {
+                if (isValidField(field)) {
+                    settlementRecord.setValue({
+                        fieldId: textFields[field],
+                        value: String(settlementData[field])
+                    });
+                }
+            }
+            settlementRecord.setValue({
+                fieldId: constants.SETTLEMENT_FIELDS.QUARANTINED,
+                value: true
+            });
+            settlementRecord.setValue({
+                fieldId: constants.SETTLEMENT_FIELDS.VALIDATION_ERRORS,
+                value: validationErrors
+            });
+            settlementRecord.setValue({
+                fieldId: constants.SETTLEMENT_FIELDS.ERROR_MESSAGE,
+                value: constants.ERRORS.SETTLEMENT_INVALID
+            });
+            settlementRecord.setValue({
+                fieldId: constants.SETTLEMENT_FIELDS.PROCESSED_DATE,
+                value: new Date()
+            });
+
+            const internalId = settlementRecord.save();
+
+            log.audit({
+                title: MODULE_NAME + '.createQuarantinedSettlementRecord',
+                details: 'Quarantined settlement record: ' + internalId + ' for Windcave ID: ' + settlementId
+            });
+
+            return internalId;
+        }
+
+        /**
+         * Serializes validation errors as JSON for the settlement's Validation Errors field
+         * Raw payloads of quarantined transactions are included while they fit; past the
+         * field limit they are dropped first, then trailing entries are summarised.
+         * @param {Array} entries - Entries of {item, id, errors, payload}
+         * @returns {string} JSON string within the Text Area limit
+         */
+        function serializeValidationErrors(entries) {
+            const maxLength = constants.MISC.TEXTAREA_MAX_LENGTH;
+
+            let json = JSON.stringify(entries);
+            if (json.length <= maxLength) {
+                return json;
+            }
+
+            const withoutPayloads = entries.map(entry => ({ item: entry.item, id: entry.id, errors: entry.errors }));
+            json = JSON.stringify(withoutPayloads);
+
+            let kept = withoutPayloads.length;
+            while (json.length > maxLength && kept > 0) {
+                kept--;
+                json = JSON.stringify(withoutPayloads.slice(0, kept).concat([{
+                    item: 'truncated',
+                    count: withoutPayloads.length - kept
+                }]));
+            }
+
+            return json;
+        }
+
         /**
          * Creates a Windcave Transaction Detail record
          * @param {Object} transactionData - Transaction data from API
          * @param {number} settlementInternalId - Parent settlement record internal ID
+         * @param {string} [lifecycleStatus] - constants.LIFECYCLE_STATUS value if the transaction is not deposited
          * @returns {number} Internal ID of created record
          */
-        function createTransactionDetailRecord(transactionData, settlementInternalId) {
+        function createTransactionDetailRecord(transactionData, settlementInternalId, lifecycleStatus) {
             const txnRecord = record.create({
                 type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
                 isDynamic: true
@@ -272,63 +733,69 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 });
             }
 
+            if (transactionData.fee !== undefined && transactionData.fee !== null && transactionData.fee !== '') {
+                txnRecord.setValue({
+                    fieldId: constants.TXN_DETAIL_FIELDS.FEE,
+                    value: parseFloat(transactionData.fee)
+                });
+            }
+
+            if (transactionData.parentId) {
+                txnRecord.setValue({
+                    fieldId: constants.TXN_DETAIL_FIELDS.PARENT_ID,
+                    value: String(transactionData.parentId)
+                });
+            }
+
+            if (lifecycleStatus) {
+                txnRecord.setValue({
+                    fieldId: constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS,
+                    value: lifecycleStatus
+                });
+            }
+
             return txnRecord.save();
         }
 
         /**
-         * Finds a NetSuite payment/transaction by internal ID
-         * @param {string} internalId - NetSuite internal ID from merchantReference
+         * Finds a NetSuite customer payment or cash sale by document number
+         * @param {string} documentNumber - Document number (tranid), usually parsed from the merchantReference
+         * @param {Object} [hints] - Other parts of the parsed merchant reference
+         * @param {string} [hints.recordType] - CustPymt or CashSale to search only that type
+         * @param {string} [hints.customerId] - Customer ID (entity ID) the transaction must belong to
          * @returns {Object|null} Transaction info or null if not found
          */
-        function findNetSuiteTransaction(merchantReference) {
-            if (!merchantReference || merchantReference.trim() === '') {
+        function findNetSuiteTransaction(documentNumber, hints) {
+            const tranId = String(documentNumber || '').trim();
+            if (!tranId) {
                 return null;
             }
 
-            // Clean the merchant reference (remove any non-numeric characters)
-            const cleanRef = merchantReference.replace(/\D/g, '');
-            if (!cleanRef) {
-                return null;
+            const { recordType, customerId } = hints || {};
+            let searchTypes = [search.Type.CUSTOMER_PAYMENT, search.Type.CASH_SALE];
+            if (recordType === 'CustPymt') {
+                searchTypes = [search.Type.CUSTOMER_PAYMENT];
+            } else if (recordType === 'CashSale') {
+                searchTypes = [search.Type.CASH_SALE];
             }
 
-            try {
-                // Search for the transaction by transaction number (tranid)
-                // The merchantReference from Windcave is the NetSuite document number, not internal ID
-                const txnSearch = search.create({
-                    type: search.Type.CUSTOMER_PAYMENT,
-                    filters: [
-                        ['tranid', 'is', cleanRef]
-                    ],
-                    columns: [
-                        'internalid',
-                        'type',
-                        'tranid',
-                        'amount',
-                        'currency',
-                        'status',
-                        'account'
-                    ]
-                });
-
-                log.debug({
-                    title: MODULE_NAME + '.findNetSuiteTransaction',
-                    details: 'Searching for payment with tranid: ' + cleanRef
-                });
-
-                const results = txnSearch.run().getRange({ start: 0, end: 5 });
+            const filters = [['tranid', 'is', tranId]];
+            if (customerId) {
+                filters.push('AND', ['customer.entityid', 'is', customerId]);
+            }
 
+            try {
                 log.debug({
                     title: MODULE_NAME + '.findNetSuiteTransaction',
-                    details: 'Search returned ' + (results ? results.length : 0) + ' results'
+                    details: 'Searching for tranid: ' + tranId +
+                             (recordType ? ', type: ' + recordType : '') + (customerId ? ', customer: ' + customerId : '')
                 });
 
-                if (!results || results.length === 0) {
-                    // Try Cash Sale as fallback
-                    const cashSaleSearch = search.create({
-                        type: search.Type.CASH_SALE,
-                        filters: [
-                            ['tranid', 'is', cleanRef]
-                        ],
+                // Customer payments first, then cash sales
+                for (const searchType of searchTypes) {
+                    const results = search.create({
+                        type: searchType,
+                        filters: filters,
                         columns: [
                             'internalid',
                             'type',
@@ -338,65 +805,59 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                             'status',
                             'account'
                         ]
-                    });
+                    }).run().getRange({ start: 0, end: 5 });
 
-                    const cashResults = cashSaleSearch.run().getRange({ start: 0, end: 5 });
-
-                    if (!cashResults || cashResults.length === 0) {
-                        log.debug({
-                            title: MODULE_NAME + '.findNetSuiteTransaction',
-                            details: 'No payment or cash sale found for tranid: ' + cleanRef
-                        });
-                        return null;
+                    if (results && results.length > 0) {
+                        return toTransactionInfo(results[0]);
                     }
-
-                    const cashResult = cashResults[0];
-                    // Check if account is Undeposited Funds (account name contains "undeposited")
-                    const accountName = cashResult.getText('account') || '';
-                    const isUndeposited = accountName.toLowerCase().indexOf('undeposited') >= 0;
-                    return {
-                        internalId: cashResult.getValue('internalid'),
-                        type: cashResult.getValue('type'),
-                        tranId: cashResult.getValue('tranid'),
-                        amount: parseFloat(cashResult.getValue('amount')),
-                        currency: cashResult.getText('currency'),
-                        status: cashResult.getValue('status'),
-                        undepositedFunds: isUndeposited ? 'T' : 'F'
-                    };
                 }
 
-                const result = results[0];
-                // Check if account is Undeposited Funds (account name contains "undeposited")
-                const accountName = result.getText('account') || '';
-                const isUndeposited = accountName.toLowerCase().indexOf('undeposited') >= 0;
-                return {
-                    internalId: result.getValue('internalid'),
-                    type: result.getValue('type'),
-                    tranId: result.getValue('tranid'),
-                    amount: parseFloat(result.getValue('amount')),
-                    currency: result.getText('currency'),
-                    status: result.getValue('status'),
-                    undepositedFunds: isUndeposited ? 'T' : 'F'
-                };
+                log.debug({
+                    title: MODULE_NAME + '.findNetSuiteTransaction',
+                    details: 'No payment or cash sale found for tranid: ' + tranId
+                });
+                return null;
 
             } catch (e) {
                 log.error({
                     title: MODULE_NAME + '.findNetSuiteTransaction',
-                    details: 'Error searching for transaction ' + cleanRef + ': ' + e.message
+                    details: 'Error searching for transaction ' + tranId + ': ' + e.message
                 });
                 return null;
             }
         }
 
+        /**
+         * Converts a payment or cash sale search result to transaction info
+         * @param {Object} result - Search result with the internalid, type, tranid, amount,
+         *        currency, status and account columns
+         * @returns {Object} Transaction info
+         */
+        function toTransactionInfo(result) {
+            // Check if account is Undeposited Funds (account name contains "undeposited")
+            const accountName = result.getText('account') || '';
+            const isUndeposited = accountName.toLowerCase().indexOf('undeposited') >= 0;
+            return {
+                internalId: result.getValue('internalid'),
+                type: result.getValue('type'),
+                tranId: result.getValue('tranid'),
+                amount: parseFloat(result.getValue('amount')),
+                currency: result.getText('currency'),
+                status: result.getValue('status'),
+                undepositedFunds: isUndeposited ? 'T' : 'F'
+            };
+        }
+
         /**
          * Finds a NetSuite payment/transaction by auth code and amount
          * Falls back matching when merchantReference is not available
          * @param {string} authCode - Authorization code from Windcave
-         * @param {number} amount - Transaction amount
+         * @param {string|number} amount - Transaction amount
          * @param {string} transactionId - Windcave transaction ID (pnref)
+         * @param {string} [currency] - Transaction currency code, for the amount comparison
          * @returns {Object|null} Transaction info or null if not found
          */
-        function findNetSuiteTransactionByAuthCode(authCode, amount, transactionId) {
+        function findNetSuiteTransactionByAuthCode(authCode, amount, transactionId, currency) {
             if ((!authCode || authCode.trim() === '') && (!transactionId || transactionId.trim() === '')) {
                 return null;
             }
@@ -440,10 +901,9 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 }
 
                 // If multiple results, try to match by amount as well
-                const tolerance = constants.MISC.AMOUNT_TOLERANCE;
                 for (const result of results) {
                     const txnAmount = parseFloat(result.getValue('amount'));
-                    if (Math.abs(txnAmount - amount) <= tolerance) {
+                    if (money.withinTolerance(result.getValue('amount'), amount, currency)) {
                         log.audit({
                             title: MODULE_NAME + '.findNetSuiteTransactionByAuthCode',
                             details: 'Found match by auth code/pnref: ' + authCode + '/' + transactionId + ', amount: ' + amount
@@ -497,12 +957,426 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
         }
 
         /**
-         * Validates that a payment can be added to a bank deposit
-         * @param {Object} nsTransaction - NetSuite transaction info
-         * @param {Object} windcaveTxn - Windcave transaction data
+         * Finds a Customer Payment by payer name and exact amount
+         * Only a single unambiguous result is returned, since names are not unique.
+         * @param {string} payerName - Billing or cardholder name from Windcave
+         * @param {number} amount - Transaction amount
+         * @returns {Object|null} Transaction info or null if not found or ambiguous
+         */
+        function findNetSuiteTransactionByPayer(payerName, amount) {
+            if (!payerName || payerName.trim() === '' || isNaN(amount)) {
+                return null;
+            }
+
+            try {
+                const txnSearch = search.create({
+                    type: search.Type.CUSTOMER_PAYMENT,
+                    filters: [
+                        ['mainline', 'is', 'T'],
+                        'AND',
+                        ['formulatext: {entity}', 'contains', payerName.trim()],
+                        'AND',
+                        ['amount', 'equalto', amount]
+                    ],
+                    columns: [
+                        'internalid',
+                        'type',
+                        'tranid',
+                        'amount',
+                        'currency',
+                        'status',
+                        'account'
+                    ]
+                });
+
+                const results = txnSearch.run().getRange({ start: 0, end: 2 });
+
+                if (!results || results.length !== 1) {
+                    log.debug({
+                        title: MODULE_NAME + '.findNetSuiteTransactionByPayer',
+                        details: (results ? results.length : 0) + ' payment(s) found for payer: ' + payerName + ', amount: ' + amount
+                    });
+                    return null;
+                }
+
+                const result = results[0];
+                const acctName = result.getText('account') || '';
+                const isUndep = acctName.toLowerCase().indexOf('undeposited') >= 0;
+                return {
+                    internalId: result.getValue('internalid'),
+                    type: result.getValue('type'),
+                    tranId: result.getValue('tranid'),
+                    amount: parseFloat(result.getValue('amount')),
+                    currency: result.getText('currency'),
+                    status: result.getValue('status'),
+                    undepositedFunds: isUndep ? 'T' : 'F',
+                    matchMethod: 'payer'
+                };
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.findNetSuiteTransactionByPayer',
+                    details: 'Error searching for payer ' + payerName + ': ' + e.message
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Finds a customer payment or cash sale by a search filter
+         * When several transactions match, the one with the Windcave amount is used; if none or
+         * more than one has that amount, the lookup is ambiguous and nothing is returned.
+         * @param {Array} filter - Search filter expression identifying the transaction
+         * @param {Object} txn - Windcave transaction, for its amount and currency
+         * @param {string} strategy - Strategy name, for logging
+         * @param {Object} [hints] - Record type and customer ID parsed from the merchant reference
+         * @returns {Object|null} Transaction info or null if not found
+         */
+        function findNetSuiteTransactionByFilter(filter, txn, strategy, hints) {
+            const { recordType, customerId } = hints || {};
+            const filters = [
+                ['mainline', 'is', 'T'],
+                'AND',
+                recordType ? ['type', 'anyof', recordType] : ['type', 'anyof', 'CustPymt', 'CashSale'],
+                'AND',
+                filter
+            ];
+            if (customerId) {
+                filters.push('AND', ['customer.entityid', 'is', customerId]);
+            }
+
+            try {
+                const txnSearch = search.create({
+                    type: search.Type.TRANSACTION,
+                    filters: filters,
+                    columns: [
+                        'internalid',
+                        'type',
+                        'tranid',
+                        'amount',
+                        'currency',
+                        'status',
+                        'account'
+                    ]
+                });
+
+                let results = txnSearch.run().getRange({ start: 0, end: 10 }) || [];
+                if (results.length > 1) {
+                    results = results.filter(result => money.withinTolerance(result.getValue('amount'), txn.amount, txn.currency));
+                }
+
+                if (results.length !== 1) {
+                    log.debug({
+                        title: MODULE_NAME + '.findNetSuiteTransactionByFilter',
+                        details: strategy + ': ' + results.length + ' candidate(s) for WC txn ' + txn.id +
+                                 ' (' + JSON.stringify(filter) + ')'
+                    });
+                    return null;
+                }
+
+                return toTransactionInfo(results[0]);
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.findNetSuiteTransactionByFilter',
+                    details: strategy + ': error searching for WC txn ' + txn.id + ': ' + e.message
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Looks a Windcave transaction up with one matching strategy
+         * Reference strategies use the document number, record type and customer ID parsed
+         * from the merchant reference.
+         * @param {string} strategy - Strategy name from constants.MATCH_STRATEGIES
+         * @param {Object} txn - Windcave transaction
+         * @param {Object} reference - Merchant reference parsed by referenceParser.parseReference
+         * @param {Object} [config] - Configuration values (matchBodyField is needed for BODYFIELD)
+         * @returns {Object|null} Transaction info or null if not found
+         */
+        function findByStrategy(strategy, txn, reference, config) {
+            const documentNumber = reference.documentNumber;
+
+            switch (strategy) {
+                case constants.MATCH_STRATEGIES.TRANID:
+                    return findNetSuiteTransaction(documentNumber, reference);
+                case constants.MATCH_STRATEGIES.INTERNAL_ID:
+                    return /^\d+$/.test(documentNumber) ?
+                        findNetSuiteTransactionByFilter(['internalid', 'anyof', documentNumber], txn, strategy, reference) : null;
+                case constants.MATCH_STRATEGIES.EXTERNAL_ID:
+                    return documentNumber ?
+                        findNetSuiteTransactionByFilter(['externalidstring', 'is', documentNumber], txn, strategy, reference) : null;
+                case constants.MATCH_STRATEGIES.BODY_FIELD:
+                    return documentNumber && config && config.matchBodyField ?
+                        findNetSuiteTransactionByFilter([config.matchBodyField, 'is', documentNumber], txn, strategy, reference) : null;
+                case constants.MATCH_STRATEGIES.MEMO:
+                    return documentNumber ?
+                        findNetSuiteTransactionByFilter(['memo', 'contains', documentNumber], txn, strategy, reference) : null;
+                case constants.MATCH_STRATEGIES.AUTH_CODE:
+                    return txn.authCode || txn.id ?
+                        findNetSuiteTransactionByAuthCode(txn.authCode, txn.amount, txn.id, txn.currency) : null;
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Runs a configuration's matching strategies in order until one finds a transaction
+         * The first transaction found wins, even if it then fails deposit validation.
+         * @param {Object} txn - Windcave transaction
+         * @param {Object} [config] - Configuration values; the default order is used without one
+         * @param {Object} [referenceRules] - Merchant reference rules from referenceParser.compileRules
+         * @returns {Object} Object with nsTransaction and strategy (both null if nothing was found)
+         *          and the parsed merchant reference
+         */
+        function findMatchByStrategies(txn, config, referenceRules) {
+            const strategies = (config && config.matchStrategies) || parseMatchStrategies('');
+            const reference = referenceParser.parseReference(txn.merchantReference, referenceRules);
+
+            for (const strategy of strategies) {
+                const nsTransaction = findByStrategy(strategy, txn, reference, config);
+                if (nsTransaction) {
+                    log.audit({
+                        title: MODULE_NAME + '.findMatchByStrategies',
+                        details: 'Matched by ' + strategy + ': WC ' + txn.id + ' -> NS ' + nsTransaction.internalId
+                    });
+                    return { nsTransaction: nsTransaction, strategy: strategy, reference: reference };
+                }
+            }
+
+            return { nsTransaction: null, strategy: null, reference: reference };
+        }
+
+        /**
+         * Fetches the full transaction from Windcave for an unmatched settlement transaction
+         * Failures are logged and ignored: the settlement is already part-written, so
+         * enrichment must never abort it.
+         * @param {Object} txn - Windcave transaction from the settlement
+         * @param {Object} connection - API connection options from windcaveApi.getConnectionOptions
+         * @returns {Object|null} Enrichment data and the transaction detail field values to store,
+         *                        or null if the transaction could not be fetched
+         */
+        function enrichTransaction(txn, connection) {
+            try {
+                const transaction = windcaveApi.getTransaction(Object.assign({}, connection, {
+                    transactionId: txn.id
+                }));
+                const enrichment = windcaveApi.getTransactionEnrichment(transaction);
+
+                return {
+                    data: enrichment,
+                    values: {
+                        [constants.TXN_DETAIL_FIELDS.CARD_SCHEME]: enrichment.cardScheme,
+                        [constants.TXN_DETAIL_FIELDS.MASKED_CARD]: enrichment.maskedCard,
+                        [constants.TXN_DETAIL_FIELDS.BILLING_NAME]: enrichment.billingName,
+                        [constants.TXN_DETAIL_FIELDS.SESSION_ID]: enrichment.sessionId,
+                        [constants.TXN_DETAIL_FIELDS.ENRICHED]: true
+                    }
+                };
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.enrichTransaction',
+                    details: 'Could not fetch transaction ' + txn.id + ' from Windcave: ' + e.message
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Retries matching with the data from the transaction query endpoint
+         * Tries the original merchant reference and auth code where they differ from the
+         * settlement payload, then the payer name with the exact amount.
+         * @param {Object} txn - Windcave transaction from the settlement
+         * @param {Object} enrichment - Enrichment data from enrichTransaction
+         * @param {Object} [referenceRules] - Merchant reference rules from referenceParser.compileRules
+         * @returns {Object|null} Transaction info or null if not found
+         */
+        function findSecondaryMatch(txn, enrichment, referenceRules) {
+            const amount = parseFloat(txn.amount);
+            let nsTransaction = null;
+
+            if (enrichment.merchantReference && enrichment.merchantReference !== txn.merchantReference) {
+                const reference = referenceParser.parseReference(enrichment.merchantReference, referenceRules);
+                nsTransaction = findNetSuiteTransaction(reference.documentNumber, reference);
+            }
+            if (!nsTransaction && enrichment.authCode && enrichment.authCode !== txn.authCode) {
+                nsTransaction = findNetSuiteTransactionByAuthCode(enrichment.authCode, txn.amount, null, txn.currency);
+            }
+            if (!nsTransaction && enrichment.billingName) {
+                nsTransaction = findNetSuiteTransactionByPayer(enrichment.billingName, amount);
+            }
+
+            if (nsTransaction) {
+                log.audit({
+                    title: MODULE_NAME + '.findSecondaryMatch',
+                    details: 'Matched by enriched transaction data: WC ' + txn.id + ' -> NS ' + nsTransaction.internalId
+                });
+            }
+
+            return nsTransaction;
+        }
+
+        /**
+         * Finds a Customer Refund or Cash Refund by a search filter
+         * Refund amounts are compared and returned as positive numbers. When several refunds
+         * match, the one with the Windcave amount is used; if none or more than one has that
+         * amount, the lookup is ambiguous and nothing is returned.
+         * @param {Array} filter - Search filter expression identifying the refund
+         * @param {Object} txn - Windcave refund, for its amount and currency
+         * @param {string} method - Match method, for logging
+         * @param {Array<string>} [excludeIds] - NetSuite transactions already matched in this run
+         * @returns {Object|null} Transaction info or null if not found
+         */
+        function findNetSuiteRefund(filter, txn, method, excludeIds) {
+            try {
+                const results = search.create({
+                    type: search.Type.TRANSACTION,
+                    filters: [
+                        ['mainline', 'is', 'T'],
+                        'AND',
+                        ['type', 'anyof', 'CustRfnd', 'CashRfnd'],
+                        'AND',
+                        filter
+                    ],
+                    columns: [
+                        'internalid',
+                        'type',
+                        'tranid',
+                        'amount',
+                        'currency',
+                        'status',
+                        'account'
+                    ]
+                }).run().getRange({ start: 0, end: 10 }) || [];
+
+                let refunds = results
+                    .map(result => Object.assign(toTransactionInfo(result), { amount: Math.abs(parseFloat(result.getValue('amount'))) }))
+                    .filter(refund => (excludeIds || []).indexOf(String(refund.internalId)) < 0);
+                if (refunds.length > 1) {
+                    refunds = refunds.filter(refund => money.withinTolerance(refund.amount, txn.amount, txn.currency));
+                }
+
+                if (refunds.length !== 1) {
+                    log.debug({
+                        title: MODULE_NAME + '.findNetSuiteRefund',
+                        details: method + ': ' + refunds.length + ' refund(s) for WC txn ' + txn.id +
+                                 ' (' + JSON.stringify(filter) + ')'
+                    });
+                    return null;
+                }
+
+                return refunds[0];
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.findNetSuiteRefund',
+                    details: method + ': error searching for WC txn ' + txn.id + ': ' + e.message
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Finds the NetSuite refund for a Windcave refund
+         * Tries the document number parsed from the merchant reference, then the Windcave
+         * transaction ID (pnref), then the only refund in Undeposited Funds with the same amount.
+         * @param {Object} txn - Windcave refund
+         * @param {Object} reference - Merchant reference parsed by referenceParser.parseReference
+         * @param {Array<string>} [excludeIds] - NetSuite transactions already matched in this run
+         * @returns {Object} Object with nsTransaction and strategy (both null if nothing was found)
+         */
+        function findRefundMatch(txn, reference, excludeIds) {
+            const amount = parseFloat(txn.amount);
+            const attempts = [
+                {
+                    strategy: constants.MATCH_STRATEGY_OTHER.REFUND_REFERENCE,
+                    filter: reference.documentNumber ? ['tranid', 'is', reference.documentNumber] : null
+                },
+                {
+                    strategy: constants.MATCH_STRATEGY_OTHER.REFUND_PNREF,
+                    filter: txn.id ? ['pnrefnum', 'is', txn.id] : null
+                },
+                {
+                    strategy: constants.MATCH_STRATEGY_OTHER.REFUND_AMOUNT,
+                    filter: isNaN(amount) ? null : [
+                        ['undepfunds', 'is', 'T'],
+                        'AND',
+                        [['amount', 'equalto', amount], 'OR', ['amount', 'equalto', -amount]]
+                    ]
+                }
+            ];
+
+            for (const attempt of attempts) {
+                const nsTransaction = attempt.filter ? findNetSuiteRefund(attempt.filter, txn, attempt.strategy, excludeIds) : null;
+                if (nsTransaction) {
+                    log.audit({
+                        title: MODULE_NAME + '.findRefundMatch',
+                        details: 'Matched refund by ' + attempt.strategy + ': WC ' + txn.id + ' -> NS ' + nsTransaction.internalId
+                    });
+                    return { nsTransaction: nsTransaction, strategy: attempt.strategy };
+                }
+            }
+
+            return { nsTransaction: null, strategy: null };
+        }
+
+        /**
+         * Validates that a refund can be netted into a bank deposit
+         * A refund in Undeposited Funds is ticked on the deposit; any other refund needs a
+         * Refund Account for a cash back line.
+         * @param {Object} nsTransaction - NetSuite refund info
+         * @param {Object} windcaveTxn - Windcave refund data
+         * @param {boolean} allowCashBack - Whether a refund outside Undeposited Funds can go on a cash back line
          * @returns {Object} Validation result with isValid and error properties
          */
-        function validatePaymentForDeposit(nsTransaction, windcaveTxn) {
+        function validateRefundForDeposit(nsTransaction, windcaveTxn, allowCashBack) {
+            if (!nsTransaction) {
+                return {
+                    isValid: false,
+                    error: constants.ERRORS.NO_MATCHING_REFUND +
+                           ' (searched: docNum=' + (windcaveTxn.merchantReference || 'none') + ', pnref=' + (windcaveTxn.id || 'none') + ')'
+                };
+            }
+
+            if (!money.withinTolerance(nsTransaction.amount, windcaveTxn.amount, windcaveTxn.currency)) {
+                return {
+                    isValid: false,
+                    error: constants.ERRORS.AMOUNT_MISMATCH +
+                           ' (NS: ' + nsTransaction.amount + ', WC: ' + parseFloat(windcaveTxn.amount) + ')'
+                };
+            }
+
+            if (nsTransaction.undepositedFunds === 'F' && !allowCashBack) {
+                return {
+                    isValid: false,
+                    error: constants.ERRORS.REFUND_NOT_DEPOSITABLE + ' (Refund #' + nsTransaction.tranId + ')'
+                };
+            }
+
+            return { isValid: true, error: null };
+        }
+
+        /**
+         * Checks whether a configuration accepts card surcharges
+         * @param {Object} [config] - Configuration values (surchargeMode and surchargeAccount)
+         * @returns {boolean} True if a Surcharge Mode other than OFF and a Surcharge Account are set
+         */
+        function isSurcharging(config) {
+            return !!config && config.surchargeMode !== constants.SURCHARGE_MODES.OFF && !!config.surchargeAccount;
+        }
+
+        /**
+         * Validates that a payment can be added to a bank deposit
+         * When the configuration accepts surcharges, a Windcave amount above the payment within the
+         * Surcharge Limit is valid and the difference is returned as the surcharge.
+         * @param {Object} nsTransaction - NetSuite transaction info
+         * @param {Object} windcaveTxn - Windcave transaction data
+         * @param {Object} [config] - Configuration values (surchargeMode, surchargeLimit and surchargeAccount)
+         * @returns {Object} Validation result with isValid and error properties, and surcharge
+         *          (major units) when the amounts differ by an accepted surcharge
+         */
+        function validatePaymentForDeposit(nsTransaction, windcaveTxn, config) {
             if (!nsTransaction) {
                 // Build helpful error showing what we searched for
                 const searchedRef = windcaveTxn.merchantReference || 'none';
@@ -524,11 +1398,22 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 };
             }
 
-            // Validate amount matches (within tolerance)
+            // Validate amount matches (within tolerance, compared in minor units)
             const windcaveAmount = parseFloat(windcaveTxn.amount);
-            const amountDiff = Math.abs(nsTransaction.amount - windcaveAmount);
 
-            if (amountDiff > constants.MISC.AMOUNT_TOLERANCE) {
+            if (!money.withinTolerance(nsTransaction.amount, windcaveTxn.amount, windcaveTxn.currency)) {
+                const surcharge = isSurcharging(config) ? fees.calculateSurcharge({
+                    paymentAmount: nsTransaction.amount,
+                    windcaveAmount: windcaveTxn.amount,
+                    currency: windcaveTxn.currency,
+                    mode: config.surchargeMode,
+                    limit: config.surchargeLimit
+                }) : null;
+
+                if (surcharge !== null) {
+                    return { isValid: true, error: null, surcharge: money.formatAmount(surcharge, windcaveTxn.currency) };
+                }
+
                 return {
                     isValid: false,
                     error: constants.ERRORS.AMOUNT_MISMATCH +
@@ -536,116 +1421,911 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 };
             }
 
-            return { isValid: true, error: null };
+            return { isValid: true, error: null };
+        }
+
+        /**
+         * Validates that NetSuite payments and Windcave transactions can be matched as one group
+         * Each payment must be depositable on its own, and the totals must agree within tolerance.
+         * @param {Array} nsTransactions - NetSuite transaction info, each payment once
+         * @param {Array} windcaveTxns - Windcave transactions (amount, currency)
+         * @returns {Object} Validation result with isValid and error properties
+         */
+        function validateMatchGroup(nsTransactions, windcaveTxns) {
+            const currency = windcaveTxns[0].currency;
+
+            for (const nsTransaction of nsTransactions) {
+                const validation = validatePaymentForDeposit(nsTransaction, { amount: nsTransaction.amount, currency: currency });
+                if (!validation.isValid) {
+                    return validation;
+                }
+            }
+
+            const nsTotal = money.sum(nsTransactions.map(nsTransaction => nsTransaction.amount), currency);
+            const windcaveTotal = money.sum(windcaveTxns.map(txn => txn.amount), currency);
+            if (Math.abs(nsTotal - windcaveTotal) > constants.MISC.AMOUNT_TOLERANCE_MINOR_UNITS) {
+                return {
+                    isValid: false,
+                    error: constants.ERRORS.MATCH_GROUP_UNBALANCED +
+                           ' (NS: ' + money.formatAmount(nsTotal, currency) + ', WC: ' + money.formatAmount(windcaveTotal, currency) + ')'
+                };
+            }
+
+            return { isValid: true, error: null };
+        }
+
+        /**
+         * Records a balanced match group and marks its transaction details as matched
+         * Each detail's NetSuite Transaction is set to the group's first payment; the group
+         * record lists them all.
+         * @param {Object} options - Group options
+         * @param {number} options.settlementInternalId - Settlement record internal ID
+         * @param {Array} options.nsTransactions - NetSuite transaction info, each payment once
+         * @param {Array} options.members - Objects with txnDetailId and windcaveTxn
+         * @param {string} options.matchStrategy - Strategy that formed the group
+         * @returns {number} Match group internal ID
+         */
+        function createMatchGroup(options) {
+            const { settlementInternalId, nsTransactions, members, matchStrategy } = options;
+            const currency = members[0].windcaveTxn.currency;
+
+            const groupRecord = record.create({
+                type: constants.RECORD_TYPES.MATCH_GROUP
+            });
+
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.SETTLEMENT,
+                value: settlementInternalId
+            });
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.NS_TRANSACTIONS,
+                value: nsTransactions.map(nsTransaction => String(nsTransaction.internalId))
+            });
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.WINDCAVE_AMOUNT,
+                value: money.fromMinorUnits(money.sum(members.map(member => member.windcaveTxn.amount), currency), currency)
+            });
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.NS_AMOUNT,
+                value: money.fromMinorUnits(money.sum(nsTransactions.map(nsTransaction => nsTransaction.amount), currency), currency)
+            });
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.CURRENCY,
+                value: currency
+            });
+            groupRecord.setValue({
+                fieldId: constants.MATCH_GROUP_FIELDS.MATCH_STRATEGY,
+                value: matchStrategy
+            });
+
+            const groupId = groupRecord.save();
+
+            for (const member of members) {
+                record.submitFields({
+                    type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                    id: member.txnDetailId,
+                    values: {
+                        [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: nsTransactions[0].internalId,
+                        [constants.TXN_DETAIL_FIELDS.MATCHED]: true,
+                        [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: '',
+                        [constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY]: matchStrategy,
+                        [constants.TXN_DETAIL_FIELDS.MATCH_GROUP]: groupId
+                    }
+                });
+            }
+
+            log.audit({
+                title: MODULE_NAME + '.createMatchGroup',
+                details: 'Match group ' + groupId + ': WC ' + members.map(member => member.windcaveTxn.id).join(', ') +
+                         ' -> NS ' + nsTransactions.map(nsTransaction => nsTransaction.internalId).join(', ')
+            });
+
+            return groupId;
+        }
+
+        /**
+         * Finds the payments for a Windcave transaction whose reference lists several document
+         * numbers, e.g. "1001,1002" for one card swipe paying two invoices
+         * @param {Object} txn - Windcave transaction
+         * @param {Object} reference - Merchant reference parsed by referenceParser.parseReference
+         * @returns {Array|null} NetSuite transaction info for every document number, or null if the
+         *          reference has one document number or any of them is not found
+         */
+        function findReferenceGroup(txn, reference) {
+            const documentNumbers = String(reference.documentNumber || '').split(/\s*[,;+&]\s*/).filter(Boolean);
+            if (documentNumbers.length < 2) {
+                return null;
+            }
+
+            const nsTransactions = [];
+            for (const documentNumber of documentNumbers) {
+                const nsTransaction = findNetSuiteTransaction(documentNumber, reference);
+                if (!nsTransaction) {
+                    log.debug({
+                        title: MODULE_NAME + '.findReferenceGroup',
+                        details: 'WC txn ' + txn.id + ': no payment found for ' + documentNumber
+                    });
+                    return null;
+                }
+                if (!nsTransactions.some(found => String(found.internalId) === String(nsTransaction.internalId))) {
+                    nsTransactions.push(nsTransaction);
+                }
+            }
+
+            return nsTransactions;
+        }
+
+        /**
+         * Matches Windcave transactions to NetSuite payments
+         * Each transaction goes through the configuration's matching strategies in order, and the
+         * strategy that found it is recorded on the transaction detail. When a connection is given,
+         * transactions no strategy matches are enriched from the Windcave transaction query
+         * endpoint and matched again. Any still unmatched are scored against Undeposited Funds when
+         * fuzzy matching is on: the best candidate is applied if it reaches the configured
+         * confidence, otherwise the top candidates are stored as suggestions.
+         * Match groups are formed for one Windcave transaction whose reference lists several
+         * payments, and for several Windcave transactions that found the same payment and
+         * together add up to it (split tender).
+         * Refunds are matched to Customer Refunds and Cash Refunds (see findRefundMatch). Pre-auths,
+         * voids and voided transactions are recorded with their lifecycle status and not matched.
+         * @param {Array} transactions - Windcave transactions from settlement
+         * @param {number} settlementInternalId - Settlement record internal ID
+         * @param {Object} [connection] - API connection options from windcaveApi.getConnectionOptions
+         * @param {Object} [config] - Configuration values (matchStrategies, matchBodyField, the reference
+         *        rules, fuzzyMatching, fuzzyConfidence, refundAccount, the surcharge settings and timeZone)
+         * @returns {Object} Match results with matched, unmatched and cancelled arrays; matched entries
+         *          list their nsTransactionIds, matchGroupId when they are part of a group, isRefund for
+         *          refunds and surcharge when the Windcave amount included one
+         */
+        function matchTransactions(transactions, settlementInternalId, connection, config) {
+            const matched = [];
+            const unmatched = [];
+            const referenceRules = referenceParser.compileRules(config);
+            const matchedIds = [];
+            const partialMatches = [];
+            const cancelled = [];
+            const lifecycleStatuses = lifecycle.classifyTransactions(transactions);
+            const isMatched = nsTransaction => matchedIds.indexOf(String(nsTransaction.internalId)) >= 0;
+            let enrichedCount = 0;
+
+            if (config && config.surchargeMode !== constants.SURCHARGE_MODES.OFF && !config.surchargeAccount) {
+                log.audit({
+                    title: MODULE_NAME + '.matchTransactions',
+                    details: 'Surcharge Mode ' + config.surchargeMode + ' ignored: no Surcharge Account is configured'
+                });
+            }
+
+            for (const txn of transactions) {
+                // Create transaction detail record
+                const lifecycleStatus = lifecycleStatuses[String(txn.id)];
+                const txnDetailId = createTransactionDetailRecord(txn, settlementInternalId, lifecycleStatus);
+
+                // Only settled Purchases, Completes and Refunds move money; a voided pair is cancelled, not unmatched
+                if (lifecycleStatus) {
+                    if (lifecycleStatus === constants.LIFECYCLE_STATUS.CANCELLED) {
+                        cancelled.push({ txnDetailId: txnDetailId, windcaveTxn: txn });
+                    }
+                    log.debug({
+                        title: MODULE_NAME + '.matchTransactions',
+                        details: 'WC ' + txn.type + ' ' + txn.id + ' not matched: ' + lifecycleStatus
+                    });
+                    continue;
+                }
+
+                // Refunds are matched to Customer Refunds or Cash Refunds and netted into the deposit
+                if (txn.type === constants.TRANSACTION_TYPES.REFUND) {
+                    const refundMatch = findRefundMatch(txn, referenceParser.parseReference(txn.merchantReference, referenceRules), matchedIds);
+                    const refundValidation = validateRefundForDeposit(refundMatch.nsTransaction, txn, !!(config && config.refundAccount));
+
+                    if (refundValidation.isValid) {
+                        record.submitFields({
+                            type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                            id: txnDetailId,
+                            values: {
+                                [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: refundMatch.nsTransaction.internalId,
+                                [constants.TXN_DETAIL_FIELDS.MATCHED]: true,
+                                [constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY]: refundMatch.strategy
+                            }
+                        });
+                        matchedIds.push(String(refundMatch.nsTransaction.internalId));
+                        matched.push({
+                            txnDetailId: txnDetailId,
+                            windcaveTxn: txn,
+                            nsTransaction: refundMatch.nsTransaction,
+                            nsTransactionIds: [String(refundMatch.nsTransaction.internalId)],
+                            matchStrategy: refundMatch.strategy,
+                            isRefund: true
+                        });
+                    } else {
+                        record.submitFields({
+                            type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                            id: txnDetailId,
+                            values: {
+                                [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: refundValidation.error
+                            }
+                        });
+                        unmatched.push({
+                            txnDetailId: txnDetailId,
+                            windcaveTxn: txn,
+                            error: refundValidation.error
+                        });
+                        log.debug({
+                            title: MODULE_NAME + '.matchTransactions',
+                            details: 'Failed to match WC refund ' + txn.id + ': ' + refundValidation.error
+                        });
+                    }
+                    continue;
+                }
+
+                // Find matching NetSuite transaction with the configured strategies
+                const strategyMatch = findMatchByStrategies(txn, config, referenceRules);
+                let nsTransaction = strategyMatch.nsTransaction;
+                let matchStrategy = strategyMatch.strategy;
+
+                // A payment matched earlier in the run is not matched again; transactions that pay
+                // one payment together are only matched as a balanced match group
+                let alreadyMatched = null;
+                if (nsTransaction && isMatched(nsTransaction)) {
+                    alreadyMatched = nsTransaction;
+                    nsTransaction = null;
+                    matchStrategy = null;
+                }
+
+                // A reference listing several document numbers pays several payments at once
+                if (!nsTransaction) {
+                    const groupTransactions = findReferenceGroup(txn, strategyMatch.reference);
+                    const groupValidation = !groupTransactions ? null : groupTransactions.some(isMatched) ?
+                        { isValid: false, error: constants.ERRORS.PAYMENT_ALREADY_MATCHED } :
+                        validateMatchGroup(groupTransactions, [txn]);
+                    if (groupValidation && groupValidation.isValid) {
+                        const matchGroupId = createMatchGroup({
+                            settlementInternalId: settlementInternalId,
+                            nsTransactions: groupTransactions,
+                            members: [{ txnDetailId: txnDetailId, windcaveTxn: txn }],
+                            matchStrategy: constants.MATCH_STRATEGIES.TRANID
+                        });
+                        const nsTransactionIds = groupTransactions.map(groupTransaction => String(groupTransaction.internalId));
+                        matchedIds.push(...nsTransactionIds);
+                        matched.push({
+                            txnDetailId: txnDetailId,
+                            windcaveTxn: txn,
+                            nsTransaction: groupTransactions[0],
+                            nsTransactionIds: nsTransactionIds,
+                            matchStrategy: constants.MATCH_STRATEGIES.TRANID,
+                            matchGroupId: matchGroupId
+                        });
+                        continue;
+                    }
+                    if (groupValidation) {
+                        log.debug({
+                            title: MODULE_NAME + '.matchTransactions',
+                            details: 'WC txn ' + txn.id + ' reference group not matched: ' + groupValidation.error
+                        });
+                    }
+                }
+
+                // Then enrich from the transaction query endpoint and match on the extra data
+                let enrichmentValues = {};
+                let enrichmentData = null;
+                if (!nsTransaction && connection && enrichedCount < constants.MISC.MAX_ENRICHMENTS_PER_SETTLEMENT) {
+                    enrichedCount++;
+                    const enrichment = enrichTransaction(txn, connection);
+                    if (enrichment) {
+                        enrichmentValues = enrichment.values;
+                        enrichmentData = enrichment.data;
+                        nsTransaction = findSecondaryMatch(txn, enrichment.data, referenceRules);
+                        if (nsTransaction && isMatched(nsTransaction)) {
+                            alreadyMatched = nsTransaction;
+                            nsTransaction = null;
+                        }
+                        matchStrategy = nsTransaction ? constants.MATCH_STRATEGY_OTHER.ENRICHMENT : null;
+                    }
+                }
+
+                // Finally score Undeposited Funds for a payment with the same amount around the same day
+                let fuzzyValues = {};
+                if (!nsTransaction && config && config.fuzzyMatching) {
+                    const candidates = fuzzyMatch.rankCandidates({
+                        txn: txn,
+                        enrichment: enrichmentData,
+                        customerId: strategyMatch.reference.customerId,
+                        timeZone: config.timeZone,
+                        excludeIds: matchedIds
+                    });
+
+                    if (candidates.length > 0) {
+                        fuzzyValues = {
+                            [constants.TXN_DETAIL_FIELDS.MATCH_SCORE]: candidates[0].score,
+                            [constants.TXN_DETAIL_FIELDS.MATCH_SUGGESTIONS]: fuzzyMatch.serializeSuggestions(candidates)
+                        };
+
+                        if (candidates[0].score >= config.fuzzyConfidence) {
+                            nsTransaction = findNetSuiteTransactionByFilter(['internalid', 'anyof', candidates[0].internalId],
+                                txn, constants.MATCH_STRATEGY_OTHER.FUZZY);
+                            matchStrategy = nsTransaction ? constants.MATCH_STRATEGY_OTHER.FUZZY : null;
+                        }
+
+                        log.audit({
+                            title: MODULE_NAME + '.matchTransactions',
+                            details: 'Fuzzy match for WC ' + txn.id + ': best NS ' + candidates[0].internalId +
+                                     ' scored ' + candidates[0].score + ' (' + candidates[0].reasons.join(', ') + ')' +
+                                     (nsTransaction ? ', applied' : ', stored as suggestion')
+                        });
+                    }
+                }
+
+                const validation = !nsTransaction && alreadyMatched ? {
+                    isValid: false,
+                    error: constants.ERRORS.PAYMENT_ALREADY_MATCHED + ': ' + alreadyMatched.tranId
+                } : validatePaymentForDeposit(nsTransaction, txn, config);
+
+                if (validation.isValid) {
+                    // Update transaction detail with match
+                    const surchargeValues = validation.surcharge ? {
+                        [constants.TXN_DETAIL_FIELDS.SURCHARGE]: validation.surcharge
+                    } : {};
+                    record.submitFields({
+                        type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                        id: txnDetailId,
+                        values: Object.assign({
+                            [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: nsTransaction.internalId,
+                            [constants.TXN_DETAIL_FIELDS.MATCHED]: true,
+                            [constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY]: matchStrategy
+                        }, surchargeValues, enrichmentValues, fuzzyValues)
+                    });
+                    matchedIds.push(String(nsTransaction.internalId));
+
+                    matched.push({
+                        txnDetailId: txnDetailId,
+                        windcaveTxn: txn,
+                        nsTransaction: nsTransaction,
+                        nsTransactionIds: [String(nsTransaction.internalId)],
+                        matchStrategy: matchStrategy,
+                        surcharge: validation.surcharge || null
+                    });
+
+                    log.debug({
+                        title: MODULE_NAME + '.matchTransactions',
+                        details: 'Matched WC txn ' + txn.id + ' to NS txn ' + nsTransaction.internalId +
+                                 (validation.surcharge ? ' with a surcharge of ' + validation.surcharge : '')
+                    });
+
+                } else {
+                    // Update transaction detail with error
+                    record.submitFields({
+                        type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                        id: txnDetailId,
+                        values: Object.assign({
+                            [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: validation.error
+                        }, enrichmentValues, fuzzyValues)
+                    });
+
+                    const unmatchedEntry = {
+                        txnDetailId: txnDetailId,
+                        windcaveTxn: txn,
+                        error: validation.error
+                    };
+                    unmatched.push(unmatchedEntry);
+
+                    // Kept to check for split tender once every transaction has been tried
+                    if (nsTransaction && nsTransaction.undepositedFunds !== 'F' &&
+                        validation.error.indexOf(constants.ERRORS.AMOUNT_MISMATCH) === 0) {
+                        partialMatches.push({
+                            entry: unmatchedEntry,
+                            nsTransaction: nsTransaction,
+                            matchStrategy: matchStrategy
+                        });
+                    }
+
+                    log.debug({
+                        title: MODULE_NAME + '.matchTransactions',
+                        details: 'Failed to match WC txn ' + txn.id + ': ' + validation.error
+                    });
+                }
+            }
+
+            groupPartialMatches(partialMatches, settlementInternalId, matchedIds, matched, unmatched);
+
+            return { matched, unmatched, cancelled };
+        }
+
+        /**
+         * Groups Windcave transactions that found the same payment but only add up to it together
+         * Groups that balance are recorded and their entries moved from unmatched to matched.
+         * @param {Array} partialMatches - Entries with the unmatched entry, the payment found and the strategy
+         * @param {number} settlementInternalId - Settlement record internal ID
+         * @param {Array<string>} matchedIds - NetSuite transactions already matched in this run (updated)
+         * @param {Array} matched - Matched entries (updated)
+         * @param {Array} unmatched - Unmatched entries (updated)
+         */
+        function groupPartialMatches(partialMatches, settlementInternalId, matchedIds, matched, unmatched) {
+            const byPayment = {};
+            for (const partial of partialMatches) {
+                const key = String(partial.nsTransaction.internalId);
+                byPayment[key] = byPayment[key] || [];
+                byPayment[key].push(partial);
+            }
+
+            for (const nsTransactionId of Object.keys(byPayment)) {
+                const partials = byPayment[nsTransactionId];
+                if (partials.length < 2 || matchedIds.indexOf(nsTransactionId) >= 0) {
+                    continue;
+                }
+
+                const nsTransaction = partials[0].nsTransaction;
+                const validation = validateMatchGroup([nsTransaction], partials.map(partial => partial.entry.windcaveTxn));
+                if (!validation.isValid) {
+                    log.debug({
+                        title: MODULE_NAME + '.groupPartialMatches',
+                        details: 'NS txn ' + nsTransactionId + ' not grouped: ' + validation.error
+                    });
+                    continue;
+                }
+
+                const matchGroupId = createMatchGroup({
+                    settlementInternalId: settlementInternalId,
+                    nsTransactions: [nsTransaction],
+                    members: partials.map(partial => ({ txnDetailId: partial.entry.txnDetailId, windcaveTxn: partial.entry.windcaveTxn })),
+                    matchStrategy: partials[0].matchStrategy
+                });
+
+                matchedIds.push(nsTransactionId);
+                for (const partial of partials) {
+                    unmatched.splice(unmatched.indexOf(partial.entry), 1);
+                    matched.push({
+                        txnDetailId: partial.entry.txnDetailId,
+                        windcaveTxn: partial.entry.windcaveTxn,
+                        nsTransaction: nsTransaction,
+                        nsTransactionIds: [nsTransactionId],
+                        matchStrategy: partial.matchStrategy,
+                        matchGroupId: matchGroupId
+                    });
+                }
+            }
+        }
+
+        /**
+         * Collects matched transactions into the payments a deposit must select together
+         * Transactions in one match group, or matched to the same payment, form one unit, so a
+         * group is deposited whole or not at all.
+         * @param {Array} matchedTransactions - Entries with txnDetailId and nsTransactionIds, and
+         *        matchGroupId for groups
+         * @returns {Array} Units with nsTransactionIds and txnDetailIds
+         */
+        function getDepositUnits(matchedTransactions) {
+            const units = {};
+
+            for (const matchedTxn of matchedTransactions) {
+                const nsTransactionIds = (matchedTxn.nsTransactionIds || []).map(String).filter(Boolean);
+                if (nsTransactionIds.length === 0) {
+                    continue;
+                }
+
+                const key = matchedTxn.matchGroupId ? 'group:' + matchedTxn.matchGroupId : 'payment:' + nsTransactionIds[0];
+                const unit = units[key] = units[key] || { nsTransactionIds: [], txnDetailIds: [] };
+                for (const nsTransactionId of nsTransactionIds) {
+                    if (unit.nsTransactionIds.indexOf(nsTransactionId) < 0) {
+                        unit.nsTransactionIds.push(nsTransactionId);
+                    }
+                }
+                unit.txnDetailIds.push(matchedTxn.txnDetailId);
+            }
+
+            return Object.keys(units).map(key => units[key]);
+        }
+
+        /**
+         * Maps the transactions on a Bank Deposit's payment sublist to their line numbers
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @returns {Object} Map of NetSuite transaction internal ID to line number
+         */
+        function getPaymentLines(depositRecord) {
+            const lineByPaymentId = {};
+            const lineCount = depositRecord.getLineCount({ sublistId: 'payment' });
+            for (let i = 0; i < lineCount; i++) {
+                lineByPaymentId[String(depositRecord.getSublistValue({
+                    sublistId: 'payment',
+                    fieldId: 'id',
+                    line: i
+                }))] = i;
+            }
+            return lineByPaymentId;
         }
 
         /**
-         * Matches Windcave transactions to NetSuite payments
-         * @param {Array} transactions - Windcave transactions from settlement
-         * @param {number} settlementInternalId - Settlement record internal ID
-         * @returns {Object} Match results with matched/unmatched arrays
+         * Ticks one line of a dynamic Bank Deposit's payment sublist
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {number} line - Line number
+         * @returns {number} NetSuite amount of the line in major units, without its sign
          */
-        function matchTransactions(transactions, settlementInternalId) {
-            const matched = [];
-            const unmatched = [];
+        function tickPaymentLine(depositRecord, line) {
+            const amount = Math.abs(parseFloat(depositRecord.getSublistValue({
+                sublistId: 'payment',
+                fieldId: 'paymentamount',
+                line: line
+            }))) || 0;
+
+            depositRecord.selectLine({
+                sublistId: 'payment',
+                line: line
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'payment',
+                fieldId: 'deposit',
+                value: true
+            });
+            depositRecord.commitLine({
+                sublistId: 'payment'
+            });
 
-            for (const txn of transactions) {
-                // Create transaction detail record
-                const txnDetailId = createTransactionDetailRecord(txn, settlementInternalId);
+            return amount;
+        }
 
-                // Skip refunds for bank deposit (they need different handling)
-                if (txn.type === constants.TRANSACTION_TYPES.REFUND) {
+        /**
+         * Ticks the payments of each deposit unit on a dynamic Bank Deposit
+         * A unit is skipped unless every one of its payments is on the payment sublist.
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {Array} units - Units from getDepositUnits
+         * @returns {Object} Result with paymentsAdded, the txnDetailIds of the units added and the
+         *          NetSuite amounts of the payments ticked
+         */
+        function selectDepositPayments(depositRecord, units) {
+            const lineByPaymentId = getPaymentLines(depositRecord);
+            const selected = {};
+            const txnDetailIds = [];
+            const amounts = [];
+            let paymentsAdded = 0;
+
+            for (const unit of units) {
+                const missing = unit.nsTransactionIds.filter(id => !lineByPaymentId.hasOwnProperty(id));
+                if (missing.length > 0) {
                     log.audit({
-                        title: MODULE_NAME + '.matchTransactions',
-                        details: 'Skipping refund transaction: ' + txn.id
-                    });
-                    unmatched.push({
-                        txnDetailId: txnDetailId,
-                        windcaveTxn: txn,
-                        error: 'Refund transactions require manual handling'
+                        title: MODULE_NAME + '.selectDepositPayments',
+                        details: 'Skipping payments ' + unit.nsTransactionIds.join(', ') +
+                                 ': not in undeposited funds: ' + missing.join(', ')
                     });
                     continue;
                 }
 
-                // Find matching NetSuite transaction
-                // Strategy 1: Match by merchantReference (NetSuite internal ID)
-                let nsTransaction = findNetSuiteTransaction(txn.merchantReference);
-
-                // Strategy 2: If no match, try by auth code and/or pnref
-                if (!nsTransaction && (txn.authCode || txn.id)) {
-                    nsTransaction = findNetSuiteTransactionByAuthCode(
-                        txn.authCode,
-                        parseFloat(txn.amount),
-                        txn.id  // Windcave transaction ID can be used as pnref
-                    );
-                    if (nsTransaction) {
-                        log.audit({
-                            title: MODULE_NAME + '.matchTransactions',
-                            details: 'Matched by auth code/pnref fallback: WC ' + txn.id + ' -> NS ' + nsTransaction.internalId
-                        });
+                for (const nsTransactionId of unit.nsTransactionIds) {
+                    if (selected[nsTransactionId]) {
+                        continue;
                     }
+                    amounts.push(tickPaymentLine(depositRecord, lineByPaymentId[nsTransactionId]));
+                    selected[nsTransactionId] = true;
+                    paymentsAdded++;
                 }
+                txnDetailIds.push(...unit.txnDetailIds);
+            }
 
-                const validation = validatePaymentForDeposit(nsTransaction, txn);
+            return { paymentsAdded: paymentsAdded, txnDetailIds: txnDetailIds, amounts: amounts };
+        }
 
-                if (validation.isValid) {
-                    // Update transaction detail with match
-                    record.submitFields({
-                        type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
-                        id: txnDetailId,
-                        values: {
-                            [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: nsTransaction.internalId,
-                            [constants.TXN_DETAIL_FIELDS.MATCHED]: true
-                        }
-                    });
+        /**
+         * Adds a cash back line to a dynamic Bank Deposit, taking an amount off the deposit total
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {number} accountId - Account the amount is posted to
+         * @param {number} amount - Amount in major units
+         * @param {string} memo - Line memo
+         */
+        function addCashBackLine(depositRecord, accountId, amount, memo) {
+            depositRecord.selectNewLine({
+                sublistId: 'cashback'
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'cashback',
+                fieldId: 'account',
+                value: accountId
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'cashback',
+                fieldId: 'amount',
+                value: amount
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'cashback',
+                fieldId: 'memo',
+                value: memo
+            });
+            depositRecord.commitLine({
+                sublistId: 'cashback'
+            });
+        }
 
-                    matched.push({
-                        txnDetailId: txnDetailId,
-                        windcaveTxn: txn,
-                        nsTransaction: nsTransaction
+        /**
+         * Nets matched refunds into a dynamic Bank Deposit
+         * A refund in Undeposited Funds is ticked on the payment sublist, where it counts as a
+         * negative line. Any other refund becomes a cash back line against the Refund Account,
+         * or is left out if there is none.
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {Array} refunds - Refunds with txnDetailId, transactionId, nsTransactionId and amount
+         * @param {number} [refundAccountId] - Account for cash back lines
+         * @returns {Object} Result with refundsAdded, the txnDetailIds of the refunds added and the
+         *          amounts they take off the deposit
+         */
+        function addDepositRefunds(depositRecord, refunds, refundAccountId) {
+            const lineByPaymentId = getPaymentLines(depositRecord);
+            const txnDetailIds = [];
+            const amounts = [];
+
+            for (const refund of refunds) {
+                const nsTransactionId = String(refund.nsTransactionId);
+
+                if (lineByPaymentId.hasOwnProperty(nsTransactionId)) {
+                    amounts.push(tickPaymentLine(depositRecord, lineByPaymentId[nsTransactionId]));
+                } else if (refundAccountId) {
+                    amounts.push(Math.abs(parseFloat(refund.amount)));
+                    addCashBackLine(depositRecord, refundAccountId, amounts[amounts.length - 1],
+                        'Windcave refund ' + refund.transactionId);
+                } else {
+                    log.audit({
+                        title: MODULE_NAME + '.addDepositRefunds',
+                        details: 'Skipping refund ' + nsTransactionId + ': not in undeposited funds and no Refund Account is configured'
                     });
+                    continue;
+                }
 
-                    log.debug({
-                        title: MODULE_NAME + '.matchTransactions',
-                        details: 'Matched WC txn ' + txn.id + ' to NS txn ' + nsTransaction.internalId
-                    });
+                txnDetailIds.push(refund.txnDetailId);
+            }
 
-                } else {
-                    // Update transaction detail with error
-                    record.submitFields({
-                        type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
-                        id: txnDetailId,
-                        values: {
-                            [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: validation.error
-                        }
-                    });
+            return { refundsAdded: txnDetailIds.length, txnDetailIds: txnDetailIds, amounts: amounts };
+        }
 
-                    unmatched.push({
-                        txnDetailId: txnDetailId,
-                        windcaveTxn: txn,
-                        error: validation.error
-                    });
+        /**
+         * Adds the merchant fees for a deposit's transactions as a cash back line against the Fee Account
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {Object} options - Fee options
+         * @param {Object} options.settlementData - Settlement (id, amount, currency, CRDR, transactions, truncated)
+         * @param {Array} options.depositedTransactions - Windcave transactions in the deposit (id, amount, type, fee)
+         * @param {number} [options.feeAccountId] - Fee expense account; no line is added without one
+         * @param {string} [options.feeSchedule] - Fee Schedule field value
+         * @param {Object} [options.feeShare] - This deposit's share of fees worked out for the whole
+         *        settlement (minorUnits, source), used instead of working them out from the deposit
+         * @returns {number} Fee amount added in major units (0 if none)
+         */
+        function addDepositFees(depositRecord, options) {
+            const { settlementData, depositedTransactions, feeAccountId, feeSchedule, feeShare } = options;
+            const feeResult = feeShare || fees.calculateDepositFees({
+                settlementData: settlementData,
+                depositedTransactions: depositedTransactions,
+                feeSchedule: feeSchedule
+            });
 
-                    log.debug({
-                        title: MODULE_NAME + '.matchTransactions',
-                        details: 'Failed to match WC txn ' + txn.id + ': ' + validation.error
-                    });
+            if (feeResult.minorUnits === 0) {
+                return 0;
+            }
+
+            const amount = money.fromMinorUnits(feeResult.minorUnits, settlementData.currency);
+            if (!feeAccountId) {
+                log.audit({
+                    title: MODULE_NAME + '.addDepositFees',
+                    details: 'Fees of ' + amount + ' (' + feeResult.source + ') for settlement ' + settlementData.id +
+                             ' not added: no Fee Account is configured'
+                });
+                return 0;
+            }
+
+            addCashBackLine(depositRecord, feeAccountId, amount, 'Windcave fees - settlement ' + settlementData.id);
+
+            log.audit({
+                title: MODULE_NAME + '.addDepositFees',
+                details: 'Added fees of ' + amount + ' (' + feeResult.source + ') for settlement ' + settlementData.id
+            });
+
+            return amount;
+        }
+
+        /**
+         * Adds the card surcharges on a deposit's transactions as an other deposits line against
+         * the Surcharge Account
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {Object} options - Surcharge options
+         * @param {Object} options.settlementData - Settlement (id and currency)
+         * @param {Array<string>} options.surcharges - Surcharges of the deposited transactions, in major units
+         * @param {number} [options.surchargeAccountId] - Surcharge income account; no line is added without one
+         * @returns {number} Surcharge amount added in major units (0 if none)
+         */
+        function addDepositSurcharges(depositRecord, options) {
+            const { settlementData, surcharges, surchargeAccountId } = options;
+            const total = money.sum(surcharges.filter(Boolean), settlementData.currency);
+
+            if (total === 0) {
+                return 0;
+            }
+
+            const amount = money.fromMinorUnits(total, settlementData.currency);
+            if (!surchargeAccountId) {
+                log.audit({
+                    title: MODULE_NAME + '.addDepositSurcharges',
+                    details: 'Surcharges of ' + amount + ' for settlement ' + settlementData.id +
+                             ' not added: no Surcharge Account is configured'
+                });
+                return 0;
+            }
+
+            depositRecord.selectNewLine({
+                sublistId: 'other'
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'other',
+                fieldId: 'account',
+                value: surchargeAccountId
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'other',
+                fieldId: 'amount',
+                value: amount
+            });
+            depositRecord.setCurrentSublistValue({
+                sublistId: 'other',
+                fieldId: 'memo',
+                value: 'Windcave surcharges - settlement ' + settlementData.id
+            });
+            depositRecord.commitLine({
+                sublistId: 'other'
+            });
+
+            log.audit({
+                title: MODULE_NAME + '.addDepositSurcharges',
+                details: 'Added surcharges of ' + amount + ' for settlement ' + settlementData.id
+            });
+
+            return amount;
+        }
+
+        /**
+         * Adds the difference between the Windcave amounts and the NetSuite amounts deposited as a
+         * line against the Fee Account
+         * Payments and refunds are matched within AMOUNT_TOLERANCE, but the deposit carries the
+         * NetSuite amounts; the line makes up the gap so the deposit equals what Windcave pays.
+         * @param {Object} depositRecord - Bank Deposit record in dynamic mode
+         * @param {Object} options - Difference options
+         * @param {Object} options.settlementData - Settlement (id and currency)
+         * @param {number} options.minorUnits - Windcave net less the deposited net, in minor units
+         * @param {number} [options.feeAccountId] - Fee expense account; no line is added without one
+         * @returns {number} Difference added in major units, negative if taken off (0 if none)
+         */
+        function addDepositDifference(depositRecord, options) {
+            const { settlementData, minorUnits, feeAccountId } = options;
+
+            if (minorUnits === 0) {
+                return 0;
+            }
+
+            const amount = money.fromMinorUnits(Math.abs(minorUnits), settlementData.currency);
+            const memo = 'Windcave amount differences - settlement ' + settlementData.id;
+            if (!feeAccountId) {
+                log.audit({
+                    title: MODULE_NAME + '.addDepositDifference',
+                    details: 'Amount differences of ' + money.formatAmount(minorUnits, settlementData.currency) +
+                             ' for settlement ' + settlementData.id + ' not added: no Fee Account is configured'
+                });
+                return 0;
+            }
+
+            if (minorUnits < 0) {
+                addCashBackLine(depositRecord, feeAccountId, amount, memo);
+            } else {
+                depositRecord.selectNewLine({
+                    sublistId: 'other'
+                });
+                depositRecord.setCurrentSublistValue({
+                    sublistId: 'other',
+                    fieldId: 'account',
+                    value: feeAccountId
+                });
+                depositRecord.setCurrentSublistValue({
+                    sublistId: 'other',
+                    fieldId: 'amount',
+                    value: amount
+                });
+                depositRecord.setCurrentSublistValue({
+                    sublistId: 'other',
+                    fieldId: 'memo',
+                    value: memo
+                });
+                depositRecord.commitLine({
+                    sublistId: 'other'
+                });
+            }
+
+            log.audit({
+                title: MODULE_NAME + '.addDepositDifference',
+                details: 'Added amount differences of ' + money.formatAmount(minorUnits, settlementData.currency) +
+                         ' for settlement ' + settlementData.id
+            });
+
+            return minorUnits < 0 ? -amount : amount;
+        }
+
+        /**
+         * Looks up the subsidiary of NetSuite transactions
+         * @param {Array<string>} nsTransactionIds - NetSuite transaction internal IDs
+         * @returns {Object} Map of transaction internal ID to subsidiary internal ID (empty if the
+         *          account does not use subsidiaries)
+         */
+        function getTransactionSubsidiaries(nsTransactionIds) {
+            const subsidiaries = {};
+            if (nsTransactionIds.length === 0) {
+                return subsidiaries;
+            }
+
+            try {
+                search.create({
+                    type: search.Type.TRANSACTION,
+                    filters: [
+                        ['internalid', 'anyof', nsTransactionIds],
+                        'AND',
+                        ['mainline', 'is', 'T']
+                    ],
+                    columns: [
+                        'internalid',
+                        'subsidiary'
+                    ]
+                }).run().each(function(result) {
+                    subsidiaries[String(result.getValue('internalid'))] = result.getValue('subsidiary');
+                    return true;
+                });
+            } catch (e) {
+                log.debug({
+                    title: MODULE_NAME + '.getTransactionSubsidiaries',
+                    details: 'Subsidiaries not looked up: ' + e.message
+                });
+            }
+
+            return subsidiaries;
+        }
+
+        /**
+         * Splits matched transactions by the subsidiary of their NetSuite transaction
+         * Entries of one match group or payment share their first NetSuite transaction, so a
+         * group is never split.
+         * @param {Array} entries - Matched entries with nsTransactionIds
+         * @returns {Array} Groups with subsidiaryId (null if unknown) and entries, in first-seen order
+         */
+        function groupBySubsidiary(entries) {
+            const firstIds = [];
+            for (const entry of entries) {
+                const nsTransactionId = String((entry.nsTransactionIds || [])[0] || '');
+                if (nsTransactionId && firstIds.indexOf(nsTransactionId) < 0) {
+                    firstIds.push(nsTransactionId);
+                }
+            }
+            const subsidiaries = getTransactionSubsidiaries(firstIds);
+
+            const groups = {};
+            const order = [];
+            for (const entry of entries) {
+                const subsidiaryId = subsidiaries[String((entry.nsTransactionIds || [])[0] || '')] || null;
+                const key = String(subsidiaryId);
+                if (!groups[key]) {
+                    groups[key] = { subsidiaryId: subsidiaryId, entries: [] };
+                    order.push(key);
                 }
+                groups[key].entries.push(entry);
             }
 
-            return { matched, unmatched };
+            return order.map(key => groups[key]);
         }
 
         /**
          * Creates a Bank Deposit record for matched payments
          * @param {Object} options - Deposit options
          * @param {Object} options.settlementData - Settlement data from API
-         * @param {Array} options.matchedTransactions - Successfully matched transactions
+         * @param {Array} options.matchedTransactions - Successfully matched transactions (see matchTransactions)
          * @param {number} options.bankAccountId - Bank account internal ID
+         * @param {number} [options.subsidiaryId] - Subsidiary of the payments, set first so the payment sublist lists them
+         * @param {number} [options.refundAccountId] - Account for refund cash back lines
+         * @param {number} [options.feeAccountId] - Account for the fee cash back line
+         * @param {string} [options.feeSchedule] - Fee Schedule, used when the fees cannot be worked out from the settlement
+         * @param {Object} [options.feeShare] - Share of the settlement's fees (minorUnits, source), used if every
+         *        matched transaction is deposited
+         * @param {number} [options.surchargeAccountId] - Account for the surcharge other deposits line
          * @returns {number|null} Bank Deposit internal ID or null if no valid payments
          */
         function createBankDeposit(options) {
-            const { settlementData, matchedTransactions, bankAccountId } = options;
+            const { settlementData, matchedTransactions, bankAccountId, subsidiaryId, refundAccountId, feeAccountId, feeSchedule,
+                feeShare, surchargeAccountId } = options;
 
             if (!matchedTransactions || matchedTransactions.length === 0) {
                 log.audit({
@@ -661,22 +2341,24 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     isDynamic: true
                 });
 
+                // Set subsidiary first so payment sublist filters correctly
+                if (subsidiaryId) {
+                    depositRecord.setValue({
+                        fieldId: 'subsidiary',
+                        value: subsidiaryId
+                    });
+                }
+
                 // Set header fields
                 depositRecord.setValue({
                     fieldId: 'account',
                     value: bankAccountId
                 });
 
-                // Parse ISO date (YYYY-MM-DD) to JavaScript Date
-                const depDateParts = settlementData.settlementDate.split('-');
-                const depDateObj = new Date(
-                    parseInt(depDateParts[0]),
-                    parseInt(depDateParts[1]) - 1,
-                    parseInt(depDateParts[2])
-                );
+                // Parse ISO date (YYYY-MM-DD) to a calendar date
                 depositRecord.setValue({
                     fieldId: 'trandate',
-                    value: depDateObj
+                    value: windcaveApi.parseApiDate(settlementData.settlementDate)
                 });
 
                 depositRecord.setValue({
@@ -684,8 +2366,7 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     value: 'Windcave Settlement ' + settlementData.referenceNumber + ' (' + settlementData.id + ')'
                 });
 
-                // Add each matched payment to the deposit
-                let paymentsAdded = 0;
+                // Add each matched payment to the deposit, match groups as a whole
                 const lineCount = depositRecord.getLineCount({ sublistId: 'payment' });
 
                 log.debug({
@@ -693,50 +2374,15 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     details: 'Deposit has ' + lineCount + ' undeposited payments available'
                 });
 
-                // Build list of matched internal IDs for comparison (as strings)
-                const matchedIds = matchedTransactions
-                    .filter(m => m.nsTransaction && m.nsTransaction.internalId)
-                    .map(m => String(m.nsTransaction.internalId));
+                const units = getDepositUnits(matchedTransactions.filter(matchedTxn => !matchedTxn.isRefund));
 
                 log.debug({
                     title: MODULE_NAME + '.createBankDeposit',
-                    details: 'Looking for payment IDs: ' + matchedIds.join(', ')
+                    details: 'Looking for payment IDs: ' + units.map(unit => unit.nsTransactionIds.join('+')).join(', ')
                 });
 
-                for (let i = 0; i < lineCount; i++) {
-                    const paymentId = depositRecord.getSublistValue({
-                        sublistId: 'payment',
-                        fieldId: 'id',
-                        line: i
-                    });
-
-                    // Check if this payment is in our matched list (compare as strings)
-                    const matchedTxn = matchedTransactions.find(m =>
-                        m.nsTransaction && String(m.nsTransaction.internalId) === String(paymentId)
-                    );
-
-                    if (matchedTxn) {
-                        depositRecord.selectLine({
-                            sublistId: 'payment',
-                            line: i
-                        });
-                        depositRecord.setCurrentSublistValue({
-                            sublistId: 'payment',
-                            fieldId: 'deposit',
-                            value: true
-                        });
-                        depositRecord.commitLine({
-                            sublistId: 'payment'
-                        });
-                        paymentsAdded++;
-
-                        // Track which transactions were added to this deposit
-                        if (!depositRecord._addedTxnDetailIds) {
-                            depositRecord._addedTxnDetailIds = [];
-                        }
-                        depositRecord._addedTxnDetailIds.push(matchedTxn.txnDetailId);
-                    }
-                }
+                const selection = selectDepositPayments(depositRecord, units);
+                const paymentsAdded = selection.paymentsAdded;
 
                 if (paymentsAdded === 0) {
                     log.audit({
@@ -746,7 +2392,45 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     return null;
                 }
 
-                const addedTxnDetailIds = depositRecord._addedTxnDetailIds || [];
+                // Net refunds in so the deposit equals what Windcave pays
+                const refunds = addDepositRefunds(depositRecord, matchedTransactions
+                    .filter(matchedTxn => matchedTxn.isRefund)
+                    .map(matchedTxn => ({
+                        txnDetailId: matchedTxn.txnDetailId,
+                        transactionId: matchedTxn.windcaveTxn.id,
+                        nsTransactionId: matchedTxn.nsTransactionIds[0],
+                        amount: matchedTxn.windcaveTxn.amount
+                    })), refundAccountId);
+
+                const addedTxnDetailIds = selection.txnDetailIds.concat(refunds.txnDetailIds);
+                const deposited = matchedTransactions.filter(matchedTxn => addedTxnDetailIds.indexOf(matchedTxn.txnDetailId) >= 0);
+
+                // Add the surcharges customers paid above their payments
+                const surchargeAmount = addDepositSurcharges(depositRecord, {
+                    settlementData: settlementData,
+                    surcharges: deposited.map(matchedTxn => matchedTxn.surcharge),
+                    surchargeAccountId: surchargeAccountId
+                });
+
+                // Take off the fees Windcave kept, so the deposit equals the bank line
+                const feeAmount = addDepositFees(depositRecord, {
+                    settlementData: settlementData,
+                    depositedTransactions: deposited.map(matchedTxn => matchedTxn.windcaveTxn),
+                    feeAccountId: feeAccountId,
+                    feeSchedule: feeSchedule,
+                    feeShare: deposited.length === matchedTransactions.length ? feeShare : null
+                });
+
+                // Fees are worked out from the Windcave amounts, so make up any gap to the NetSuite amounts deposited
+                const currency = settlementData.currency;
+                const differenceAmount = addDepositDifference(depositRecord, {
+                    settlementData: settlementData,
+                    minorUnits: fees.netMinorUnits(deposited.map(matchedTxn => matchedTxn.windcaveTxn), currency) -
+                        (money.sum(selection.amounts, currency) - money.sum(refunds.amounts, currency) +
+                         money.sum(deposited.map(matchedTxn => matchedTxn.surcharge).filter(Boolean), currency)),
+                    feeAccountId: feeAccountId
+                });
+
                 const depositId = depositRecord.save();
 
                 // Update transaction detail records with deposit ID
@@ -763,15 +2447,221 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
 
                 log.audit({
                     title: MODULE_NAME + '.createBankDeposit',
-                    details: 'Created Bank Deposit ' + depositId + ' with ' + paymentsAdded + ' payments'
+                    details: 'Created Bank Deposit ' + depositId + ' with ' + paymentsAdded + ' payments, ' +
+                             refunds.refundsAdded + ' refunds, ' + surchargeAmount + ' surcharges, ' + feeAmount + ' fees and ' +
+                             differenceAmount + ' amount differences'
                 });
 
                 return depositId;
 
             } catch (e) {
                 log.error({
-                    title: MODULE_NAME + '.createBankDeposit',
-                    details: 'Error creating bank deposit: ' + e.message
+                    title: MODULE_NAME + '.createBankDeposit',
+                    details: 'Error creating bank deposit: ' + e.message
+                });
+                throw e;
+            }
+        }
+
+        /**
+         * Works out each subsidiary group's share of the fees Windcave kept from the whole settlement
+         * The settlement gap is worked out once for every matched transaction and shared in
+         * proportion to each group's net amount, so the deposits together equal the bank line.
+         * @param {Object} settlementData - Settlement data from API
+         * @param {Array} groups - Groups from groupBySubsidiary
+         * @returns {Array<Object|null>} Fee share (minorUnits, source) of each group, or nulls if the
+         *          fees cannot be worked out from the settlement amount
+         */
+        function shareSettlementFees(settlementData, groups) {
+            const feeResult = fees.calculateDepositFees({
+                settlementData: settlementData,
+                depositedTransactions: [].concat(...groups.map(group => group.entries.map(entry => entry.windcaveTxn)))
+            });
+            if (feeResult.source !== constants.FEE_SOURCES.SETTLEMENT) {
+                return groups.map(() => null);
+            }
+
+            const shares = fees.shareFees(feeResult.minorUnits, groups.map(group =>
+                fees.netMinorUnits(group.entries.map(entry => entry.windcaveTxn), settlementData.currency)
+            ));
+            return shares.map(minorUnits => ({ minorUnits: minorUnits, source: feeResult.source }));
+        }
+
+        /**
+         * Creates one Bank Deposit per subsidiary for matched payments
+         * Each subsidiary's payments go to its mapped bank account, or to bankAccountId if it has
+         * none. Without subsidiaries this is a single deposit, as createBankDeposit makes.
+         * @param {Object} options - Deposit options, as for createBankDeposit without subsidiaryId
+         * @param {Object} [options.subsidiaryBankAccounts] - Map of subsidiary internal ID to bank account internal ID
+         * @returns {Object} Result with depositIds and errors (one message per subsidiary whose deposit failed
+         *          or whose refunds could not be deposited)
+         * @throws {Error} The first failure if no deposit was created
+         */
+        function createBankDeposits(options) {
+            const { settlementData, matchedTransactions, bankAccountId, subsidiaryBankAccounts = {} } = options;
+            const groups = groupBySubsidiary(matchedTransactions || []);
+            const feeShares = shareSettlementFees(settlementData, groups);
+            const depositIds = [];
+            const failures = [];
+
+            groups.forEach((group, index) => {
+                try {
+                    const depositId = createBankDeposit(Object.assign({}, options, {
+                        matchedTransactions: group.entries,
+                        subsidiaryId: group.subsidiaryId,
+                        bankAccountId: (group.subsidiaryId && subsidiaryBankAccounts[group.subsidiaryId]) || bankAccountId,
+                        feeShare: feeShares[index]
+                    }));
+                    if (depositId) {
+                        depositIds.push(depositId);
+                    } else {
+                        // Refunds are netted against payments, so they cannot be deposited without any
+                        const refundCount = group.entries.filter(entry => entry.isRefund).length;
+                        if (refundCount > 0) {
+                            failures.push({
+                                subsidiaryId: group.subsidiaryId,
+                                error: new Error(refundCount + ' refund(s) not deposited: no payments to net them against')
+                            });
+                        }
+                    }
+                } catch (e) {
+                    failures.push({ subsidiaryId: group.subsidiaryId, error: e, thrown: true });
+                }
+            });
+
+            const thrown = failures.filter(failure => failure.thrown);
+            if (depositIds.length === 0 && thrown.length > 0) {
+                throw thrown[0].error;
+            }
+
+            return {
+                depositIds: depositIds,
+                errors: failures.map(failure =>
+                    'Deposit for subsidiary ' + failure.subsidiaryId + ' not created: ' + failure.error.message
+                )
+            };
+        }
+
+        /**
+         * Looks up the subsidiary a bank account belongs to
+         * @param {number} accountId - Account internal ID
+         * @returns {string|null} Subsidiary internal ID, or null if the account has none (or the
+         *          account does not use subsidiaries)
+         */
+        function getAccountSubsidiary(accountId) {
+            try {
+                const accountFields = search.lookupFields({
+                    type: search.Type.ACCOUNT,
+                    id: accountId,
+                    columns: ['subsidiary']
+                });
+                const subsidiary = Array.isArray(accountFields.subsidiary) ? accountFields.subsidiary[0] : null;
+                return subsidiary && subsidiary.value ? subsidiary.value : null;
+            } catch (e) {
+                log.debug({
+                    title: MODULE_NAME + '.getAccountSubsidiary',
+                    details: 'Subsidiary of account ' + accountId + ' not looked up: ' + e.message
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Records a debit (DR) settlement as money leaving the bank account
+         * JOURNAL credits the bank account and debits the offset account, CHECK writes a check
+         * with one expense line against the offset account, and TRANSFER moves the amount from
+         * the bank account to the offset account.
+         * @param {Object} options - Debit options
+         * @param {Object} options.settlementData - Settlement data from API
+         * @param {string} options.handling - JOURNAL, CHECK or TRANSFER (constants.DEBIT_HANDLING)
+         * @param {number} options.bankAccountId - Bank account internal ID
+         * @param {number} options.offsetAccountId - Clearing, refunds or chargebacks account internal ID
+         * @returns {Object} Created record with id and recordType
+         */
+        function createDebitTransaction(options) {
+            const { settlementData, handling, bankAccountId, offsetAccountId } = options;
+
+            if (!offsetAccountId) {
+                throw new Error(constants.ERRORS.DEBIT_ACCOUNT_MISSING);
+            }
+
+            const amount = Math.abs(money.fromMinorUnits(money.toMinorUnits(settlementData.amount, settlementData.currency),
+                settlementData.currency));
+            const memo = 'Windcave Settlement ' + settlementData.referenceNumber + ' (' + settlementData.id + ') - Debit';
+            const tranDate = windcaveApi.parseApiDate(settlementData.settlementDate);
+
+            const recordTypes = {
+                [constants.DEBIT_HANDLING.JOURNAL]: record.Type.JOURNAL_ENTRY,
+                [constants.DEBIT_HANDLING.CHECK]: record.Type.CHECK,
+                [constants.DEBIT_HANDLING.TRANSFER]: record.Type.TRANSFER
+            };
+            if (!recordTypes[handling]) {
+                throw new Error('Unsupported debit settlement handling: ' + handling);
+            }
+
+            try {
+                const debitRecord = record.create({
+                    type: recordTypes[handling],
+                    isDynamic: true
+                });
+
+                // On OneWorld accounts the subsidiary must be set before the accounts and lines
+                const subsidiaryId = getAccountSubsidiary(bankAccountId);
+                if (subsidiaryId) {
+                    debitRecord.setValue({
+                        fieldId: 'subsidiary',
+                        value: subsidiaryId
+                    });
+                }
+
+                if (handling === constants.DEBIT_HANDLING.JOURNAL) {
+                    debitRecord.setValue({ fieldId: 'trandate', value: tranDate });
+                    debitRecord.setValue({ fieldId: 'memo', value: memo });
+
+                    [
+                        { account: offsetAccountId, field: 'debit' },
+                        { account: bankAccountId, field: 'credit' }
+                    ].forEach(line => {
+                        debitRecord.selectNewLine({ sublistId: 'line' });
+                        debitRecord.setCurrentSublistValue({ sublistId: 'line', fieldId: 'account', value: line.account });
+                        debitRecord.setCurrentSublistValue({ sublistId: 'line', fieldId: line.field, value: amount });
+                        debitRecord.setCurrentSublistValue({ sublistId: 'line', fieldId: 'memo', value: memo });
+                        debitRecord.commitLine({ sublistId: 'line' });
+                    });
+
+                } else if (handling === constants.DEBIT_HANDLING.CHECK) {
+                    debitRecord.setValue({ fieldId: 'account', value: bankAccountId });
+                    debitRecord.setValue({ fieldId: 'trandate', value: tranDate });
+                    debitRecord.setValue({ fieldId: 'memo', value: memo });
+
+                    debitRecord.selectNewLine({ sublistId: 'expense' });
+                    debitRecord.setCurrentSublistValue({ sublistId: 'expense', fieldId: 'account', value: offsetAccountId });
+                    debitRecord.setCurrentSublistValue({ sublistId: 'expense', fieldId: 'amount', value: amount });
+                    debitRecord.setCurrentSublistValue({ sublistId: 'expense', fieldId: 'memo', value: memo });
+                    debitRecord.commitLine({ sublistId: 'expense' });
+
+                } else {
+                    debitRecord.setValue({ fieldId: 'fromaccount', value: bankAccountId });
+                    debitRecord.setValue({ fieldId: 'toaccount', value: offsetAccountId });
+                    debitRecord.setValue({ fieldId: 'amount', value: amount });
+                    debitRecord.setValue({ fieldId: 'trandate', value: tranDate });
+                    debitRecord.setValue({ fieldId: 'memo', value: memo });
+                }
+
+                const debitId = debitRecord.save();
+
+                log.audit({
+                    title: MODULE_NAME + '.createDebitTransaction',
+                    details: 'Created ' + debitRecord.type + ' ' + debitId + ' for debit settlement ' + settlementData.id +
+                             ' (' + amount + ' ' + settlementData.currency + ')'
+                });
+
+                return { id: debitId, recordType: debitRecord.type };
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.createDebitTransaction',
+                    details: 'Error recording debit settlement ' + settlementData.id + ': ' + e.message
                 });
                 throw e;
             }
@@ -785,6 +2675,8 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
          * @param {number} options.unmatchedCount - Number of unmatched transactions
          * @param {number} options.matchedAmount - Total matched amount
          * @param {number|null} options.bankDepositId - Bank Deposit internal ID
+         * @param {Array<number>} [options.bankDepositIds] - Every Bank Deposit created, one per subsidiary
+         * @param {Object|null} [options.debitTransaction] - Record created for a debit settlement (id, recordType)
          * @param {string|null} options.errorMessage - Error message if any
          */
         function updateSettlementRecord(options) {
@@ -794,7 +2686,11 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 unmatchedCount,
                 matchedAmount,
                 bankDepositId,
-                errorMessage
+                bankDepositIds,
+                debitTransaction,
+                errorMessage,
+                quarantinedCount,
+                validationErrors
             } = options;
 
             const updateValues = {
@@ -809,10 +2705,24 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 updateValues[constants.SETTLEMENT_FIELDS.BANK_DEPOSIT] = bankDepositId;
             }
 
+            if (bankDepositIds && bankDepositIds.length > 0) {
+                updateValues[constants.SETTLEMENT_FIELDS.BANK_DEPOSITS] = bankDepositIds;
+            }
+
+            if (debitTransaction) {
+                updateValues[constants.SETTLEMENT_FIELDS.DEBIT_TRANSACTION] = debitTransaction.id;
+                updateValues[constants.SETTLEMENT_FIELDS.DEBIT_RECORD_TYPE] = debitTransaction.recordType;
+            }
+
             if (errorMessage) {
                 updateValues[constants.SETTLEMENT_FIELDS.ERROR_MESSAGE] = errorMessage;
             }
 
+            if (quarantinedCount) {
+                updateValues[constants.SETTLEMENT_FIELDS.QUARANTINED_COUNT] = quarantinedCount;
+                updateValues[constants.SETTLEMENT_FIELDS.VALIDATION_ERRORS] = validationErrors;
+            }
+
             record.submitFields({
                 type: constants.RECORD_TYPES.SETTLEMENT,
                 id: settlementInternalId,
@@ -826,6 +2736,160 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             });
         }
 
+        /**
+         * Reconciles a settlement fetched from Windcave: validates the payload, records the
+         * settlement and its transactions, matches them and creates the Bank Deposit
+         * A settlement whose header fails validation is quarantined without processing;
+         * transactions that fail validation are quarantined on the settlement and not written.
+         * A settlement whose transaction list was cut off by the page limit is matched but not
+         * deposited, so the matches can be reviewed before a deposit is created by hand.
+         * @param {Object} options - Reconciliation options
+         * @param {Object} options.settlementDetails - Response from windcaveApi.getSettlementDetails
+         * @param {string} options.settlementId - Windcave settlement ID that was requested
+         * @param {Object} options.config - Configuration the settlement was fetched for
+         * @param {Object} options.connection - API connection options, used to enrich unmatched transactions
+         * @returns {Object} Result with settlementInternalId, quarantined, matched, unmatched,
+         *                   quarantinedTransactions, matchedAmount, bankDepositId (the first deposit),
+         *                   bankDepositIds (one per subsidiary) and debitTransaction
+         */
+        function reconcileSettlement(options) {
+            const { settlementDetails, settlementId, config, connection } = options;
+
+            const validation = windcaveApi.validateSettlementDetails(settlementDetails);
+            const validationEntries = [];
+            if (validation.settlementErrors.length > 0) {
+                validationEntries.push({
+                    item: 'settlement',
+                    id: settlementId,
+                    errors: validation.settlementErrors
+                });
+            }
+            for (const invalid of validation.invalidTransactions) {
+                validationEntries.push({
+                    item: 'transaction',
+                    id: invalid.transaction && invalid.transaction.id,
+                    errors: invalid.errors,
+                    payload: invalid.transaction
+                });
+            }
+
+            if (validation.settlementErrors.length > 0) {
+                return {
+                    settlementInternalId: createQuarantinedSettlementRecord(settlementDetails || {}, settlementId,
+                        validation.settlementErrors, serializeValidationErrors(validationEntries)),
+                    quarantined: true,
+                    validationErrors: validation.settlementErrors,
+                    matched: [],
+                    unmatched: [],
+                    cancelled: [],
+                    quarantinedTransactions: validation.invalidTransactions,
+                    matchedAmount: 0,
+                    bankDepositId: null,
+                    bankDepositIds: [],
+                    debitTransaction: null
+                };
+            }
+
+            // Create settlement record
+            const settlementInternalId = createSettlementRecord(settlementDetails);
+
+            // Match transactions to NetSuite payments
+            const matchResults = matchTransactions(validation.validTransactions, settlementInternalId, connection, config);
+
+            // Calculate the net matched amount in minor units so large settlements do not drift
+            const matchedAmount = money.fromMinorUnits(
+                fees.netMinorUnits(matchResults.matched.map(match => match.windcaveTxn), settlementDetails.currency),
+                settlementDetails.currency
+            );
+
+            // Create a bank deposit per subsidiary for credit settlements with every transaction fetched
+            const errorParts = [];
+            let bankDepositIds = [];
+            if (settlementDetails.CRDR === constants.CRDR.CREDIT && matchResults.matched.length > 0 &&
+                !settlementDetails.truncated) {
+                const deposits = createBankDeposits({
+                    settlementData: settlementDetails,
+                    matchedTransactions: matchResults.matched,
+                    bankAccountId: config.bankAccount,
+                    subsidiaryBankAccounts: config.subsidiaryBankAccounts,
+                    refundAccountId: config.refundAccount,
+                    feeAccountId: config.feeAccount,
+                    feeSchedule: config.feeSchedule,
+                    surchargeAccountId: config.surchargeAccount
+                });
+                bankDepositIds = deposits.depositIds;
+                errorParts.push.apply(errorParts, deposits.errors);
+            }
+            const bankDepositId = bankDepositIds[0] || null;
+
+            // Record debit settlements as a journal, check or transfer out of the bank account
+            let debitTransaction = null;
+            if (settlementDetails.CRDR === constants.CRDR.DEBIT) {
+                if (config.debitHandling && config.debitHandling !== constants.DEBIT_HANDLING.MANUAL) {
+                    try {
+                        debitTransaction = createDebitTransaction({
+                            settlementData: settlementDetails,
+                            handling: config.debitHandling,
+                            bankAccountId: config.bankAccount,
+                            offsetAccountId: config.debitAccount
+                        });
+                    } catch (e) {
+                        errorParts.push('Debit settlement not recorded: ' + e.message);
+                    }
+                } else {
+                    log.audit({
+                        title: MODULE_NAME + '.reconcileSettlement',
+                        details: 'Debit settlement ' + settlementId + ' requires manual handling'
+                    });
+                }
+            }
+
+            // Build error message for incomplete, quarantined or unmatched transactions
+            if (settlementDetails.truncated) {
+                errorParts.push('Transaction list incomplete: stopped at the ' + config.maxPages + ' page limit' +
+                    (settlementDetails.CRDR === constants.CRDR.CREDIT && matchResults.matched.length > 0 ?
+                        '; no bank deposit created, review the matches and create a supplementary deposit' : ''));
+            }
+            if (validation.invalidTransactions.length > 0) {
+                errorParts.push(validation.invalidTransactions.length +
+                                ' transaction(s) failed validation and were quarantined (see Validation Errors)');
+            }
+            if (matchResults.unmatched.length > 0) {
+                const errorDetails = matchResults.unmatched.map(u =>
+                    'Txn ' + u.windcaveTxn.id + ': ' + u.error
+                );
+                errorParts.push('Unmatched transactions:\n' + errorDetails.join('\n'));
+            }
+
+            // Update settlement record with results
+            updateSettlementRecord({
+                settlementInternalId: settlementInternalId,
+                matchedCount: matchResults.matched.length,
+                unmatchedCount: matchResults.unmatched.length,
+                matchedAmount: matchedAmount,
+                bankDepositId: bankDepositId,
+                bankDepositIds: bankDepositIds,
+                debitTransaction: debitTransaction,
+                errorMessage: errorParts.length > 0 ? errorParts.join('\n') : null,
+                quarantinedCount: validation.invalidTransactions.length,
+                validationErrors: serializeValidationErrors(validationEntries)
+            });
+
+            return {
+                settlementInternalId: settlementInternalId,
+                quarantined: false,
+                validationErrors: [],
+                matched: matchResults.matched,
+                unmatched: matchResults.unmatched,
+                cancelled: matchResults.cancelled,
+                quarantinedTransactions: validation.invalidTransactions,
+                matchedAmount: matchedAmount,
+                bankDepositId: bankDepositId,
+                bankDepositIds: bankDepositIds,
+                debitTransaction: debitTransaction
+            };
+        }
+
         /**
          * Gets unmatched transaction details for a settlement
          * @param {number} settlementInternalId - Settlement record internal ID
@@ -837,7 +2901,9 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 filters: [
                     [constants.TXN_DETAIL_FIELDS.PARENT_SETTLEMENT, 'is', settlementInternalId],
                     'AND',
-                    [constants.TXN_DETAIL_FIELDS.MATCHED, 'is', 'F']
+                    [constants.TXN_DETAIL_FIELDS.MATCHED, 'is', 'F'],
+                    'AND',
+                    [constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS, 'isempty', '']
                 ],
                 columns: [
                     constants.TXN_DETAIL_FIELDS.TRANSACTION_ID,
@@ -863,6 +2929,24 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             return results;
         }
 
+        /**
+         * Parses a settlement's Bank Deposits field
+         * Settlements reconciled before deposits were split by subsidiary only have Bank Deposit.
+         * @param {Array|string} value - Bank Deposits field value: an array from a record, or
+         *        comma-separated internal IDs from a search result
+         * @param {string} bankDepositId - Bank Deposit field value
+         * @returns {Array<string>} Bank Deposit internal IDs, empty if there are none
+         */
+        function parseDepositIds(value, bankDepositId) {
+            const depositIds = (Array.isArray(value) ? value : String(value || '').split(','))
+                .map(id => String(id).trim())
+                .filter(Boolean);
+            if (depositIds.length === 0 && bankDepositId) {
+                depositIds.push(String(bankDepositId));
+            }
+            return depositIds;
+        }
+
         /**
          * Gets recent settlements for the dashboard
          * @param {number} limit - Maximum number of records to return
@@ -910,7 +2994,12 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     constants.SETTLEMENT_FIELDS.UNMATCHED_COUNT,
                     constants.SETTLEMENT_FIELDS.MATCHED_AMOUNT,
                     constants.SETTLEMENT_FIELDS.BANK_DEPOSIT,
-                    constants.SETTLEMENT_FIELDS.ERROR_MESSAGE
+                    constants.SETTLEMENT_FIELDS.BANK_DEPOSITS,
+                    constants.SETTLEMENT_FIELDS.DEBIT_TRANSACTION,
+                    constants.SETTLEMENT_FIELDS.DEBIT_RECORD_TYPE,
+                    constants.SETTLEMENT_FIELDS.ERROR_MESSAGE,
+                    constants.SETTLEMENT_FIELDS.QUARANTINED,
+                    constants.SETTLEMENT_FIELDS.QUARANTINED_COUNT
                 ]
             });
 
@@ -931,7 +3020,13 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     matchedAmount: result.getValue(constants.SETTLEMENT_FIELDS.MATCHED_AMOUNT),
                     bankDepositId: result.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSIT),
                     bankDepositText: result.getText(constants.SETTLEMENT_FIELDS.BANK_DEPOSIT),
-                    errorMessage: result.getValue(constants.SETTLEMENT_FIELDS.ERROR_MESSAGE)
+                    bankDepositIds: parseDepositIds(result.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSITS),
+                        result.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSIT)),
+                    debitTransactionId: result.getValue(constants.SETTLEMENT_FIELDS.DEBIT_TRANSACTION),
+                    debitRecordType: result.getValue(constants.SETTLEMENT_FIELDS.DEBIT_RECORD_TYPE),
+                    errorMessage: result.getValue(constants.SETTLEMENT_FIELDS.ERROR_MESSAGE),
+                    quarantined: result.getValue(constants.SETTLEMENT_FIELDS.QUARANTINED),
+                    quarantinedCount: result.getValue(constants.SETTLEMENT_FIELDS.QUARANTINED_COUNT)
                 });
             });
 
@@ -961,8 +3056,22 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     constants.TXN_DETAIL_FIELDS.NS_TRANSACTION,
                     constants.TXN_DETAIL_FIELDS.MATCHED,
                     constants.TXN_DETAIL_FIELDS.MATCH_ERROR,
+                    constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY,
+                    constants.TXN_DETAIL_FIELDS.MATCH_SCORE,
+                    constants.TXN_DETAIL_FIELDS.MATCH_SUGGESTIONS,
+                    constants.TXN_DETAIL_FIELDS.MATCH_GROUP,
+                    search.createColumn({
+                        name: constants.MATCH_GROUP_FIELDS.NS_TRANSACTIONS,
+                        join: constants.TXN_DETAIL_FIELDS.MATCH_GROUP
+                    }),
                     constants.TXN_DETAIL_FIELDS.IN_DEPOSIT,
-                    constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT
+                    constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT,
+                    constants.TXN_DETAIL_FIELDS.CARD_SCHEME,
+                    constants.TXN_DETAIL_FIELDS.MASKED_CARD,
+                    constants.TXN_DETAIL_FIELDS.BILLING_NAME,
+                    constants.TXN_DETAIL_FIELDS.SESSION_ID,
+                    constants.TXN_DETAIL_FIELDS.PARENT_ID,
+                    constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS
                 ]
             });
 
@@ -982,9 +3091,23 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     nsTransactionText: result.getText(constants.TXN_DETAIL_FIELDS.NS_TRANSACTION),
                     matched: result.getValue(constants.TXN_DETAIL_FIELDS.MATCHED),
                     matchError: result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_ERROR),
+                    matchStrategy: result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY),
+                    matchScore: result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_SCORE),
+                    suggestions: fuzzyMatch.parseSuggestions(result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_SUGGESTIONS)),
+                    matchGroupId: result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_GROUP),
+                    groupTransactionIds: String(result.getValue({
+                        name: constants.MATCH_GROUP_FIELDS.NS_TRANSACTIONS,
+                        join: constants.TXN_DETAIL_FIELDS.MATCH_GROUP
+                    }) || '').split(',').filter(Boolean),
                     inDeposit: result.getValue(constants.TXN_DETAIL_FIELDS.IN_DEPOSIT),
                     bankDepositId: result.getValue(constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT),
-                    bankDepositText: result.getText(constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT)
+                    bankDepositText: result.getText(constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT),
+                    cardScheme: result.getValue(constants.TXN_DETAIL_FIELDS.CARD_SCHEME),
+                    maskedCard: result.getValue(constants.TXN_DETAIL_FIELDS.MASKED_CARD),
+                    billingName: result.getValue(constants.TXN_DETAIL_FIELDS.BILLING_NAME),
+                    sessionId: result.getValue(constants.TXN_DETAIL_FIELDS.SESSION_ID),
+                    parentId: result.getValue(constants.TXN_DETAIL_FIELDS.PARENT_ID),
+                    lifecycleStatus: result.getValue(constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS)
                 });
                 return true;
             });
@@ -1019,8 +3142,15 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     unmatchedCount: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.UNMATCHED_COUNT),
                     matchedAmount: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.MATCHED_AMOUNT),
                     bankDepositId: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSIT),
+                    bankDepositIds: parseDepositIds(settlementRecord.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSITS),
+                        settlementRecord.getValue(constants.SETTLEMENT_FIELDS.BANK_DEPOSIT)),
+                    debitTransactionId: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.DEBIT_TRANSACTION),
+                    debitRecordType: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.DEBIT_RECORD_TYPE),
                     errorMessage: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.ERROR_MESSAGE),
-                    processedDate: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.PROCESSED_DATE)
+                    processedDate: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.PROCESSED_DATE),
+                    quarantined: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.QUARANTINED),
+                    quarantinedCount: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.QUARANTINED_COUNT),
+                    validationErrors: settlementRecord.getValue(constants.SETTLEMENT_FIELDS.VALIDATION_ERRORS)
                 };
             } catch (e) {
                 log.error({
@@ -1033,11 +3163,14 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
 
         /**
          * Manually matches a Windcave transaction detail to a NetSuite transaction
+         * Several document numbers separated by commas match the transaction to all of them as
+         * one group (see manualMatchGroup).
          * @param {number} txnDetailId - Transaction detail record internal ID
-         * @param {number} nsTransactionId - NetSuite transaction internal ID
+         * @param {string} nsTransactionId - NetSuite document number (tranid)
+         * @param {Object} [config] - Configuration values, for the surcharge settings
          * @returns {Object} Result with success status and any error message
          */
-        function manualMatchTransaction(txnDetailId, nsTransactionId) {
+        function manualMatchTransaction(txnDetailId, nsTransactionId, config) {
             try {
                 // Load the transaction detail to get the Windcave amount
                 const txnDetail = record.load({
@@ -1045,11 +3178,35 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     id: txnDetailId
                 });
 
-                const windcaveAmount = parseFloat(txnDetail.getValue(constants.TXN_DETAIL_FIELDS.AMOUNT));
+                const windcaveAmount = txnDetail.getValue(constants.TXN_DETAIL_FIELDS.AMOUNT);
+                const windcaveCurrency = txnDetail.getValue(constants.TXN_DETAIL_FIELDS.CURRENCY);
                 const settlementId = txnDetail.getValue(constants.TXN_DETAIL_FIELDS.PARENT_SETTLEMENT);
 
-                // Find and validate the NS transaction
-                const nsTransaction = findNetSuiteTransaction(nsTransactionId);
+                if (/[,;+&]/.test(String(nsTransactionId))) {
+                    return manualMatchGroup({
+                        settlementInternalId: settlementId,
+                        windcaveTransactionIds: txnDetail.getValue(constants.TXN_DETAIL_FIELDS.TRANSACTION_ID),
+                        nsTransactionIds: nsTransactionId
+                    });
+                }
+
+                if (txnDetail.getValue(constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS)) {
+                    return {
+                        success: false,
+                        error: constants.ERRORS.NOT_DEPOSITABLE
+                    };
+                }
+
+                // Find and validate the NS transaction; refunds are matched to Customer or Cash Refunds
+                const isRefund = txnDetail.getValue(constants.TXN_DETAIL_FIELDS.TYPE) === constants.TRANSACTION_TYPES.REFUND;
+                const windcaveTxn = {
+                    id: txnDetail.getValue(constants.TXN_DETAIL_FIELDS.TRANSACTION_ID),
+                    amount: windcaveAmount,
+                    currency: windcaveCurrency
+                };
+                const nsTransaction = isRefund ?
+                    findNetSuiteRefund(['tranid', 'is', String(nsTransactionId).trim()], windcaveTxn, constants.MATCH_STRATEGY_OTHER.MANUAL) :
+                    findNetSuiteTransaction(nsTransactionId);
                 if (!nsTransaction) {
                     return {
                         success: false,
@@ -1057,8 +3214,10 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     };
                 }
 
-                // Validate it can be deposited
-                const validation = validatePaymentForDeposit(nsTransaction, { amount: windcaveAmount });
+                // Validate it can be deposited; a refund outside Undeposited Funds needs a Refund Account at deposit time
+                const validation = isRefund ?
+                    validateRefundForDeposit(nsTransaction, windcaveTxn, true) :
+                    validatePaymentForDeposit(nsTransaction, windcaveTxn, config);
                 if (!validation.isValid) {
                     return {
                         success: false,
@@ -1071,9 +3230,11 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
                     id: txnDetailId,
                     values: {
-                        [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: nsTransactionId,
+                        [constants.TXN_DETAIL_FIELDS.NS_TRANSACTION]: nsTransaction.internalId,
                         [constants.TXN_DETAIL_FIELDS.MATCHED]: true,
-                        [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: ''
+                        [constants.TXN_DETAIL_FIELDS.MATCH_ERROR]: '',
+                        [constants.TXN_DETAIL_FIELDS.MATCH_STRATEGY]: constants.MATCH_STRATEGY_OTHER.MANUAL,
+                        [constants.TXN_DETAIL_FIELDS.SURCHARGE]: validation.surcharge || ''
                     }
                 });
 
@@ -1082,7 +3243,8 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
 
                 log.audit({
                     title: MODULE_NAME + '.manualMatchTransaction',
-                    details: 'Manually matched txn detail ' + txnDetailId + ' to NS txn ' + nsTransactionId
+                    details: 'Manually matched txn detail ' + txnDetailId + ' to NS txn ' + nsTransaction.tranId +
+                             ' (' + nsTransaction.internalId + ')'
                 });
 
                 return { success: true };
@@ -1099,6 +3261,91 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             }
         }
 
+        /**
+         * Manually matches Windcave transactions and NetSuite transactions as one balanced group
+         * Use for one card swipe paying several payments, or a split-tender payment covering
+         * several Windcave transactions.
+         * @param {Object} options - Group options
+         * @param {number} options.settlementInternalId - Settlement record internal ID
+         * @param {string} options.windcaveTransactionIds - Unmatched Windcave transaction IDs in the
+         *        settlement, separated by commas
+         * @param {string} options.nsTransactionIds - NetSuite document numbers, separated by commas
+         * @returns {Object} Result with success status and any error message
+         */
+        function manualMatchGroup(options) {
+            const { settlementInternalId } = options;
+            const splitIds = value => String(value || '').split(/[\s,;+&]+/).filter(Boolean);
+
+            try {
+                const windcaveIds = splitIds(options.windcaveTransactionIds);
+                const documentNumbers = splitIds(options.nsTransactionIds);
+                if (windcaveIds.length === 0 || documentNumbers.length === 0) {
+                    return {
+                        success: false,
+                        error: 'Enter at least one Windcave transaction ID and one NetSuite transaction'
+                    };
+                }
+
+                const settlementTransactions = getAllTransactionsForSettlement(settlementInternalId);
+                const members = [];
+                for (const windcaveId of windcaveIds) {
+                    const txn = settlementTransactions.find(t => t.transactionId === windcaveId);
+                    if (!txn) {
+                        return { success: false, error: 'Windcave transaction not found in settlement: ' + windcaveId };
+                    }
+                    if (txn.matched === true || txn.matched === 'T') {
+                        return { success: false, error: 'Windcave transaction is already matched: ' + windcaveId };
+                    }
+                    if (txn.lifecycleStatus) {
+                        return { success: false, error: constants.ERRORS.NOT_DEPOSITABLE + ': ' + windcaveId };
+                    }
+                    if (!members.some(member => member.txnDetailId === txn.internalId)) {
+                        members.push({
+                            txnDetailId: txn.internalId,
+                            windcaveTxn: { id: txn.transactionId, amount: txn.amount, currency: txn.currency }
+                        });
+                    }
+                }
+
+                const nsTransactions = [];
+                for (const documentNumber of documentNumbers) {
+                    const nsTransaction = findNetSuiteTransaction(documentNumber);
+                    if (!nsTransaction) {
+                        return { success: false, error: 'NetSuite transaction not found: ' + documentNumber };
+                    }
+                    if (!nsTransactions.some(found => String(found.internalId) === String(nsTransaction.internalId))) {
+                        nsTransactions.push(nsTransaction);
+                    }
+                }
+
+                const validation = validateMatchGroup(nsTransactions, members.map(member => member.windcaveTxn));
+                if (!validation.isValid) {
+                    return { success: false, error: validation.error };
+                }
+
+                createMatchGroup({
+                    settlementInternalId: settlementInternalId,
+                    nsTransactions: nsTransactions,
+                    members: members,
+                    matchStrategy: constants.MATCH_STRATEGY_OTHER.MANUAL
+                });
+
+                updateSettlementMatchCounts(settlementInternalId);
+
+                return { success: true };
+
+            } catch (e) {
+                log.error({
+                    title: MODULE_NAME + '.manualMatchGroup',
+                    details: 'Error: ' + e.message
+                });
+                return {
+                    success: false,
+                    error: constants.ERRORS.MATCH_GROUP_INVALID + ': ' + e.message
+                };
+            }
+        }
+
         /**
          * Updates the matched/unmatched counts on a settlement record
          * @param {number} settlementInternalId - Settlement record internal ID
@@ -1112,23 +3359,30 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 ],
                 columns: [
                     constants.TXN_DETAIL_FIELDS.MATCHED,
-                    constants.TXN_DETAIL_FIELDS.AMOUNT
+                    constants.TXN_DETAIL_FIELDS.AMOUNT,
+                    constants.TXN_DETAIL_FIELDS.CURRENCY,
+                    constants.TXN_DETAIL_FIELDS.TYPE,
+                    constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS
                 ]
             });
 
             let matchedCount = 0;
             let unmatchedCount = 0;
-            let matchedAmount = 0;
+            let matchedMinorUnits = 0;
+            let currency = null;
 
             txnSearch.run().each(function(result) {
                 const isMatched = result.getValue(constants.TXN_DETAIL_FIELDS.MATCHED) === true ||
                                   result.getValue(constants.TXN_DETAIL_FIELDS.MATCHED) === 'T';
-                const amount = parseFloat(result.getValue(constants.TXN_DETAIL_FIELDS.AMOUNT)) || 0;
 
                 if (isMatched) {
+                    currency = currency || result.getValue(constants.TXN_DETAIL_FIELDS.CURRENCY);
                     matchedCount++;
-                    matchedAmount += amount;
-                } else {
+                    matchedMinorUnits += fees.netMinorUnits([{
+                        amount: result.getValue(constants.TXN_DETAIL_FIELDS.AMOUNT),
+                        type: result.getValue(constants.TXN_DETAIL_FIELDS.TYPE)
+                    }], currency);
+                } else if (!result.getValue(constants.TXN_DETAIL_FIELDS.LIFECYCLE_STATUS)) {
                     unmatchedCount++;
                 }
                 return true;
@@ -1138,7 +3392,7 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             const updateValues = {
                 [constants.SETTLEMENT_FIELDS.MATCHED_COUNT]: matchedCount,
                 [constants.SETTLEMENT_FIELDS.UNMATCHED_COUNT]: unmatchedCount,
-                [constants.SETTLEMENT_FIELDS.MATCHED_AMOUNT]: matchedAmount
+                [constants.SETTLEMENT_FIELDS.MATCHED_AMOUNT]: money.fromMinorUnits(matchedMinorUnits, currency)
             };
 
             // Update error message based on unmatched count
@@ -1222,7 +3476,8 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
         /**
          * Gets transactions that are matched but not yet in a deposit
          * @param {number} settlementInternalId - Settlement record internal ID
-         * @returns {Array} Array of transaction details ready for deposit
+         * @returns {Array} Array of transaction details ready for deposit, with every payment of their
+         *          match group in nsTransactionIds
          */
         function getMatchedNotDepositedTransactions(settlementInternalId) {
             const txnSearch = search.create({
@@ -1237,18 +3492,39 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                 columns: [
                     constants.TXN_DETAIL_FIELDS.TRANSACTION_ID,
                     constants.TXN_DETAIL_FIELDS.AMOUNT,
-                    constants.TXN_DETAIL_FIELDS.NS_TRANSACTION
+                    constants.TXN_DETAIL_FIELDS.TYPE,
+                    constants.TXN_DETAIL_FIELDS.FEE,
+                    constants.TXN_DETAIL_FIELDS.SURCHARGE,
+                    constants.TXN_DETAIL_FIELDS.NS_TRANSACTION,
+                    constants.TXN_DETAIL_FIELDS.MATCH_GROUP,
+                    search.createColumn({
+                        name: constants.MATCH_GROUP_FIELDS.NS_TRANSACTIONS,
+                        join: constants.TXN_DETAIL_FIELDS.MATCH_GROUP
+                    })
                 ]
             });
 
             const transactions = [];
             txnSearch.run().each(function(result) {
+                const nsTransactionId = result.getValue(constants.TXN_DETAIL_FIELDS.NS_TRANSACTION);
+                const matchGroupId = result.getValue(constants.TXN_DETAIL_FIELDS.MATCH_GROUP);
+                const groupTransactionIds = matchGroupId ? String(result.getValue({
+                    name: constants.MATCH_GROUP_FIELDS.NS_TRANSACTIONS,
+                    join: constants.TXN_DETAIL_FIELDS.MATCH_GROUP
+                }) || '').split(',').filter(Boolean) : [];
+
                 transactions.push({
                     txnDetailId: result.id,
                     transactionId: result.getValue(constants.TXN_DETAIL_FIELDS.TRANSACTION_ID),
                     amount: parseFloat(result.getValue(constants.TXN_DETAIL_FIELDS.AMOUNT)) || 0,
-                    nsTransactionId: result.getValue(constants.TXN_DETAIL_FIELDS.NS_TRANSACTION),
-                    nsTransactionText: result.getText(constants.TXN_DETAIL_FIELDS.NS_TRANSACTION)
+                    nsTransactionId: nsTransactionId,
+                    nsTransactionText: result.getText(constants.TXN_DETAIL_FIELDS.NS_TRANSACTION),
+                    nsTransactionIds: groupTransactionIds.length > 0 ? groupTransactionIds : [nsTransactionId],
+                    matchGroupId: matchGroupId,
+                    type: result.getValue(constants.TXN_DETAIL_FIELDS.TYPE),
+                    fee: result.getValue(constants.TXN_DETAIL_FIELDS.FEE),
+                    surcharge: result.getValue(constants.TXN_DETAIL_FIELDS.SURCHARGE),
+                    isRefund: result.getValue(constants.TXN_DETAIL_FIELDS.TYPE) === constants.TRANSACTION_TYPES.REFUND
                 });
                 return true;
             });
@@ -1257,12 +3533,171 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
         }
 
         /**
-         * Creates a supplementary bank deposit for matched transactions not yet deposited
+         * Creates a supplementary Bank Deposit for one subsidiary's pending transactions
+         * @param {Object} settlement - Settlement from getSettlementById
+         * @param {Array} pendingTransactions - Matched transactions not yet deposited (see getMatchedNotDepositedTransactions)
+         * @param {Object} options - Deposit options
+         * @param {number|null} options.subsidiaryId - Subsidiary of the payments
+         * @param {number} options.bankAccountId - Bank account internal ID
+         * @param {Object} options.config - Configuration values (refundAccount, feeAccount, feeSchedule and surchargeAccount)
+         * @returns {Object|null} Result with depositId, paymentsAdded and refundsAdded, or null if no payments were found
+         */
+        function createSupplementaryGroupDeposit(settlement, pendingTransactions, options) {
+            const { subsidiaryId, bankAccountId, config } = options;
+            const { refundAccount, feeAccount, feeSchedule, surchargeAccount } = config;
+
+            // Create the deposit
+            const depositRecord = record.create({
+                type: record.Type.DEPOSIT,
+                isDynamic: true
+            });
+
+            // Set subsidiary first so payment sublist filters correctly
+            if (subsidiaryId) {
+                depositRecord.setValue({
+                    fieldId: 'subsidiary',
+                    value: subsidiaryId
+                });
+            }
+
+            depositRecord.setValue({
+                fieldId: 'account',
+                value: bankAccountId
+            });
+
+            // Use settlement date
+            depositRecord.setValue({
+                fieldId: 'trandate',
+                value: settlement.settlementDate
+            });
+
+            depositRecord.setValue({
+                fieldId: 'memo',
+                value: 'Windcave Settlement ' + (settlement.referenceNumber || settlement.settlementId) +
+                       ' - Supplementary Deposit'
+            });
+
+            // Find and select matching payments
+            const lineCount = depositRecord.getLineCount({ sublistId: 'payment' });
+
+            log.audit({
+                title: MODULE_NAME + '.createSupplementaryDeposit',
+                details: 'Deposit for subsidiary ' + subsidiaryId + ' has ' + lineCount + ' undeposited payments. Looking for ' +
+                         pendingTransactions.length + ' matched transactions'
+            });
+
+            // Log what we're looking for
+            const pendingIds = pendingTransactions.map(t => t.nsTransactionIds.join('+'));
+            log.audit({
+                title: MODULE_NAME + '.createSupplementaryDeposit',
+                details: 'Pending NS transaction IDs: ' + JSON.stringify(pendingIds)
+            });
+
+            // Log first few payment IDs from the deposit to debug
+            const depositPaymentIds = [];
+            for (let j = 0; j < Math.min(lineCount, 15); j++) {
+                depositPaymentIds.push(depositRecord.getSublistValue({
+                    sublistId: 'payment',
+                    fieldId: 'id',
+                    line: j
+                }));
+            }
+            log.audit({
+                title: MODULE_NAME + '.createSupplementaryDeposit',
+                details: 'Payment IDs in deposit: ' + JSON.stringify(depositPaymentIds)
+            });
+
+            // Match groups are selected whole or not at all
+            const selection = selectDepositPayments(depositRecord,
+                getDepositUnits(pendingTransactions.filter(pending => !pending.isRefund)));
+            const paymentsAdded = selection.paymentsAdded;
+
+            if (paymentsAdded === 0) {
+                return null;
+            }
+
+            const refunds = addDepositRefunds(depositRecord, pendingTransactions.filter(pending => pending.isRefund), refundAccount);
+            const addedTxnDetailIds = selection.txnDetailIds.concat(refunds.txnDetailIds);
+            const deposited = pendingTransactions.filter(pending => addedTxnDetailIds.indexOf(pending.txnDetailId) >= 0);
+            const settlementData = { id: settlement.settlementId, currency: settlement.currency, transactions: [] };
+
+            const surchargeAmount = addDepositSurcharges(depositRecord, {
+                settlementData: settlementData,
+                surcharges: deposited.map(pending => pending.surcharge),
+                surchargeAccountId: surchargeAccount
+            });
+
+            // Only part of the settlement is deposited here, so fees come from the transactions or the schedule
+            const feeAmount = addDepositFees(depositRecord, {
+                settlementData: settlementData,
+                depositedTransactions: deposited
+                    .map(pending => ({ id: pending.transactionId, amount: pending.amount, type: pending.type, fee: pending.fee })),
+                feeAccountId: feeAccount,
+                feeSchedule: feeSchedule
+            });
+
+            const depositId = depositRecord.save();
+
+            // Update transaction detail records
+            for (const txnDetailId of addedTxnDetailIds) {
+                record.submitFields({
+                    type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
+                    id: txnDetailId,
+                    values: {
+                        [constants.TXN_DETAIL_FIELDS.IN_DEPOSIT]: true,
+                        [constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT]: depositId
+                    }
+                });
+            }
+
+            log.audit({
+                title: MODULE_NAME + '.createSupplementaryDeposit',
+                details: 'Created supplementary deposit ' + depositId + ' with ' + paymentsAdded + ' payments, ' +
+                         refunds.refundsAdded + ' refunds, ' + surchargeAmount + ' surcharges and ' + feeAmount +
+                         ' fees for settlement ' + settlement.internalId
+            });
+
+            return {
+                depositId: depositId,
+                paymentsAdded: paymentsAdded,
+                refundsAdded: refunds.refundsAdded
+            };
+        }
+
+        /**
+         * Adds Bank Deposits to a settlement's Bank Deposits list
+         * The first deposit also fills Bank Deposit if the settlement has none yet.
+         * @param {Object} settlement - Settlement from getSettlementById
+         * @param {Array<number>} depositIds - Bank Deposit internal IDs to add
+         */
+        function linkSettlementDeposits(settlement, depositIds) {
+            const values = {
+                [constants.SETTLEMENT_FIELDS.BANK_DEPOSITS]: settlement.bankDepositIds.concat(depositIds)
+            };
+            if (!settlement.bankDepositId) {
+                values[constants.SETTLEMENT_FIELDS.BANK_DEPOSIT] = depositIds[0];
+            }
+
+            record.submitFields({
+                type: constants.RECORD_TYPES.SETTLEMENT,
+                id: settlement.internalId,
+                values: values
+            });
+        }
+
+        /**
+         * Creates supplementary bank deposits for matched transactions not yet deposited
+         * One deposit is created per subsidiary, to its mapped bank account or bankAccountId.
          * @param {number} settlementInternalId - Settlement record internal ID
          * @param {number} bankAccountId - Bank account internal ID
-         * @returns {Object} Result with depositId or error
+         * @param {Object} [config] - Configuration values (refundAccount, feeAccount, feeSchedule, surchargeAccount
+         *        and subsidiaryBankAccounts)
+         * @returns {Object} Result with depositId (the first), depositIds, paymentsAdded and refundsAdded, or error
          */
-        function createSupplementaryDeposit(settlementInternalId, bankAccountId) {
+        function createSupplementaryDeposit(settlementInternalId, bankAccountId, config) {
+            const depositConfig = config || {};
+            const subsidiaryBankAccounts = depositConfig.subsidiaryBankAccounts || {};
+
             try {
                 // Get settlement info for memo
                 const settlement = getSettlementById(settlementInternalId);
@@ -1276,153 +3711,38 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
                     return { success: false, error: 'No matched transactions pending deposit' };
                 }
 
-                // Get subsidiary from first matched payment by loading the record
-                let subsidiaryId = null;
-                if (pendingTransactions.length > 0 && pendingTransactions[0].nsTransactionId) {
-                    try {
-                        const paymentRecord = record.load({
-                            type: record.Type.CUSTOMER_PAYMENT,
-                            id: pendingTransactions[0].nsTransactionId
-                        });
-                        subsidiaryId = paymentRecord.getValue({ fieldId: 'subsidiary' });
-                        const subsidiaryText = paymentRecord.getText({ fieldId: 'subsidiary' });
-                        log.audit({
-                            title: MODULE_NAME + '.createSupplementaryDeposit',
-                            details: 'Using subsidiary from payment ' + pendingTransactions[0].nsTransactionId + ': ' + subsidiaryId + ' (' + subsidiaryText + ')'
-                        });
-                    } catch (e) {
-                        log.audit({
-                            title: MODULE_NAME + '.createSupplementaryDeposit',
-                            details: 'Could not load payment to get subsidiary: ' + e.message
-                        });
-                    }
-                }
-
-                // Create the deposit
-                const depositRecord = record.create({
-                    type: record.Type.DEPOSIT,
-                    isDynamic: true
-                });
-
-                // Set subsidiary first so payment sublist filters correctly
-                if (subsidiaryId) {
-                    depositRecord.setValue({
-                        fieldId: 'subsidiary',
-                        value: subsidiaryId
-                    });
-                }
-
-                depositRecord.setValue({
-                    fieldId: 'account',
-                    value: bankAccountId
-                });
-
-                log.audit({
-                    title: MODULE_NAME + '.createSupplementaryDeposit',
-                    details: 'Set bank account: ' + bankAccountId + ', subsidiary: ' + subsidiaryId
-                });
-
-                // Use settlement date
-                depositRecord.setValue({
-                    fieldId: 'trandate',
-                    value: settlement.settlementDate
-                });
-
-                depositRecord.setValue({
-                    fieldId: 'memo',
-                    value: 'Windcave Settlement ' + (settlement.referenceNumber || settlement.settlementId) +
-                           ' - Supplementary Deposit'
-                });
-
-                // Find and select matching payments
+                const depositIds = [];
                 let paymentsAdded = 0;
-                const addedTxnDetailIds = [];
-                const lineCount = depositRecord.getLineCount({ sublistId: 'payment' });
-
-                log.audit({
-                    title: MODULE_NAME + '.createSupplementaryDeposit',
-                    details: 'Deposit has ' + lineCount + ' undeposited payments. Looking for ' + pendingTransactions.length + ' matched transactions'
-                });
+                let refundsAdded = 0;
 
-                // Log what we're looking for
-                const pendingIds = pendingTransactions.map(t => t.nsTransactionId);
-                log.audit({
-                    title: MODULE_NAME + '.createSupplementaryDeposit',
-                    details: 'Pending NS transaction IDs: ' + JSON.stringify(pendingIds)
-                });
-
-                // Log first few payment IDs from the deposit to debug
-                const depositPaymentIds = [];
-                for (let j = 0; j < Math.min(lineCount, 15); j++) {
-                    depositPaymentIds.push(depositRecord.getSublistValue({
-                        sublistId: 'payment',
-                        fieldId: 'id',
-                        line: j
-                    }));
-                }
-                log.audit({
-                    title: MODULE_NAME + '.createSupplementaryDeposit',
-                    details: 'Payment IDs in deposit: ' + JSON.stringify(depositPaymentIds)
-                });
-
-                for (let i = 0; i < lineCount; i++) {
-                    const paymentId = depositRecord.getSublistValue({
-                        sublistId: 'payment',
-                        fieldId: 'id',
-                        line: i
+                for (const group of groupBySubsidiary(pendingTransactions)) {
+                    const result = createSupplementaryGroupDeposit(settlement, group.entries, {
+                        subsidiaryId: group.subsidiaryId,
+                        bankAccountId: (group.subsidiaryId && subsidiaryBankAccounts[group.subsidiaryId]) || bankAccountId,
+                        config: depositConfig
                     });
-
-                    // Check if this payment is in our pending list (compare as strings)
-                    const pendingTxn = pendingTransactions.find(t => String(t.nsTransactionId) === String(paymentId));
-
-                    if (pendingTxn) {
-                        depositRecord.selectLine({
-                            sublistId: 'payment',
-                            line: i
-                        });
-                        depositRecord.setCurrentSublistValue({
-                            sublistId: 'payment',
-                            fieldId: 'deposit',
-                            value: true
-                        });
-                        depositRecord.commitLine({
-                            sublistId: 'payment'
-                        });
-                        paymentsAdded++;
-                        addedTxnDetailIds.push(pendingTxn.txnDetailId);
+                    if (result) {
+                        depositIds.push(result.depositId);
+                        paymentsAdded += result.paymentsAdded;
+                        refundsAdded += result.refundsAdded;
                     }
                 }
 
-                if (paymentsAdded === 0) {
+                if (depositIds.length === 0) {
                     return {
                         success: false,
                         error: 'No payments found in undeposited funds. Payments may have already been deposited elsewhere.'
                     };
                 }
 
-                const depositId = depositRecord.save();
-
-                // Update transaction detail records
-                for (const txnDetailId of addedTxnDetailIds) {
-                    record.submitFields({
-                        type: constants.RECORD_TYPES.TRANSACTION_DETAIL,
-                        id: txnDetailId,
-                        values: {
-                            [constants.TXN_DETAIL_FIELDS.IN_DEPOSIT]: true,
-                            [constants.TXN_DETAIL_FIELDS.BANK_DEPOSIT]: depositId
-                        }
-                    });
-                }
-
-                log.audit({
-                    title: MODULE_NAME + '.createSupplementaryDeposit',
-                    details: 'Created supplementary deposit ' + depositId + ' with ' + paymentsAdded + ' payments for settlement ' + settlementInternalId
-                });
+                linkSettlementDeposits(settlement, depositIds);
 
                 return {
                     success: true,
-                    depositId: depositId,
-                    paymentsAdded: paymentsAdded
+                    depositId: depositIds[0],
+                    depositIds: depositIds,
+                    paymentsAdded: paymentsAdded,
+                    refundsAdded: refundsAdded
                 };
 
             } catch (e) {
@@ -1512,21 +3832,31 @@ define(['N/record', 'N/search', 'N/log', 'N/format', './windcave_constants'],
             loadConfiguration,
             loadAllConfigurations,
             loadConfigurationById,
+            findNotificationConfiguration,
+            findSettlementConfiguration,
+            recordCredentialStatus,
+            getCircuitState,
+            getCircuitProbeDate,
+            recordConfigFailure,
+            resetCircuitBreaker,
             isSettlementProcessed,
             createSettlementRecord,
             createTransactionDetailRecord,
             findNetSuiteTransaction,
             findNetSuiteTransactionByAuthCode,
+            findNetSuiteTransactionByPayer,
             validatePaymentForDeposit,
             matchTransactions,
             createBankDeposit,
             updateSettlementRecord,
+            reconcileSettlement,
             getUnmatchedTransactions,
             getRecentSettlements,
             getSettlementsByDateRange,
             getAllTransactionsForSettlement,
             getSettlementById,
             manualMatchTransaction,
+            manualMatchGroup,
             updateSettlementMatchCounts,
             getDepositsForSettlement,
             getMatchedNotDepositedTransactions,
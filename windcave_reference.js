@@ -0,0 +1,151 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope Public
+ *
+ * Windcave Settlement Integration - Merchant Reference Module
+ * Parses Windcave merchant references into a NetSuite document number, record type hint
+ * and customer ID using the prefix, suffix and template rules on a configuration.
+ */
+define(['N/log'],
+    function(log) {
+
+        const MODULE_NAME = 'WindcaveReference';
+
+        /**
+         * Record type hints accepted in a template's "type" group, compared without case,
+         * spaces or punctuation, mapped to transaction search types
+         */
+        const RECORD_TYPE_HINTS = {
+            CUSTPYMT: 'CustPymt',
+            CUSTOMERPAYMENT: 'CustPymt',
+            PAYMENT: 'CustPymt',
+            PYMT: 'CustPymt',
+            PMT: 'CustPymt',
+            CASHSALE: 'CashSale',
+            CASHSALES: 'CashSale',
+            CS: 'CashSale',
+            SALE: 'CashSale'
+        };
+
+        /**
+         * Splits a comma-separated rule list
+         * @param {string} value - Field value, e.g. "ORDER-, WEB-"
+         * @returns {Array<string>} Non-empty entries, trimmed
+         */
+        function splitList(value) {
+            return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        }
+
+        /**
+         * Compiles the reference rules of a configuration
+         * Templates are regular expressions, one per line, matched without case. Each must have a
+         * "docnum" named group and may have "type" and "customer" groups. Blank lines and lines
+         * starting with # are ignored; invalid templates are logged and skipped.
+         * @param {Object} [config] - Configuration values (referenceTemplates, referencePrefixes, referenceSuffixes)
+         * @returns {Object} Rules with templates (RegExp array), prefixes and suffixes
+         */
+        function compileRules(config) {
+            const { referenceTemplates, referencePrefixes, referenceSuffixes } = config || {};
+            const templates = [];
+
+            for (const line of String(referenceTemplates || '').split(/\r?\n/)) {
+                const source = line.trim();
+                if (!source || source.charAt(0) === '#') {
+                    continue;
+                }
+
+                if (source.indexOf('(?<docnum>') < 0) {
+                    log.error({
+                        title: MODULE_NAME + '.compileRules',
+                        details: 'Reference template has no docnum group and is ignored: ' + source
+                    });
+                    continue;
+                }
+
+                try {
+                    templates.push(new RegExp(source, 'i'));
+                } catch (e) {
+                    log.error({
+                        title: MODULE_NAME + '.compileRules',
+                        details: 'Invalid reference template ignored: ' + source + ' (' + e.message + ')'
+                    });
+                }
+            }
+
+            return {
+                templates: templates,
+                prefixes: splitList(referencePrefixes),
+                suffixes: splitList(referenceSuffixes)
+            };
+        }
+
+        /**
+         * Maps a record type hint to a transaction search type
+         * @param {string} hint - Hint captured from the reference, e.g. "PYMT" or "Cash Sale"
+         * @returns {string|null} CustPymt, CashSale or null if the hint is not recognised
+         */
+        function getRecordType(hint) {
+            const key = String(hint || '').toUpperCase().replace(/[^A-Z]/g, '');
+            return RECORD_TYPE_HINTS[key] || null;
+        }
+
+        /**
+         * Parses a merchant reference
+         * The first matching prefix and suffix are removed (without case), then the templates are
+         * tried in order. If none matches, the remaining reference is the document number.
+         * @param {string} merchantReference - Merchant reference from Windcave
+         * @param {Object} [rules] - Rules from compileRules
+         * @returns {Object} Parsed reference with documentNumber, recordType, customerId and template
+         *          (documentNumber is empty if the reference is)
+         */
+        function parseReference(merchantReference, rules) {
+            const { templates = [], prefixes = [], suffixes = [] } = rules || {};
+            let value = String(merchantReference || '').trim();
+
+            const prefix = prefixes.find(entry => value.toUpperCase().indexOf(entry.toUpperCase()) === 0);
+            if (prefix) {
+                value = value.substring(prefix.length).trim();
+            }
+
+            const suffix = suffixes.find(entry => value.length > entry.length &&
+                value.toUpperCase().lastIndexOf(entry.toUpperCase()) === value.length - entry.length);
+            if (suffix) {
+                value = value.substring(0, value.length - suffix.length).trim();
+            }
+
+            for (const template of templates) {
+                const match = template.exec(value);
+                if (match && match.groups && match.groups.docnum) {
+                    const hint = match.groups.type;
+                    const recordType = hint ? getRecordType(hint) : null;
+                    if (hint && !recordType) {
+                        log.debug({
+                            title: MODULE_NAME + '.parseReference',
+                            details: 'Unknown record type hint "' + hint + '" in reference ' + merchantReference
+                        });
+                    }
+
+                    return {
+                        documentNumber: match.groups.docnum.trim(),
+                        recordType: recordType,
+                        customerId: (match.groups.customer || '').trim() || null,
+                        template: template.source
+                    };
+                }
+            }
+
+            return {
+                documentNumber: value,
+                recordType: null,
+                customerId: null,
+                template: null
+            };
+        }
+
+        return {
+            compileRules,
+            getRecordType,
+            parseReference
+        };
+    }
+);
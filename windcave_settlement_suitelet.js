@@ -13,13 +13,28 @@ define([
     'N/redirect',
     'N/runtime',
     'N/format',
+    'N/task',
     './windcave_constants',
     './windcave_api_module',
+    './windcave_api_log',
+    './windcave_money',
+    './windcave_file_import',
+    './windcave_lifecycle',
     './windcave_reconciliation_lib'
-], function(serverWidget, log, url, redirect, runtime, format, constants, windcaveApi, reconciliation) {
+], function(serverWidget, log, url, redirect, runtime, format, task, constants, windcaveApi, windcaveApiLog, money,
+            fileImport, lifecycle, reconciliation) {
 
     const SCRIPT_NAME = 'WindcaveSettlementSuitelet';
 
+    /**
+     * Details page status for transactions that are not deposited, by lifecycle status
+     */
+    const LIFECYCLE_LABELS = {
+        AUTHORISED: 'Authorised, not completed',
+        COMPLETED: 'Completed (deposited with its completion)',
+        CANCELLED: 'Cancelled (voided)'
+    };
+
     /**
      * Main entry point for Suitelet
      * @param {Object} context - Request/Response context
@@ -69,6 +84,16 @@ define([
             return;
         }
 
+        if (action === 'apilog') {
+            displayApiLog(context);
+            return;
+        }
+
+        if (action === 'import') {
+            displayImportForm(context);
+            return;
+        }
+
         // Create main form
         const form = serverWidget.createForm({
             title: 'Windcave Settlement Reconciliation'
@@ -132,6 +157,15 @@ define([
             displayType: serverWidget.FieldDisplayType.HIDDEN
         });
 
+        // Hidden configuration ID for circuit breaker resets
+        form.addField({
+            id: 'custpage_circuit_config',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Circuit Configuration'
+        }).updateDisplayType({
+            displayType: serverWidget.FieldDisplayType.HIDDEN
+        });
+
         // Add client script for button handling
         form.clientScriptModulePath = './windcave_settlement_client.js';
 
@@ -162,7 +196,8 @@ define([
                         message: 'Processed ' + results.configurationsProcessed + ' configuration(s). ' +
                                  'Fetched ' + results.settlementsProcessed + ' new settlements. ' +
                                  'Matched: ' + results.totalMatched + ', ' +
-                                 'Unmatched: ' + results.totalUnmatched,
+                                 'Unmatched: ' + results.totalUnmatched +
+                                 (results.warnings.length > 0 ? '. Warning: ' + results.warnings.join('; ') : ''),
                         filter_start: startDate,
                         filter_end: endDate
                     }
@@ -189,14 +224,39 @@ define([
                     filter_end: filterEnd || ''
                 }
             });
+        } else if (action === 'filterapilog') {
+            // Apply API log filter - redirect with filter parameters
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    action: 'apilog',
+                    log_config: request.parameters.custpage_log_config || '',
+                    log_start: request.parameters.custpage_log_start || '',
+                    log_end: request.parameters.custpage_log_end || '',
+                    log_outcome: request.parameters.custpage_log_outcome || ''
+                }
+            });
+        } else if (action === 'importfile') {
+            // Upload a settlement file and queue it for import
+            handleImportUpload(context);
+            return;
         } else if (action === 'manualmatch') {
             // Manual match a transaction
             handleManualMatch(context);
             return;
+        } else if (action === 'groupmatch') {
+            // Manual match several transactions as one group
+            handleGroupMatch(context);
+            return;
         } else if (action === 'createdeposit') {
             // Create supplementary deposit
             handleCreateSupplementaryDeposit(context);
             return;
+        } else if (action === 'resetcircuit') {
+            // Reset a configuration's circuit breaker
+            handleResetCircuit(context);
+            return;
         } else if (action === 'searchtxn') {
             // Search for NS transactions (AJAX-style, returns JSON)
             handleSearchTransactions(context);
@@ -312,7 +372,17 @@ define([
                 configHtml += '<tr>';
                 configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + config.name + '</td>';
                 configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + config.merchantId + '</td>';
-                configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + (config.environment === 'sec' ? 'Production' : 'UAT') + '</td>';
+                let environmentText = config.environment === 'sec' ? 'Production' : 'UAT';
+                if (config.baseUrl) {
+                    environmentText = '<span title="' + escapeHtml(config.baseUrl) + '">Custom URL</span>';
+                }
+                if (config.settlementSource === constants.SETTLEMENT_SOURCES.FILE) {
+                    environmentText = 'File import';
+                }
+                if (config.transportMode && config.transportMode !== constants.TRANSPORT_MODES.LIVE) {
+                    environmentText += ' <span style="color: #856404; font-size: 10px;">[' + config.transportMode + ']</span>';
+                }
+                configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + environmentText + '</td>';
                 configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + (config.bankAccountText || config.bankAccount) + '</td>';
                 configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + config.lookbackDays + ' days</td>';
 
@@ -330,6 +400,9 @@ define([
                         scheduleText = '<span style="color: #28a745;">Daily @ ' + hourFormatted + '</span>';
                     }
 
+                    if (config.timeZone) {
+                        scheduleText += ' <span style="color: #6c757d; font-size: 10px;">' + config.timeZone + '</span>';
+                    }
                     if (config.sendEmail) {
                         scheduleText += ' <span style="color: #6c757d; font-size: 10px;">[Email]</span>';
                     }
@@ -348,7 +421,7 @@ define([
                     lastRunHtml += '<div style="font-size: 11px;">' + lastRunFormatted + '</div>';
 
                     if (config.lastRunStatus) {
-                        const isError = config.lastRunStatus.toLowerCase().indexOf('error') >= 0;
+                        const isError = config.lastRunStatus.toLowerCase().indexOf('error') >= 0 || !!config.circuitOpenedAt;
                         const statusColor = isError ? '#dc3545' : '#28a745';
                         // Truncate long status messages
                         const statusDisplay = config.lastRunStatus.length > 50 ?
@@ -359,6 +432,23 @@ define([
                 } else {
                     lastRunHtml = '<span style="color: #6c757d;">Never</span>';
                 }
+
+                // Primary key rejected - the configuration is running on its secondary key
+                if (config.primaryFailedAt) {
+                    lastRunHtml += '<div style="font-size: 10px; color: #856404; font-weight: bold;">&#9888; Primary API key failed ' +
+                        format.format({ value: new Date(config.primaryFailedAt), type: format.Type.DATETIMETZ }) +
+                        (config.activeCredential === constants.CREDENTIALS.SECONDARY ? ', using secondary key' : '') + '</div>';
+                }
+
+                // Suspended configurations can be reset here instead of waiting for the cool-down probe
+                if (config.circuitOpenedAt) {
+                    lastRunHtml += '<div style="font-size: 10px; color: #dc3545; font-weight: bold;">Suspended after ' +
+                        config.consecutiveFailures + ' failures ' +
+                        '<button type="button" class="windcave-btn" style="font-size: 10px; padding: 1px 6px;" ' +
+                        'onclick="if (confirm(\'Resume scheduled processing for this configuration?\')) { ' +
+                        'var f = document.forms[0]; f.custpage_action.value = \'resetcircuit\'; ' +
+                        'f.custpage_circuit_config.value = \'' + config.internalId + '\'; f.submit(); }">Reset</button></div>';
+                }
                 configHtml += '<td style="padding: 8px; border: 1px solid #dee2e6;">' + lastRunHtml + '</td>';
 
                 configHtml += '</tr>';
@@ -366,6 +456,23 @@ define([
 
             configHtml += '</tbody></table>';
 
+            const apiLogUrl = url.resolveScript({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                params: {
+                    action: 'apilog'
+                }
+            });
+            const importUrl = url.resolveScript({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                params: {
+                    action: 'import'
+                }
+            });
+            configHtml += '<p style="margin: 8px 0 0 0; font-size: 11px;"><a href="' + apiLogUrl + '">View API call log</a>' +
+                          ' | <a href="' + importUrl + '">Import settlement file</a></p>';
+
         } catch (e) {
             configHtml += '<p style="color: #dc3545;">&#10008; Configuration Error: ' + e.message + '</p>';
             configHtml += '<p>Please create a Windcave Configuration record.</p>';
@@ -510,19 +617,18 @@ define([
 
         const settlements = reconciliation.getSettlementsByDateRange(filterStart, filterEnd, 1000);
 
-        // Calculate totals
-        let totalCredits = 0;
-        let totalDebits = 0;
+        // Calculate totals (amounts per currency, in minor units)
+        const totalCredits = {};
+        const totalDebits = {};
         let totalMatched = 0;
         let totalUnmatched = 0;
         let settlementCount = settlements.length;
 
         for (const s of settlements) {
-            const amount = parseFloat(s.amount) || 0;
             if (s.crdr === 'CR') {
-                totalCredits += amount;
+                money.addToTotals(totalCredits, s.currency, s.amount);
             } else if (s.crdr === 'DR') {
-                totalDebits += amount;
+                money.addToTotals(totalDebits, s.currency, s.amount);
             }
             totalMatched += parseInt(s.matchedCount) || 0;
             totalUnmatched += parseInt(s.unmatchedCount) || 0;
@@ -538,12 +644,12 @@ define([
         summaryHtml += '</div>';
 
         summaryHtml += '<div class="windcave-stat-box credit">';
-        summaryHtml += '<div class="windcave-stat-value">$' + totalCredits.toFixed(2) + '</div>';
+        summaryHtml += '<div class="windcave-stat-value">' + escapeHtml(money.formatTotals(totalCredits)) + '</div>';
         summaryHtml += '<div class="windcave-stat-label">Total Credits</div>';
         summaryHtml += '</div>';
 
         summaryHtml += '<div class="windcave-stat-box debit">';
-        summaryHtml += '<div class="windcave-stat-value">$' + totalDebits.toFixed(2) + '</div>';
+        summaryHtml += '<div class="windcave-stat-value">' + escapeHtml(money.formatTotals(totalDebits)) + '</div>';
         summaryHtml += '<div class="windcave-stat-label">Total Debits</div>';
         summaryHtml += '</div>';
 
@@ -701,10 +807,16 @@ define([
                 value: settlement.currency || ''
             });
 
+            let statusText = settlement.status || '';
+            if (settlement.quarantined) {
+                statusText = '<span style="color: #dc3545;">Quarantined</span>';
+            } else if (parseInt(settlement.quarantinedCount) > 0) {
+                statusText += ' <span style="color: #856404; font-size: 10px;">[' + settlement.quarantinedCount + ' quarantined]</span>';
+            }
             sublist.setSublistValue({
                 id: 'custpage_col_status',
                 line: i,
-                value: settlement.status || ''
+                value: statusText
             });
 
             // Matched/Total with color coding
@@ -733,7 +845,19 @@ define([
                     id: 'custpage_col_deposit',
                     line: i,
                     value: '<a href="' + depositUrl + '" target="_blank">' +
-                           (settlement.bankDepositText || 'Deposit #' + settlement.bankDepositId) + '</a>'
+                           (settlement.bankDepositText || 'Deposit #' + settlement.bankDepositId) + '</a>' +
+                           (settlement.bankDepositIds.length > 1 ? ' +' + (settlement.bankDepositIds.length - 1) + ' more' : '')
+                });
+            } else if (settlement.debitTransactionId && settlement.debitRecordType) {
+                // Debit settlements link the journal, check or transfer that recorded them
+                const debitUrl = url.resolveRecord({
+                    recordType: settlement.debitRecordType,
+                    recordId: settlement.debitTransactionId
+                });
+                sublist.setSublistValue({
+                    id: 'custpage_col_deposit',
+                    line: i,
+                    value: '<a href="' + debitUrl + '" target="_blank">Debit #' + settlement.debitTransactionId + '</a>'
                 });
             } else {
                 sublist.setSublistValue({
@@ -760,6 +884,230 @@ define([
         }
     }
 
+    /**
+     * Displays the API call log with filters by configuration, date and outcome
+     * @param {Object} context - Request/Response context
+     */
+    function displayApiLog(context) {
+        const request = context.request;
+        const response = context.response;
+        const filterConfig = request.parameters.log_config || '';
+        const filterStart = request.parameters.log_start || '';
+        const filterEnd = request.parameters.log_end || '';
+        const filterOutcome = request.parameters.log_outcome || '';
+
+        const form = serverWidget.createForm({
+            title: 'Windcave API Call Log'
+        });
+
+        addStyling(form);
+
+        form.addButton({
+            id: 'custpage_back',
+            label: 'Back to Dashboard',
+            functionName: 'goBack'
+        });
+
+        const filterGroup = form.addFieldGroup({
+            id: 'custpage_log_filter_group',
+            label: 'Filter API Calls'
+        });
+        filterGroup.isSingleColumn = false;
+
+        const configField = form.addField({
+            id: 'custpage_log_config',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Configuration',
+            container: 'custpage_log_filter_group'
+        });
+        configField.addSelectOption({
+            value: '',
+            text: '-- All Configurations --',
+            isSelected: !filterConfig
+        });
+        for (const config of reconciliation.loadAllConfigurations()) {
+            configField.addSelectOption({
+                value: String(config.internalId),
+                text: config.name + ' (' + config.merchantId + ')',
+                isSelected: String(config.internalId) === filterConfig
+            });
+        }
+
+        const startField = form.addField({
+            id: 'custpage_log_start',
+            type: serverWidget.FieldType.DATE,
+            label: 'Called From',
+            container: 'custpage_log_filter_group'
+        });
+        if (filterStart) {
+            startField.defaultValue = filterStart;
+        }
+
+        const endField = form.addField({
+            id: 'custpage_log_end',
+            type: serverWidget.FieldType.DATE,
+            label: 'Called To',
+            container: 'custpage_log_filter_group'
+        });
+        if (filterEnd) {
+            endField.defaultValue = filterEnd;
+        }
+
+        const outcomeField = form.addField({
+            id: 'custpage_log_outcome',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Outcome',
+            container: 'custpage_log_filter_group'
+        });
+        outcomeField.addSelectOption({ value: '', text: 'All', isSelected: !filterOutcome });
+        outcomeField.addSelectOption({ value: 'success', text: 'Successful (2xx)', isSelected: filterOutcome === 'success' });
+        outcomeField.addSelectOption({ value: 'error', text: 'Failed or no response', isSelected: filterOutcome === 'error' });
+
+        const actionField = form.addField({
+            id: 'custpage_action',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Action'
+        });
+        actionField.defaultValue = 'filterapilog';
+        actionField.updateDisplayType({
+            displayType: serverWidget.FieldDisplayType.HIDDEN
+        });
+
+        form.addSubmitButton({
+            label: 'Apply Filter'
+        });
+
+        const entries = windcaveApiLog.getApiLogEntries({
+            configId: filterConfig,
+            startDate: filterStart,
+            endDate: filterEnd,
+            outcome: filterOutcome
+        });
+
+        const sublist = form.addSublist({
+            id: 'custpage_api_log',
+            type: serverWidget.SublistType.LIST,
+            label: 'API Calls (' + entries.length + ')'
+        });
+
+        const columns = [
+            { id: 'custpage_log_col_time', label: 'Called At', value: entry => entry.requestedAt },
+            { id: 'custpage_log_col_config', label: 'Configuration', value: entry => entry.configName },
+            { id: 'custpage_log_col_endpoint', label: 'Endpoint', value: entry => escapeHtml(entry.endpoint || '') },
+            { id: 'custpage_log_col_params', label: 'Query Parameters', value: entry => escapeHtml(entry.queryParams || '') },
+            { id: 'custpage_log_col_status', label: 'Status', value: entry => entry.statusCode },
+            { id: 'custpage_log_col_latency', label: 'Latency (ms)', value: entry => entry.latencyMs },
+            { id: 'custpage_log_col_attempt', label: 'Attempt', value: entry => entry.attempt },
+            { id: 'custpage_log_col_size', label: 'Response Size', value: entry => entry.responseSize },
+            { id: 'custpage_log_col_hash', label: 'Body SHA-256', value: entry => entry.bodyHash },
+            { id: 'custpage_log_col_mode', label: 'Mode', value: entry => entry.transportMode },
+            { id: 'custpage_log_col_error', label: 'Error', value: entry => escapeHtml(entry.error || '') }
+        ];
+
+        for (const column of columns) {
+            sublist.addField({
+                id: column.id,
+                type: serverWidget.FieldType.TEXT,
+                label: column.label
+            });
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            for (const column of columns) {
+                const value = column.value(entries[i]);
+                sublist.setSublistValue({
+                    id: column.id,
+                    line: i,
+                    value: value !== '' && value !== null && value !== undefined ? String(value) : '-'
+                });
+            }
+        }
+
+        form.clientScriptModulePath = './windcave_settlement_client.js';
+
+        response.writePage(form);
+    }
+
+    /**
+     * Displays the settlement file upload form
+     * @param {Object} context - Request/Response context
+     */
+    function displayImportForm(context) {
+        const response = context.response;
+
+        const form = serverWidget.createForm({
+            title: 'Import Windcave Settlement File'
+        });
+
+        addStyling(form);
+
+        form.addButton({
+            id: 'custpage_back',
+            label: 'Back to Dashboard',
+            functionName: 'goBack'
+        });
+
+        const importGroup = form.addFieldGroup({
+            id: 'custpage_import_group',
+            label: 'Settlement Report'
+        });
+        importGroup.isSingleColumn = true;
+
+        const configField = form.addField({
+            id: 'custpage_import_config',
+            type: serverWidget.FieldType.SELECT,
+            label: 'Configuration',
+            container: 'custpage_import_group'
+        });
+        configField.isMandatory = true;
+        for (const config of reconciliation.loadAllConfigurations()) {
+            if (!config.importFolder) {
+                continue;
+            }
+            configField.addSelectOption({
+                value: String(config.internalId),
+                text: config.name + ' (' + config.merchantId + ')'
+            });
+        }
+
+        const fileField = form.addField({
+            id: 'custpage_import_file',
+            type: serverWidget.FieldType.FILE,
+            label: 'Settlement File (CSV)',
+            container: 'custpage_import_group'
+        });
+        fileField.isMandatory = true;
+
+        form.addField({
+            id: 'custpage_import_help',
+            type: serverWidget.FieldType.INLINEHTML,
+            label: 'Help',
+            container: 'custpage_import_group'
+        }).defaultValue = '<div style="color: #666; font-size: 11px; margin-top: 5px;">' +
+            'Upload a Windcave settlement report exported as CSV (save Excel reports as CSV first). ' +
+            'The file is saved to the configuration\'s import folder and imported in the background; ' +
+            'results are emailed if the configuration sends emails. Only configurations with an ' +
+            'Import Folder ID are listed.</div>';
+
+        const actionField = form.addField({
+            id: 'custpage_action',
+            type: serverWidget.FieldType.TEXT,
+            label: 'Action'
+        });
+        actionField.defaultValue = 'importfile';
+        actionField.updateDisplayType({
+            displayType: serverWidget.FieldDisplayType.HIDDEN
+        });
+
+        form.addSubmitButton({
+            label: 'Upload and Import'
+        });
+
+        form.clientScriptModulePath = './windcave_settlement_client.js';
+
+        response.writePage(form);
+    }
+
     /**
      * Displays settlement details page with all transactions
      * @param {Object} context - Request/Response context
@@ -819,19 +1167,22 @@ define([
         headerHtml += '<h3 style="margin-top: 0;">Settlement Information</h3>';
         headerHtml += '<table style="width: 100%;">';
         headerHtml += '<tr><td style="width: 200px;"><strong>Settlement ID:</strong></td><td>' + settlement.settlementId + '</td></tr>';
-        headerHtml += '<tr><td><strong>Settlement Date:</strong></td><td>' + format.format({ value: settlement.settlementDate, type: format.Type.DATE }) + '</td></tr>';
+        headerHtml += '<tr><td><strong>Settlement Date:</strong></td><td>' + (settlement.settlementDate ? format.format({ value: settlement.settlementDate, type: format.Type.DATE }) : '-') + '</td></tr>';
         headerHtml += '<tr><td><strong>Reference Number:</strong></td><td>' + (settlement.referenceNumber || '-') + '</td></tr>';
-        headerHtml += '<tr><td><strong>Amount:</strong></td><td>' + (settlement.crdr === 'CR' ? '+' : '-') + ' $' + parseFloat(settlement.amount).toFixed(2) + ' ' + settlement.currency + '</td></tr>';
+        headerHtml += '<tr><td><strong>Amount:</strong></td><td>' + (settlement.amount !== '' && settlement.amount !== null ?
+            (settlement.crdr === 'CR' ? '+' : '-') + ' ' + formatMoney(settlement.amount, settlement.currency) : '-') + '</td></tr>';
         headerHtml += '<tr><td><strong>Type:</strong></td><td>' + (settlement.crdr === 'CR' ? 'Credit' : 'Debit') + '</td></tr>';
         headerHtml += '<tr><td><strong>Status:</strong></td><td>' + settlement.status + '</td></tr>';
-        headerHtml += '<tr><td><strong>Matched Amount:</strong></td><td>$' + parseFloat(settlement.matchedAmount || 0).toFixed(2) + '</td></tr>';
+        headerHtml += '<tr><td><strong>Matched Amount:</strong></td><td>' + formatMoney(settlement.matchedAmount, settlement.currency) + '</td></tr>';
         headerHtml += '<tr><td><strong>Transactions:</strong></td><td>' + (settlement.matchedCount || 0) + ' matched, ' + (settlement.unmatchedCount || 0) + ' unmatched</td></tr>';
 
         if (settlement.errorMessage) {
             headerHtml += '<tr><td><strong>Notes:</strong></td><td style="color: #856404;">' + settlement.errorMessage + '</td></tr>';
         }
 
-        headerHtml += '</table></div>';
+        headerHtml += '</table>';
+        headerHtml += buildValidationErrorsHtml(settlement.validationErrors);
+        headerHtml += '</div>';
 
         const headerField = form.addField({
             id: 'custpage_header',
@@ -866,7 +1217,7 @@ define([
                     });
                     depositsHtml += '<tr>';
                     depositsHtml += '<td>' + dep.depositText + '</td>';
-                    depositsHtml += '<td>$' + dep.amount.toFixed(2) + '</td>';
+                    depositsHtml += '<td>' + formatMoney(dep.amount, settlement.currency) + '</td>';
                     depositsHtml += '<td>' + dep.transactionCount + ' transaction(s)</td>';
                     depositsHtml += '<td><a href="' + depositUrl + '" target="_blank">View in NetSuite</a></td>';
                     depositsHtml += '</tr>';
@@ -886,13 +1237,11 @@ define([
                     }
                 });
 
-                let pendingAmount = 0;
-                for (const t of pendingDepositTxns) {
-                    pendingAmount += t.amount;
-                }
+                const pendingAmount = money.sum(pendingDepositTxns.map(t => t.amount), settlement.currency);
 
                 depositsHtml += '<div style="background-color: #fff3cd; border: 1px solid #ffc107; padding: 12px; border-radius: 4px;">';
-                depositsHtml += '<strong>' + pendingDepositTxns.length + ' matched transaction(s)</strong> totaling <strong>$' + pendingAmount.toFixed(2) + '</strong> are ready for deposit.';
+                depositsHtml += '<strong>' + pendingDepositTxns.length + ' matched transaction(s)</strong> totaling <strong>' +
+                    formatMoney(money.fromMinorUnits(pendingAmount, settlement.currency), settlement.currency) + '</strong> are ready for deposit.';
                 depositsHtml += '<br><br>';
                 depositsHtml += '<form method="POST" action="' + createDepositUrl + '" style="display: inline;">';
                 depositsHtml += '<input type="hidden" name="custpage_action" value="createdeposit">';
@@ -934,6 +1283,7 @@ define([
             txnHtml += '<th>Type</th>';
             txnHtml += '<th>Amount</th>';
             txnHtml += '<th>Method</th>';
+            txnHtml += '<th>Card / Payer</th>';
             txnHtml += '<th>Auth Code</th>';
             txnHtml += '<th>Merchant Ref</th>';
             txnHtml += '<th>NS Transaction</th>';
@@ -949,20 +1299,36 @@ define([
                     rowClass = 'windcave-txn-deposited';
                 } else if (isMatched) {
                     rowClass = 'windcave-txn-matched';
+                } else if (txn.lifecycleStatus) {
+                    rowClass = 'windcave-txn-lifecycle';
                 } else {
                     rowClass = 'windcave-txn-unmatched';
                 }
 
                 txnHtml += '<tr class="' + rowClass + '">';
-                txnHtml += '<td>' + txn.transactionId + '</td>';
+                txnHtml += '<td>' + txn.transactionId +
+                    (txn.parentId ? '<br><small style="color: #666;">of ' + escapeHtml(txn.parentId) + '</small>' : '') + '</td>';
                 txnHtml += '<td>' + txn.type + '</td>';
-                txnHtml += '<td>$' + parseFloat(txn.amount).toFixed(2) + ' ' + txn.currency + '</td>';
+                txnHtml += '<td>' + formatMoney(txn.amount, txn.currency || settlement.currency) + '</td>';
                 txnHtml += '<td>' + (txn.method || '-') + '</td>';
+
+                // Card and payer details from the transaction query (unmatched transactions only)
+                const cardText = [txn.cardScheme, txn.maskedCard].filter(Boolean).join(' ');
+                const payerParts = [];
+                if (cardText) payerParts.push(escapeHtml(cardText));
+                if (txn.billingName) payerParts.push(escapeHtml(txn.billingName));
+                if (txn.sessionId) payerParts.push('<span style="color: #6c757d; font-size: 10px;">Session ' + escapeHtml(txn.sessionId) + '</span>');
+                txnHtml += '<td>' + (payerParts.length > 0 ? payerParts.join('<br>') : '-') + '</td>';
                 txnHtml += '<td>' + (txn.authCode || '-') + '</td>';
                 txnHtml += '<td>' + (txn.merchantReference || '-') + '</td>';
 
                 // NS Transaction link or manual match dropdown
-                if (txn.nsTransactionId) {
+                if (txn.matchGroupId && txn.groupTransactionIds.length > 0) {
+                    // Match group: link every payment in the group
+                    txnHtml += '<td>' + txn.groupTransactionIds.map(function(id) {
+                        return '<a href="/app/accounting/transactions/transaction.nl?id=' + encodeURIComponent(id) + '" target="_blank">' + escapeHtml(id) + '</a>';
+                    }).join(', ') + '<br><small style="color: #666;">Group #' + escapeHtml(txn.matchGroupId) + '</small></td>';
+                } else if (txn.nsTransactionId) {
                     // Use direct URL format since resolveRecord doesn't work with generic 'transaction' type
                     const nsUrl = '/app/accounting/transactions/transaction.nl?id=' + txn.nsTransactionId;
                     txnHtml += '<td><a href="' + nsUrl + '" target="_blank">' + (txn.nsTransactionText || txn.nsTransactionId) + '</a></td>';
@@ -972,28 +1338,42 @@ define([
 
                 // Status
                 if (isMatched) {
+                    const matchedBy = txn.matchStrategy ?
+                        '<br><small style="color: #666;">by ' + escapeHtml(txn.matchStrategy) + '</small>' : '';
                     if (inDeposit) {
-                        txnHtml += '<td style="color: #28a745;">&#10004; Deposited</td>';
+                        txnHtml += '<td style="color: #28a745;">&#10004; Deposited' + matchedBy + '</td>';
                     } else {
-                        txnHtml += '<td style="color: #17a2b8;">&#10004; Matched (pending deposit)</td>';
+                        txnHtml += '<td style="color: #17a2b8;">&#10004; Matched (pending deposit)' + matchedBy + '</td>';
                     }
+                } else if (txn.lifecycleStatus) {
+                    txnHtml += '<td style="color: #6c757d;">' + escapeHtml(LIFECYCLE_LABELS[txn.lifecycleStatus] || txn.lifecycleStatus) + '</td>';
                 } else {
                     txnHtml += '<td style="color: #dc3545;">&#10008; ' + (txn.matchError || 'Unmatched') + '</td>';
                 }
 
                 // Action column
-                if (!isMatched) {
+                if (!isMatched && !txn.lifecycleStatus) {
                     // Show manual match form for unmatched transactions
                     txnHtml += '<td>';
                     txnHtml += '<form method="POST" action="' + suiteletUrl + '" class="manual-match-form">';
                     txnHtml += '<input type="hidden" name="custpage_action" value="manualmatch">';
                     txnHtml += '<input type="hidden" name="txnDetailId" value="' + txn.internalId + '">';
                     txnHtml += '<input type="hidden" name="settlementId" value="' + settlementId + '">';
+                    const suggestions = txn.suggestions || [];
+                    const suggestedTranId = suggestions.length > 0 ? escapeHtml(suggestions[0].tranId || '') : '';
                     txnHtml += '<div class="match-input-group">';
-                    txnHtml += '<input type="text" name="nsTransactionId" placeholder="NS Transaction ID" class="match-input" required>';
+                    txnHtml += '<input type="text" name="nsTransactionId" placeholder="NS Document Number" class="match-input" value="' + suggestedTranId + '" required>';
                     txnHtml += '<button type="submit" class="windcave-btn windcave-btn-sm">Match</button>';
                     txnHtml += '</div>';
-                    txnHtml += '<div class="match-help">Enter payment/cash sale internal ID</div>';
+                    txnHtml += '<div class="match-help">Enter the payment, cash sale or refund document number (several, comma separated, to match as a group)</div>';
+                    if (suggestions.length > 0) {
+                        // Fuzzy match candidates below the configured confidence
+                        txnHtml += '<div class="match-help">Suggested: ' + suggestions.map(function(suggestion) {
+                            return '<a href="/app/accounting/transactions/transaction.nl?id=' + encodeURIComponent(suggestion.internalId) +
+                                '" target="_blank" title="' + escapeHtml((suggestion.reasons || []).join(', ')) + '">' +
+                                escapeHtml(suggestion.tranId || suggestion.internalId) + '</a> (' + suggestion.score + '%)';
+                        }).join(', ') + '</div>';
+                    }
                     txnHtml += '</form>';
                     txnHtml += '</td>';
                 } else {
@@ -1004,6 +1384,53 @@ define([
             }
 
             txnHtml += '</tbody></table>';
+
+            // Group match form for one-to-many and many-to-one matches
+            const hasUnmatched = transactions.some(function(txn) {
+                return !(txn.matched === true || txn.matched === 'T') && !txn.lifecycleStatus;
+            });
+            if (hasUnmatched) {
+                txnHtml += '<form method="POST" action="' + suiteletUrl + '" class="manual-match-form" style="margin-top: 15px;">';
+                txnHtml += '<input type="hidden" name="custpage_action" value="groupmatch">';
+                txnHtml += '<input type="hidden" name="settlementId" value="' + settlementId + '">';
+                txnHtml += '<strong>Match as a group</strong>';
+                txnHtml += '<div class="match-input-group">';
+                txnHtml += '<input type="text" name="windcaveTransactionIds" placeholder="Windcave transaction IDs" class="match-input" required>';
+                txnHtml += '<input type="text" name="nsTransactionIds" placeholder="NS transaction IDs" class="match-input" required>';
+                txnHtml += '<button type="submit" class="windcave-btn windcave-btn-sm">Match Group</button>';
+                txnHtml += '</div>';
+                txnHtml += '<div class="match-help">Separate IDs with commas. The Windcave and NetSuite totals must balance, e.g. one card payment for two invoices or a split-tender payment</div>';
+                txnHtml += '</form>';
+            }
+
+            // Pre-auths with their completions, and voids with what they voided
+            const chains = lifecycle.buildChains(transactions.map(function(txn) {
+                return { id: txn.transactionId, parentId: txn.parentId, detail: txn };
+            }));
+            if (chains.length > 0) {
+                txnHtml += '<h3>Lifecycle Chains (' + chains.length + ')</h3>';
+                txnHtml += '<ul class="windcave-chain-list">';
+                for (const chain of chains) {
+                    const steps = chain.transactions.map(function(item) {
+                        const detail = item.detail;
+                        let status = 'Unmatched';
+                        if (detail.inDeposit === true || detail.inDeposit === 'T') {
+                            status = 'Deposited';
+                        } else if (detail.matched === true || detail.matched === 'T') {
+                            status = 'Matched';
+                        } else if (detail.lifecycleStatus) {
+                            status = LIFECYCLE_LABELS[detail.lifecycleStatus] || detail.lifecycleStatus;
+                        }
+                        return '<strong>' + escapeHtml(detail.type) + '</strong> ' + escapeHtml(detail.transactionId) + ' ' +
+                            formatMoney(detail.amount, detail.currency || settlement.currency) + ' <small style="color: #666;">(' + escapeHtml(status) + ')</small>';
+                    });
+                    if (String(chain.transactions[0].id) !== chain.rootId) {
+                        steps.unshift(escapeHtml(chain.rootId) + ' <small style="color: #666;">(not in this settlement)</small>');
+                    }
+                    txnHtml += '<li>' + steps.join(' &rarr; ') + '</li>';
+                }
+                txnHtml += '</ul>';
+            }
         }
 
         txnHtml += '</div>';
@@ -1037,6 +1464,8 @@ define([
                 .windcave-txn-deposited { background-color: #d4edda !important; }
                 .windcave-txn-matched { background-color: #d1ecf1 !important; }
                 .windcave-txn-unmatched { background-color: #f8d7da !important; }
+                .windcave-txn-lifecycle { background-color: #e2e3e5 !important; }
+                .windcave-chain-list { margin: 0; padding-left: 20px; line-height: 1.8; }
                 .windcave-btn {
                     display: inline-block;
                     padding: 6px 12px;
@@ -1099,7 +1528,8 @@ define([
             settlementsProcessed: 0,
             totalMatched: 0,
             totalUnmatched: 0,
-            configurationsProcessed: 0
+            configurationsProcessed: 0,
+            warnings: []
         };
 
         // Format dates for API
@@ -1133,20 +1563,45 @@ define([
                 details: 'Processing configuration: ' + config.name + ' (' + config.merchantId + ')'
             });
 
+            // File source configurations have no API credentials; their settlements are imported
+            if (config.settlementSource === constants.SETTLEMENT_SOURCES.FILE) {
+                if (configId && configId !== 'all') {
+                    results.warnings.push(config.name + ' imports settlement files; use Import settlement file instead');
+                }
+                continue;
+            }
+
+            // Suspended configurations are only fetched again once reset or probed by the scheduled script
+            if (reconciliation.getCircuitState(config) === constants.CIRCUIT_STATES.OPEN) {
+                results.warnings.push(config.name + ' is suspended after repeated failures; click Reset on the dashboard to fetch it now');
+                continue;
+            }
+
+            let connection = null;
+
             try {
+                connection = windcaveApi.getConnectionOptions(config);
+
                 // Fetch settlements from Windcave for this configuration
-                const settlementsResponse = windcaveApi.getSettlements({
-                    username: config.apiUsername,
-                    password: config.apiPassword,
-                    environment: config.environment,
+                const settlementsResponse = windcaveApi.getSettlements(Object.assign({}, connection, {
                     merchantId: config.merchantId,
                     customerId: config.customerId,
                     startDate: formattedStart,
                     endDate: formattedEnd
-                });
+                }));
 
                 const settlements = settlementsResponse.settlements || [];
 
+                if (settlementsResponse.truncated) {
+                    const truncatedMsg = 'Settlement search for ' + config.name + ' stopped at the ' + config.maxPages +
+                                         ' page limit; narrow the date range to fetch the remainder';
+                    log.error({
+                        title: SCRIPT_NAME + '.performManualFetch',
+                        details: truncatedMsg
+                    });
+                    results.warnings.push(truncatedMsg);
+                }
+
                 // Process each settlement
                 for (const settlement of settlements) {
                     // Skip if not Done or already processed
@@ -1154,54 +1609,31 @@ define([
                     if (reconciliation.isSettlementProcessed(settlement.id)) continue;
 
                     // Fetch details
-                    const settlementDetails = windcaveApi.getSettlementDetails({
-                        username: config.apiUsername,
-                        password: config.apiPassword,
-                        environment: config.environment,
+                    const settlementDetails = windcaveApi.getSettlementDetails(Object.assign({}, connection, {
                         settlementId: settlement.id
+                    }));
+
+                    // Validate, record, match and deposit the settlement
+                    const reconcileResult = reconciliation.reconcileSettlement({
+                        settlementDetails: settlementDetails,
+                        settlementId: settlement.id,
+                        config: config,
+                        connection: connection
                     });
 
-                    // Create settlement record
-                    const settlementInternalId = reconciliation.createSettlementRecord(settlementDetails);
-
-                    // Match transactions
-                    const transactions = settlementDetails.transactions || [];
-                    const matchResults = reconciliation.matchTransactions(transactions, settlementInternalId);
-
-                    // Calculate matched amount
-                    let matchedAmount = 0;
-                    for (const match of matchResults.matched) {
-                        matchedAmount += parseFloat(match.windcaveTxn.amount);
+                    if (reconcileResult.quarantined) {
+                        results.warnings.push('Settlement ' + settlement.id + ' failed validation and was quarantined');
+                        continue;
                     }
-
-                    // Create bank deposit
-                    let bankDepositId = null;
-                    if (settlement.CRDR === constants.CRDR.CREDIT && matchResults.matched.length > 0) {
-                        bankDepositId = reconciliation.createBankDeposit({
-                            settlementData: settlementDetails,
-                            matchedTransactions: matchResults.matched,
-                            bankAccountId: config.bankAccount
-                        });
-                    }
-
-                    // Update settlement record
-                    let errorMessage = null;
-                    if (matchResults.unmatched.length > 0) {
-                        errorMessage = 'Unmatched: ' + matchResults.unmatched.length + ' transactions';
+                    if (reconcileResult.quarantinedTransactions.length > 0) {
+                        results.warnings.push('Settlement ' + settlement.id + ': ' +
+                                              reconcileResult.quarantinedTransactions.length +
+                                              ' transaction(s) failed validation and were quarantined');
                     }
 
-                    reconciliation.updateSettlementRecord({
-                        settlementInternalId: settlementInternalId,
-                        matchedCount: matchResults.matched.length,
-                        unmatchedCount: matchResults.unmatched.length,
-                        matchedAmount: matchedAmount,
-                        bankDepositId: bankDepositId,
-                        errorMessage: errorMessage
-                    });
-
                     results.settlementsProcessed++;
-                    results.totalMatched += matchResults.matched.length;
-                    results.totalUnmatched += matchResults.unmatched.length;
+                    results.totalMatched += reconcileResult.matched.length;
+                    results.totalUnmatched += reconcileResult.unmatched.length;
                 }
 
                 results.configurationsProcessed++;
@@ -1211,13 +1643,97 @@ define([
                     title: SCRIPT_NAME + '.performManualFetch',
                     details: 'Error processing configuration ' + config.name + ': ' + configError.message
                 });
+
+                if (windcaveApi.isRetryableError(configError)) {
+                    const retryDelay = windcaveApi.getRetryDelay(1, configError.retryAfterMs);
+                    results.warnings.push('Windcave is temporarily unavailable for ' + config.name +
+                                          ', try again in ' + Math.ceil(retryDelay / 60000) + ' minute(s)');
+                }
                 // Continue with next configuration
             }
+
+            if (connection) {
+                if (connection.credentialStatus.primaryFailed) {
+                    results.warnings.push('Primary API key for ' + config.name + ' was rejected' +
+                                          (connection.credentialStatus.used ? ', used the secondary key' : ''));
+                }
+                try {
+                    reconciliation.recordCredentialStatus(config, connection.credentialStatus);
+                } catch (e) {
+                    log.error({
+                        title: SCRIPT_NAME + '.performManualFetch',
+                        details: 'Failed to record credential status for ' + config.name + ': ' + e.message
+                    });
+                }
+            }
         }
 
         return results;
     }
 
+    /**
+     * Handles a settlement file upload: saves it to the configuration's import folder and
+     * queues the scheduled script to import it
+     * @param {Object} context - Request/Response context
+     */
+    function handleImportUpload(context) {
+        const request = context.request;
+        const configId = request.parameters.custpage_import_config;
+        const uploadedFile = request.files && request.files.custpage_import_file;
+
+        try {
+            if (!uploadedFile) {
+                throw new Error(constants.ERRORS.IMPORT_FILE_INVALID + ': no file was uploaded');
+            }
+
+            const config = reconciliation.loadConfigurationById(configId);
+            if (!config) {
+                throw new Error(constants.ERRORS.CONFIG_NOT_FOUND);
+            }
+            if (!config.importFolder) {
+                throw new Error(constants.ERRORS.IMPORT_FOLDER_MISSING);
+            }
+
+            const fileName = uploadedFile.name;
+            const fileId = fileImport.saveUploadedFile(uploadedFile, config.importFolder);
+
+            const params = {};
+            params[constants.NOTIFICATIONS.PARAM_CONFIG] = config.internalId;
+            params[constants.FILE_IMPORT.PARAM_FILE] = fileId;
+
+            const taskId = task.create({
+                taskType: task.TaskType.SCHEDULED_SCRIPT,
+                scriptId: constants.NOTIFICATIONS.SCHEDULED_SCRIPT_ID,
+                params: params
+            }).submit();
+
+            log.audit({
+                title: SCRIPT_NAME + '.handleImportUpload',
+                details: '[' + config.name + '] Uploaded ' + fileName + ' as file ' + fileId + ', import task ' + taskId
+            });
+
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    message: 'Uploaded ' + fileName + ' and queued it for import for ' + config.name
+                }
+            });
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.handleImportUpload',
+                details: 'Error: ' + e.message
+            });
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    error: e.message
+                }
+            });
+        }
+    }
+
     /**
      * Handles manual match POST request
      * @param {Object} context - Request/Response context
@@ -1228,7 +1744,24 @@ define([
         const nsTransactionId = request.parameters.nsTransactionId;
         const settlementId = request.parameters.settlementId;
 
-        const result = reconciliation.manualMatchTransaction(txnDetailId, nsTransactionId);
+        // A surcharge is only accepted under the Surcharge Mode of the settlement's configuration
+        let config = null;
+        try {
+            config = reconciliation.findSettlementConfiguration(settlementId);
+            if (!config) {
+                log.audit({
+                    title: SCRIPT_NAME + '.handleManualMatch',
+                    details: 'No active configuration for settlement ' + settlementId + ', surcharges are not accepted'
+                });
+            }
+        } catch (e) {
+            log.error({
+                title: SCRIPT_NAME + '.handleManualMatch',
+                details: 'Could not load configuration: ' + e.message
+            });
+        }
+
+        const result = reconciliation.manualMatchTransaction(txnDetailId, nsTransactionId, config);
 
         redirect.toSuitelet({
             scriptId: runtime.getCurrentScript().id,
@@ -1242,6 +1775,32 @@ define([
         });
     }
 
+    /**
+     * Handles group match POST request
+     * @param {Object} context - Request/Response context
+     */
+    function handleGroupMatch(context) {
+        const request = context.request;
+        const settlementId = request.parameters.settlementId;
+
+        const result = reconciliation.manualMatchGroup({
+            settlementInternalId: settlementId,
+            windcaveTransactionIds: request.parameters.windcaveTransactionIds,
+            nsTransactionIds: request.parameters.nsTransactionIds
+        });
+
+        redirect.toSuitelet({
+            scriptId: runtime.getCurrentScript().id,
+            deploymentId: runtime.getCurrentScript().deploymentId,
+            parameters: {
+                action: 'viewdetails',
+                settlementId: settlementId,
+                message: result.success ? 'Transactions matched as a group' : null,
+                error: result.success ? null : result.error
+            }
+        });
+    }
+
     /**
      * Handles create supplementary deposit POST request
      * @param {Object} context - Request/Response context
@@ -1250,12 +1809,12 @@ define([
         const request = context.request;
         const settlementId = request.parameters.settlementId;
 
-        // Get bank account from configuration
-        let bankAccountId = null;
+        // Get bank account, and the refund and fee settings, from the settlement merchant's configuration
+        let config = null;
         try {
-            const configs = reconciliation.loadAllConfigurations();
-            if (configs.length > 0) {
-                bankAccountId = configs[0].bankAccount;
+            config = reconciliation.findSettlementConfiguration(settlementId);
+            if (!config) {
+                throw new Error(constants.ERRORS.CONFIG_NOT_FOUND);
             }
         } catch (e) {
             redirect.toSuitelet({
@@ -1270,7 +1829,7 @@ define([
             return;
         }
 
-        const result = reconciliation.createSupplementaryDeposit(settlementId, bankAccountId);
+        const result = reconciliation.createSupplementaryDeposit(settlementId, config.bankAccount, config);
 
         redirect.toSuitelet({
             scriptId: runtime.getCurrentScript().id,
@@ -1279,12 +1838,98 @@ define([
                 action: 'viewdetails',
                 settlementId: settlementId,
                 message: result.success ?
-                    'Created supplementary deposit with ' + result.paymentsAdded + ' payment(s)' : null,
+                    'Created ' + result.depositIds.length + ' supplementary deposit(s) with ' + result.paymentsAdded + ' payment(s)' +
+                    (result.refundsAdded ? ' and ' + result.refundsAdded + ' refund(s)' : '') : null,
                 error: result.success ? null : result.error
             }
         });
     }
 
+    /**
+     * Builds the quarantine section of the settlement details page
+     * @param {string} validationErrors - JSON from the settlement's Validation Errors field
+     * @returns {string} HTML, or an empty string if nothing was quarantined
+     */
+    function buildValidationErrorsHtml(validationErrors) {
+        if (!validationErrors) {
+            return '';
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(validationErrors);
+        } catch (e) {
+            return '<pre style="color: #dc3545;">' + escapeHtml(validationErrors) + '</pre>';
+        }
+
+        let html = '<h4 style="color: #dc3545; margin-bottom: 5px;">Quarantined (failed validation)</h4>';
+        html += '<ul style="margin-top: 0;">';
+        for (const entry of entries) {
+            if (entry.item === 'truncated') {
+                html += '<li>' + entry.count + ' more not shown</li>';
+                continue;
+            }
+            const label = entry.item === 'settlement' ? 'Settlement' : 'Transaction ' + (entry.id || '(no ID)');
+            const messages = (entry.errors || []).map(e =>
+                escapeHtml(e.message) + (e.value !== null && e.value !== undefined ? ' (got "' + escapeHtml(String(e.value)) + '")' : '')
+            );
+            html += '<li><strong>' + escapeHtml(label) + ':</strong> ' + messages.join('; ') + '</li>';
+        }
+        html += '</ul>';
+        return html;
+    }
+
+    /**
+     * Escapes text for inclusion in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Formats an amount for display with its currency's decimals, e.g. "1234.56 NZD"
+     * @param {string|number} amount - Amount in major units
+     * @param {string} [currency] - ISO 4217 currency code
+     * @returns {string} Escaped amount and currency code
+     */
+    function formatMoney(amount, currency) {
+        return escapeHtml((money.formatAmount(money.toMinorUnits(amount, currency), currency) + ' ' + (currency || '')).trim());
+    }
+
+    /**
+     * Handles circuit breaker reset POST request
+     * @param {Object} context - Request/Response context
+     */
+    function handleResetCircuit(context) {
+        const configId = context.request.parameters.custpage_circuit_config;
+
+        try {
+            reconciliation.resetCircuitBreaker(configId, 'Circuit reset from the dashboard, processing resumes on the next scheduled run');
+
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    message: 'Configuration reset. Scheduled processing will resume on its next run.'
+                }
+            });
+        } catch (e) {
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    error: 'Could not reset configuration: ' + e.message
+                }
+            });
+        }
+    }
+
     /**
      * Handles transaction search request (returns JSON)
      * @param {Object} context - Request/Response context